@@ -0,0 +1,40 @@
+// sw.js - Service worker showing Web Push notifications, including while the chat is closed
+
+self.addEventListener('install', () => {
+  self.skipWaiting();
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(self.clients.claim());
+});
+
+// Payloads are `{ type, title, body, tag, messageId, ... }` from the server
+self.addEventListener('push', (event) => {
+  const payload = event.data ? event.data.json() : {};
+
+  event.waitUntil(self.registration.showNotification(payload.title || 'New message', {
+    body: payload.body,
+    tag: payload.tag,
+    renotify: Boolean(payload.tag),
+    data: payload,
+  }));
+});
+
+// Bring an open chat tab forward and ask it to show the message, or open the chat
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const payload = event.notification.data || {};
+
+  event.waitUntil((async () => {
+    const [client] = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    if (!client) {
+      await self.clients.openWindow('/');
+      return;
+    }
+
+    await client.focus();
+    if (payload.messageId) {
+      client.postMessage({ type: 'open_message', messageId: payload.messageId });
+    }
+  })());
+});
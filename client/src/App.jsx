@@ -1,77 +1,606 @@
 import React, { useState, useEffect, useRef } from 'react';
 import { useSocket } from './socket/socket';
+import FileAttachment from './components/FileAttachment';
+import CommandReplies from './components/CommandReplies';
+import ConversationList from './components/ConversationList';
+import DeliveryStatus from './components/DeliveryStatus';
+import LevelMarker from './components/LevelMarker';
+import MessageList, { messageKey } from './components/MessageList';
+import MentionsPanel from './components/MentionsPanel';
+import MessageText, { GROUP_MENTIONS, RenderedHtml } from './components/MessageText';
+import NotificationSettings from './components/NotificationSettings';
+import Reactions from './components/Reactions';
+import SearchPanel from './components/SearchPanel';
+import SuggestionList from './components/SuggestionList';
+import ThreadPanel from './components/ThreadPanel';
+
+// The "@partial" being typed at the end of the composer
+const TYPED_MENTION = /(?:^|\s)@([\w.-]*)$/;
+
+// A "/command" being typed, before its arguments; "//" escapes a leading slash
+const TYPED_COMMAND = /^\/([^\s/]*)$/;
+
+// Pause in typing before the composer preview is rendered again
+const PREVIEW_DELAY_MS = 300;
+
+const MARKDOWN_HINT = '**bold**  *italic*  `code`  ```code block```  > quote  - list';
 
 function App() {
   const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [isRegistering, setIsRegistering] = useState(false);
   const [message, setMessage] = useState('');
-  const [isConnected, setIsConnected] = useState(false);
-  const [showLogin, setShowLogin] = useState(true);
-  const messagesEndRef = useRef(null);
+  const [searchOpen, setSearchOpen] = useState(false);
+  const [searchForm, setSearchForm] = useState({
+    query: '',
+    where: 'room',
+    sender: '',
+    from: '',
+    to: '',
+    attachmentsOnly: false,
+  });
+  // Message opened from a search result, marked and scrolled to
+  const [highlightedMessage, setHighlightedMessage] = useState(null);
+  // Message whose add-reaction picker is open
+  const [reactionPickerFor, setReactionPickerFor] = useState(null);
+  const [mentionsOpen, setMentionsOpen] = useState(false);
+  const [settingsOpen, setSettingsOpen] = useState(false);
+  // The composer's Markdown preview, rendered by the server
+  const [previewOpen, setPreviewOpen] = useState(false);
+  const [previewHtml, setPreviewHtml] = useState('');
+  // Selected @mention suggestion, and whether Escape dismissed the list
+  const [suggestionIndex, setSuggestionIndex] = useState(0);
+  const [suggestionsDismissed, setSuggestionsDismissed] = useState(false);
+  const fileInputRef = useRef(null);
   
   const {
+    currentUser,
+    authError,
+    login,
+    register,
+    restoreSession,
     connect,
-    disconnect,
+    logout,
     sendMessage,
+    sendPrivateMessage,
+    retryMessage,
+    discardMessage,
+    connectionState,
+    reconnectAttempt,
+    outboxSize,
+    reconnect,
+    conversations,
+    privateMessages,
+    activeConversation,
+    openConversation,
+    closeConversation,
     messages,
     users,
     typingUsers,
     rooms,
     currentRoom,
     createRoom,
+    updateRoom,
+    archiveRoom,
+    deleteRoom,
     joinRoom,
+    roomInvites,
+    inviteToRoom,
+    respondToInvite,
     setTyping,
+    editMessage,
+    deleteMessage,
+    toggleReaction,
+    kickUser,
+    muteUser,
+    banUser,
+    mutedRooms,
+    moderationNotice,
+    dismissModerationNotice,
+    setSlowMode,
+    serverError,
+    dismissServerError,
+    activeThread,
+    openThread,
+    loadMoreReplies,
+    closeThread,
+    sendThreadReply,
     unreadCount,
+    unreadCounts,
+    readReceipts,
+    fetchReadReceipts,
+    shareFile,
+    getFileUrls,
+    uploadProgress,
+    uploadError,
     searchMessages,
-    searchResults
+    searchResults,
+    loadMoreSearchResults,
+    clearSearch,
+    commands,
+    commandReplies,
+    runCommand,
+    dismissCommandReply,
+    jumpToMessage,
+    previewMessage,
+    mentionInbox,
+    unreadMentions,
+    loadMentions,
+    loadMoreMentions,
+    closeMentions,
+    markMentionsRead,
+    notificationPreferences,
+    updateNotificationPreferences,
+    pushState,
+    enablePush,
+    disablePush,
+    timeline,
+    loadOlderMessages,
+    loadNewerMessages,
+    loadLatestMessages
   } = useSocket();
 
-  const handleLogin = (e) => {
+  // Resume a stored session after a page reload
+  useEffect(() => {
+    restoreSession().then((user) => {
+      if (user) {
+        connect();
+      }
+    });
+  }, []);
+
+  // Clicking a push notification brings this tab forward with the message to show
+  useEffect(() => {
+    if (!('serviceWorker' in navigator)) return undefined;
+
+    const onWorkerMessage = (event) => {
+      if (event.data?.type === 'open_message') {
+        openSearchResult({ _id: event.data.messageId });
+      }
+    };
+
+    navigator.serviceWorker.addEventListener('message', onWorkerMessage);
+    return () => navigator.serviceWorker.removeEventListener('message', onWorkerMessage);
+  }, []);
+
+  // The preview follows the composer once typing pauses
+  useEffect(() => {
+    if (!previewOpen || !message.trim()) {
+      setPreviewHtml('');
+      return undefined;
+    }
+
+    let stale = false;
+    const timer = setTimeout(() => {
+      previewMessage(message, activeConversation ? null : currentRoom)
+        .then((html) => !stale && setPreviewHtml(html))
+        .catch(() => {});
+    }, PREVIEW_DELAY_MS);
+
+    return () => {
+      stale = true;
+      clearTimeout(timer);
+    };
+  }, [previewOpen, message, activeConversation, currentRoom]);
+
+  const handleLogin = async (e) => {
     e.preventDefault();
-    if (username.trim()) {
-      connect(username);
-      setIsConnected(true);
-      setShowLogin(false);
+    if (username.trim() && password) {
+      const authenticate = isRegistering ? register : login;
+      const result = await authenticate(username.trim(), password);
+      if (result) {
+        setPassword('');
+        connect(result.token);
+      }
+    }
+  };
+
+  // Show the open direct-message conversation in place of the room
+  const visibleMessages = activeConversation
+    ? privateMessages[activeConversation] || []
+    : messages;
+
+  const conversationPartner = activeConversation
+    && (users.find((user) => user._id === activeConversation)
+      || conversations.find((conversation) => conversation.user._id === activeConversation)?.user);
+
+  const othersTyping = typingUsers.filter((name) => name !== currentUser?.username);
+
+  // Failed actions are already shown in the error banner
+  const quietly = (promise) => promise.catch(() => {});
+
+  // "/search" opens its results in the search panel
+  const handleCommand = async (input) => {
+    const result = await runCommand(input);
+    if (result?.search) {
+      setSearchForm((prev) => ({ ...prev, query: result.search.query, where: 'all' }));
+      setSearchOpen(true);
     }
   };
 
+  // Sent messages show up as pending right away; failed ones can be retried from the list.
+  // "/command" runs a command, "//text" sends "/text".
   const handleSendMessage = (e) => {
     e.preventDefault();
-    if (message.trim()) {
-      sendMessage(message);
-      setMessage('');
+    if (!message.trim()) return;
+
+    setHighlightedMessage(null);
+    if (!activeConversation) {
       setTyping(false);
     }
+
+    const text = message.startsWith('//') ? message.slice(1) : message;
+    if (text === message && message.startsWith('/')) {
+      handleCommand(message.trim());
+    } else if (activeConversation) {
+      quietly(sendPrivateMessage(activeConversation, text));
+    } else {
+      quietly(sendMessage(text));
+    }
+    setMessage('');
   };
 
   const handleTyping = (e) => {
     setMessage(e.target.value);
-    setTyping(e.target.value.length > 0);
+    setSuggestionsDismissed(false);
+    setSuggestionIndex(0);
+    if (!activeConversation) {
+      setTyping(e.target.value.length > 0);
+    }
+  };
+
+  // Usernames of online users (and @room/@here) completing the mention being typed
+  const typedMention = !activeConversation && !suggestionsDismissed && message.match(TYPED_MENTION);
+  const mentionSuggestions = typedMention
+    ? [
+      ...users.filter((user) => user._id !== currentUser?._id).map((user) => user.username),
+      ...GROUP_MENTIONS,
+    ]
+      .filter((name) => name.toLowerCase().startsWith(typedMention[1].toLowerCase()))
+      .slice(0, 8)
+    : [];
+
+  const completeMention = (name) => {
+    setMessage(message.replace(/@[\w.-]*$/, `@${name} `));
+    setSuggestionIndex(0);
+  };
+
+  // Commands (by name or alias) completing the "/command" being typed
+  const typedCommand = !suggestionsDismissed && message.match(TYPED_COMMAND);
+  const commandSuggestions = typedCommand
+    ? commands.filter((command) => [command.name, ...command.aliases]
+      .some((name) => name.startsWith(typedCommand[1].toLowerCase())))
+    : [];
+
+  // One list for the composer, whichever kind is being typed
+  const suggestions = typedCommand
+    ? commandSuggestions.map((command) => ({
+      key: command.name,
+      label: command.usage,
+      hint: command.description,
+      complete: () => {
+        setMessage(`/${command.name} `);
+        setSuggestionIndex(0);
+      },
+    }))
+    : mentionSuggestions.map((name) => ({
+      key: name,
+      label: `@${name}`,
+      hint: GROUP_MENTIONS.includes(name) && (name === 'room' ? 'notify everyone in the room' : 'notify everyone here now'),
+      complete: () => completeMention(name),
+    }));
+
+  // Arrow keys pick a suggestion, Enter or Tab inserts it, Escape hides the list
+  // Enter sends and Shift+Enter starts a new line, unless a suggestion is being picked
+  const handleComposerKeyDown = (e) => {
+    if (suggestions.length === 0) {
+      if (e.key === 'Enter' && !e.shiftKey && !e.nativeEvent.isComposing) {
+        handleSendMessage(e);
+      }
+      return;
+    }
+
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      setSuggestionIndex((suggestionIndex + step + suggestions.length) % suggestions.length);
+    } else if (e.key === 'Enter' || e.key === 'Tab') {
+      e.preventDefault();
+      suggestions[Math.min(suggestionIndex, suggestions.length - 1)].complete();
+    } else if (e.key === 'Escape') {
+      setSuggestionsDismissed(true);
+    }
   };
 
   const handleCreateRoom = () => {
     const roomName = prompt('Enter room name:');
     if (roomName) {
-      createRoom(roomName);
+      const isPrivate = window.confirm('Make this room private (invite only)?');
+      quietly(createRoom(roomName, isPrivate).then((room) => {
+        closeConversation();
+        return joinRoom(room.roomId);
+      }));
     }
   };
 
-  const handleSearch = (e) => {
-    e.preventDefault();
-    const query = prompt('Enter search query:');
-    if (query) {
-      searchMessages(query);
+  // Owners and admins of a private room can invite people into it
+  const activeRoom = rooms.find((room) => room.roomId === currentRoom);
+  const canInvite = activeRoom?.isPrivate && activeRoom.members?.some(
+    (member) => member.user === currentUser?._id && ['owner', 'admin'].includes(member.role)
+  );
+
+  const handleInvite = () => {
+    const name = prompt('Invite which user?');
+    if (!name) return;
+
+    const invitee = users.find((user) => user.username === name.trim())
+      || conversations.find((conversation) => conversation.user.username === name.trim())?.user;
+    if (invitee) {
+      quietly(inviteToRoom(currentRoom, invitee._id));
+    } else {
+      alert(`No user named "${name}" found among online users and conversations`);
+    }
+  };
+
+  const handleFileSelected = (e) => {
+    const file = e.target.files[0];
+    if (file) {
+      shareFile(file);
+    }
+    e.target.value = '';
+  };
+
+  const closeSearch = () => {
+    setSearchOpen(false);
+    clearSearch();
+  };
+
+  const openSearchResult = async (result) => {
+    try {
+      const context = await jumpToMessage(result._id);
+      setHighlightedMessage(context.messageId);
+    } catch (error) {
+      // Shown in the error banner
+    }
+  };
+
+  const toggleMentions = () => {
+    if (mentionsOpen) {
+      setMentionsOpen(false);
+      closeMentions();
+    } else {
+      setMentionsOpen(true);
+      quietly(loadMentions());
+    }
+  };
+
+  // Opening a mention shows the message and marks the mention read
+  const openMention = async (mention) => {
+    try {
+      const context = await jumpToMessage(mention.message._id);
+      setHighlightedMessage(context.messageId);
+      if (!mention.read) {
+        await markMentionsRead([mention._id]);
+      }
+    } catch (error) {
+      // Shown in the error banner
+    }
+  };
+
+  const isStaff = ['moderator', 'admin'].includes(currentUser?.role);
+
+  // Room owners and admins moderate their room; site staff moderate every room
+  const canModerateRoom = isStaff || Boolean(activeRoom?.members?.some(
+    (member) => member.user === currentUser?._id && ['owner', 'admin'].includes(member.role)
+  ));
+
+  const isArchived = !activeConversation && Boolean(activeRoom?.archivedAt);
+
+  // Archived rooms are read-only; only their moderators can still delete messages
+  const canModify = (msg) => (msg.senderId === currentUser._id || isStaff) && (msg.isPrivate || !isArchived);
+
+  const canDelete = (msg) => canModify(msg) || (!msg.isPrivate && canModerateRoom);
+
+  const currentMute = mutedRooms[currentRoom];
+  const isMuted = !activeConversation && Boolean(currentMute)
+    && (!currentMute.expiresAt || new Date(currentMute.expiresAt) > new Date());
+
+  // Only the owner or a site admin can delete a room, and never a default one
+  const canDeleteRoom = !['general', 'random'].includes(currentRoom) && (
+    currentUser?.role === 'admin' || Boolean(activeRoom?.members?.some(
+      (member) => member.user === currentUser?._id && member.role === 'owner'
+    ))
+  );
+
+  // Ask for each setting in turn; only changed ones are sent, and cancelling stops
+  const handleEditRoom = () => {
+    const changes = {};
+    for (const [field, label] of [['name', 'Room name'], ['description', 'Description'], ['topic', 'Topic']]) {
+      const value = prompt(`${label}:`, activeRoom[field] || '');
+      if (value === null) return;
+      if (value.trim() !== (activeRoom[field] || '')) changes[field] = value;
+    }
+    if (Object.keys(changes).length > 0) {
+      quietly(updateRoom(currentRoom, changes));
+    }
+  };
+
+  const handleArchiveRoom = () => {
+    if (isArchived) {
+      quietly(archiveRoom(currentRoom, false));
+    } else if (window.confirm(`Archive #${activeRoom.name}? It stays readable, but nobody can post in it.`)) {
+      quietly(archiveRoom(currentRoom, true));
+    }
+  };
+
+  const handleDeleteRoom = () => {
+    if (!window.confirm(`Delete #${activeRoom.name} for everyone?`)) return;
+    const keepMessages = window.confirm('Keep its messages on the server? Cancel deletes them too.');
+    quietly(deleteRoom(currentRoom, keepMessages));
+  };
+
+  const handleSlowMode = () => {
+    const seconds = prompt('Seconds between messages per user (0 turns slow mode off):', activeRoom?.slowModeSeconds || 0);
+    if (seconds !== null && seconds.trim()) {
+      quietly(setSlowMode(currentRoom, Number(seconds)));
+    }
+  };
+
+  const handleModerate = (action, msg) => {
+    const reason = prompt(`Reason for the ${action}:`);
+    if (!reason || !reason.trim()) return;
+
+    if (action === 'kick') {
+      quietly(kickUser(currentRoom, msg.senderId, reason));
+      return;
+    }
+
+    const minutes = prompt('Duration in minutes (leave empty for no limit):');
+    if (minutes === null) return;
+    const durationMinutes = minutes.trim() ? Number(minutes) : undefined;
+
+    if (action === 'mute') {
+      quietly(muteUser(currentRoom, msg.senderId, reason, durationMinutes));
+    } else {
+      quietly(banUser(currentRoom, msg.senderId, reason, durationMinutes));
     }
   };
 
-  const scrollToBottom = () => {
-    messagesEndRef.current?.scrollIntoView({ behavior: "smooth" });
+  const handleEdit = (msg) => {
+    const text = prompt('Edit message:', msg.message);
+    if (!text || !text.trim() || text === msg.message) return;
+
+    if (msg.senderId !== currentUser._id) {
+      const reason = prompt('Reason for editing this message:');
+      if (reason && reason.trim()) {
+        quietly(editMessage(msg._id, text, reason));
+      }
+    } else {
+      quietly(editMessage(msg._id, text));
+    }
+  };
+
+  const handleDelete = (msg) => {
+    if (msg.senderId !== currentUser._id) {
+      const reason = prompt('Reason for deleting this message:');
+      if (reason && reason.trim()) {
+        quietly(deleteMessage(msg._id, reason));
+      }
+    } else if (window.confirm('Delete this message?')) {
+      quietly(deleteMessage(msg._id));
+    }
+  };
+
+  // Reply-count link that opens a room message's thread in the side panel
+  const renderThreadLink = (msg, inThread) => {
+    if (inThread || msg.isPrivate || msg.parentId || !msg._id) return null;
+    if (msg.isDeleted && !msg.replyCount) return null;
+
+    return (
+      <button className="thread-link" onClick={() => openThread(msg._id)}>
+        💬 {msg.replyCount > 0
+          ? `${msg.replyCount} ${msg.replyCount === 1 ? 'reply' : 'replies'}`
+          : 'Reply'}
+      </button>
+    );
+  };
+
+  const renderMessage = (msg, inThread = false) => (
+    <div
+      key={messageKey(msg)}
+      id={msg._id && `message-${msg._id}`}
+      className={`message ${msg.senderId === currentUser._id ? 'own' : ''} ${msg.status || ''} ${msg._id && msg._id === highlightedMessage ? 'highlighted' : ''}`}
+    >
+      {msg.system ? (
+        <div className="system-message">{msg.message}</div>
+      ) : msg.isDeleted ? (
+        <>
+          <strong>{msg.sender}</strong>
+          <span className="timestamp">{new Date(msg.timestamp).toLocaleTimeString()}</span>
+          <p className="deleted-message">This message was deleted</p>
+          {renderThreadLink(msg, inThread)}
+        </>
+      ) : (
+        <>
+          <strong>{msg.sender}</strong>
+          {msg.webhook && <span className="bot-badge" title="Posted by an integration">BOT</span>}
+          <span className="timestamp">{new Date(msg.timestamp).toLocaleTimeString()}</span>
+          {msg.editedAt && (
+            <span className="edited-marker" title={`Edited ${new Date(msg.editedAt).toLocaleString()}`}>
+              (edited)
+            </span>
+          )}
+          {msg.isAction ? (
+            // "/me waves" reads as "* alice waves"
+            <div className="action-message">
+              <em>* {msg.sender}</em>
+              <MessageText message={msg} currentUsername={currentUser.username} />
+            </div>
+          ) : <MessageText message={msg} currentUsername={currentUser.username} />}
+          {msg.isFile && <FileAttachment message={msg} getFileUrls={getFileUrls} />}
+          <Reactions
+            message={msg}
+            currentUserId={currentUser._id}
+            pickerOpen={reactionPickerFor === msg._id}
+            onTogglePicker={() => setReactionPickerFor(reactionPickerFor === msg._id ? null : msg._id)}
+            onToggle={(message, emoji) => quietly(toggleReaction(message, emoji))}
+          />
+          <DeliveryStatus
+            message={msg}
+            onRetry={(clientId) => quietly(retryMessage(clientId))}
+            onDiscard={discardMessage}
+          />
+          {renderThreadLink(msg, inThread)}
+          {msg._id && canDelete(msg) && (
+            <div className="message-actions">
+              {msg.senderId === currentUser._id && !inThread && (
+                <button onClick={() => fetchReadReceipts(msg._id)}>Seen by</button>
+              )}
+              {canModify(msg) && !msg.isFile && <button onClick={() => handleEdit(msg)}>Edit</button>}
+              <button onClick={() => handleDelete(msg)}>Delete</button>
+              {!msg.isPrivate && canModerateRoom && msg.senderId !== currentUser._id && (
+                <>
+                  <button onClick={() => handleModerate('mute', msg)}>Mute</button>
+                  <button onClick={() => handleModerate('kick', msg)}>Kick</button>
+                  <button onClick={() => handleModerate('ban', msg)}>Ban</button>
+                </>
+              )}
+            </div>
+          )}
+          {readReceipts[msg._id] && (
+            <div className="read-by">
+              {readReceipts[msg._id].length > 0
+                ? `Seen by ${readReceipts[msg._id].map((reader) => reader.username).join(', ')}`
+                : 'Not seen yet'}
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+
+  const handleJumpToLatest = () => {
+    setHighlightedMessage(null);
+    quietly(loadLatestMessages());
   };
 
+  // A reply opened from search shows up once its thread has loaded
   useEffect(() => {
-    scrollToBottom();
-  }, [messages]);
+    if (highlightedMessage) {
+      document.getElementById(`message-${highlightedMessage}`)?.scrollIntoView({ block: 'center' });
+    }
+  }, [highlightedMessage, activeThread?.parent?._id]);
 
-  if (showLogin) {
+  // Where a search result was posted
+  const resultPlace = (result) => {
+    if (!result.isPrivate) return `#${result.room}`;
+    const partnerId = result.senderId === currentUser._id ? result.recipient : result.senderId;
+    const partner = users.find((user) => user._id === partnerId)
+      || conversations.find((conversation) => conversation.user._id === partnerId)?.user;
+    return `DM with ${partner?.username || 'user'}`;
+  };
+
+  if (!currentUser) {
     return (
       <div className="login-container">
         <h1>Socket.io Chat</h1>
@@ -81,10 +610,27 @@ function App() {
             placeholder="Enter your username"
             value={username}
             onChange={(e) => setUsername(e.target.value)}
+            autoComplete="username"
+            required
+          />
+          <input
+            type="password"
+            placeholder="Enter your password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            autoComplete={isRegistering ? 'new-password' : 'current-password'}
             required
           />
-          <button type="submit">Join Chat</button>
+          {authError && <div className="auth-error">{authError}</div>}
+          <button type="submit">{isRegistering ? 'Register' : 'Log In'}</button>
         </form>
+        <button
+          type="button"
+          className="link-button"
+          onClick={() => setIsRegistering(!isRegistering)}
+        >
+          {isRegistering ? 'Already have an account? Log in' : 'New here? Create an account'}
+        </button>
       </div>
     );
   }
@@ -94,103 +640,313 @@ function App() {
       <div className="chat-header">
         <h1>Socket.io Chat</h1>
         <div className="user-info">
-          <span>Logged in as: {username}</span>
+          <span>Logged in as: {currentUser.username}</span>
           <span>Online Users: {users.length}</span>
           {unreadCount > 0 && (
             <span className="unread-count">Unread: {unreadCount}</span>
           )}
+          <button className={`mentions-button ${mentionsOpen ? 'active' : ''}`} onClick={toggleMentions}>
+            @ Mentions
+            {unreadMentions > 0 && <span className="unread-badge">{unreadMentions}</span>}
+          </button>
+          <button
+            className={`mentions-button ${settingsOpen ? 'active' : ''}`}
+            title="Notification settings"
+            onClick={() => setSettingsOpen(!settingsOpen)}
+          >
+            {notificationPreferences.doNotDisturb.enabled ? '🌙' : '🔔'} Notifications
+          </button>
         </div>
       </div>
 
+      {connectionState === 'reconnecting' && (
+        <div className="connection-banner">
+          <span>
+            Connection lost, reconnecting{reconnectAttempt > 0 && ` (attempt ${reconnectAttempt})`}…
+            {outboxSize > 0 && ` ${outboxSize} unsent message${outboxSize === 1 ? '' : 's'} will go out once you're back.`}
+          </span>
+          <button onClick={reconnect}>Reconnect now</button>
+        </div>
+      )}
+
       <div className="chat-main">
         <div className="sidebar">
           <div className="rooms-section">
             <h3>Rooms</h3>
             <button onClick={handleCreateRoom}>Create Room</button>
+            {canInvite && !activeConversation && (
+              <button onClick={handleInvite}>Invite to #{currentRoom}</button>
+            )}
+            {canModerateRoom && !activeConversation && (
+              <>
+                <button onClick={handleSlowMode}>Slow mode</button>
+                <button onClick={handleEditRoom}>Edit room</button>
+                {currentRoom !== 'general' && (
+                  <button onClick={handleArchiveRoom}>{isArchived ? 'Unarchive' : 'Archive'}</button>
+                )}
+              </>
+            )}
+            {canDeleteRoom && !activeConversation && (
+              <button onClick={handleDeleteRoom}>Delete room</button>
+            )}
             <ul>
               {rooms.map((room) => (
-                <li key={room.name}>
+                <li key={room.roomId}>
                   <button 
-                    onClick={() => joinRoom(room.name.toLowerCase())}
-                    className={currentRoom === room.name.toLowerCase() ? 'active' : ''}
+                    onClick={() => {
+                      setHighlightedMessage(null);
+                      closeConversation();
+                      quietly(joinRoom(room.roomId));
+                    }}
+                    className={!activeConversation && currentRoom === room.roomId ? 'active' : ''}
                   >
+                    {room.isPrivate && <span title="Private room">🔒 </span>}
+                    {room.archivedAt && <span title="Archived, read-only">🗄️ </span>}
                     {room.name}
+                    <LevelMarker level={notificationPreferences.rooms[room.roomId]} />
+                    {room.roomId !== currentRoom && unreadCounts[room.roomId] > 0 && (
+                      <span className="unread-badge">{unreadCounts[room.roomId]}</span>
+                    )}
                   </button>
                 </li>
               ))}
             </ul>
           </div>
           
+          {roomInvites.length > 0 && (
+            <div className="invites-section">
+              <h3>Invitations</h3>
+              <ul>
+                {roomInvites.map((invite) => (
+                  <li key={invite.roomId}>
+                    <span>
+                      🔒 {invite.name}
+                      {invite.invitedBy && <small> from {invite.invitedBy}</small>}
+                    </span>
+                    <div className="invite-actions">
+                      <button onClick={() => quietly(respondToInvite(invite.roomId, true))}>Accept</button>
+                      <button onClick={() => quietly(respondToInvite(invite.roomId, false))}>Decline</button>
+                    </div>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          <ConversationList
+            conversations={conversations}
+            activeConversation={activeConversation}
+            levels={notificationPreferences.conversations}
+            onOpen={(userId) => {
+              setHighlightedMessage(null);
+              openConversation(userId);
+            }}
+          />
+
           <div className="users-section">
             <h3>Online Users</h3>
             <ul>
               {users.map((user) => (
-                <li key={user.id}>{user.username}</li>
+                <li key={user._id}>
+                  {user._id === currentUser._id ? (
+                    user.username
+                  ) : (
+                    <button
+                      className="user-button"
+                      title={`Message ${user.username}`}
+                      onClick={() => {
+                        setHighlightedMessage(null);
+                        openConversation(user._id);
+                      }}
+                    >
+                      {user.username}
+                    </button>
+                  )}
+                </li>
               ))}
             </ul>
           </div>
         </div>
 
         <div className="chat-content">
-          <div className="messages-container">
-            <div className="messages">
-              {messages.map((msg) => (
-                <div key={msg.id} className={`message ${msg.sender === username ? 'own' : ''}`}>
-                  {msg.system ? (
-                    <div className="system-message">{msg.message}</div>
-                  ) : (
-                    <>
-                      <strong>{msg.sender}</strong>
-                      <span className="timestamp">{new Date(msg.timestamp).toLocaleTimeString()}</span>
-                      <p>{msg.message}</p>
-                      {msg.isFile && (
-                        <div className="file-message">
-                          <a href={msg.fileUrl} target="_blank" rel="noopener noreferrer">
-                            📎 {msg.fileName}
-                          </a>
-                        </div>
-                      )}
-                      {msg.reactions && msg.reactions.length > 0 && (
-                        <div className="reactions">
-                          {msg.reactions.map((reaction, idx) => (
-                            <span key={idx}>{reaction.reaction}</span>
-                          ))}
-                        </div>
-                      )}
-                      {msg.delivered && <span className="delivery-status">✓</span>}
-                    </>
-                  )}
-                </div>
-              ))}
-              <div ref={messagesEndRef} />
+          {activeConversation && (
+            <div className="conversation-header">
+              <span>Direct message with {conversationPartner?.username || 'user'}</span>
+              <button
+                onClick={() => {
+                  setHighlightedMessage(null);
+                  closeConversation();
+                }}
+              >
+                Back to #{currentRoom}
+              </button>
+            </div>
+          )}
+          {!activeConversation && (activeRoom?.topic || activeRoom?.description) && (
+            <div className="room-topic" title={activeRoom.description || activeRoom.topic}>
+              <strong>#{activeRoom.name}</strong> {activeRoom.topic}
+              {activeRoom.description && <small>{activeRoom.description}</small>}
             </div>
-            
-            {typingUsers.length > 0 && (
+          )}
+          <MessageList
+            messages={visibleMessages}
+            timeline={timeline}
+            highlightedMessage={highlightedMessage}
+            renderMessage={renderMessage}
+            onLoadOlder={() => quietly(loadOlderMessages())}
+            onLoadNewer={() => quietly(loadNewerMessages())}
+            onJumpToLatest={handleJumpToLatest}
+          >
+            {!activeConversation && othersTyping.length > 0 && (
               <div className="typing-indicator">
-                {typingUsers.join(', ')} {typingUsers.length === 1 ? 'is' : 'are'} typing...
+                {othersTyping.join(', ')} {othersTyping.length === 1 ? 'is' : 'are'} typing...
               </div>
             )}
-          </div>
+          </MessageList>
 
+          {serverError && (
+            <div className="moderation-notice">
+              <span>
+                {serverError.message}
+                {serverError.retryAfterMs > 0 && ` (try again in ${Math.ceil(serverError.retryAfterMs / 1000)}s)`}
+              </span>
+              <button onClick={dismissServerError}>✕</button>
+            </div>
+          )}
+          {isArchived && (
+            <div className="upload-status">🗄️ This room is archived and read-only</div>
+          )}
+          {!activeConversation && activeRoom?.slowModeSeconds > 0 && (
+            <div className="upload-status">🐢 Slow mode: one message every {activeRoom.slowModeSeconds}s</div>
+          )}
+          {moderationNotice && (
+            <div className="moderation-notice">
+              <span>
+                {moderationNotice.type === 'kicked' && `You were removed from #${moderationNotice.roomId} by ${moderationNotice.by}: ${moderationNotice.reason}`}
+                {moderationNotice.type === 'banned' && `You were banned from #${moderationNotice.roomId} by ${moderationNotice.by}${moderationNotice.expiresAt ? ` until ${new Date(moderationNotice.expiresAt).toLocaleString()}` : ''}: ${moderationNotice.reason}`}
+                {moderationNotice.type === 'muted' && `You were muted in #${moderationNotice.roomId} by ${moderationNotice.by}${moderationNotice.expiresAt ? ` until ${new Date(moderationNotice.expiresAt).toLocaleString()}` : ''}: ${moderationNotice.reason}`}
+                {moderationNotice.type === 'unbanned' && `Your ban from #${moderationNotice.roomId} was lifted`}
+                {moderationNotice.type === 'room_deleted' && `#${moderationNotice.name} was deleted by ${moderationNotice.by}`}
+              </span>
+              <button onClick={dismissModerationNotice}>✕</button>
+            </div>
+          )}
           <form onSubmit={handleSendMessage} className="message-form">
-            <input
-              type="text"
-              placeholder="Type a message..."
+            {suggestions.length > 0 && (
+              <SuggestionList suggestions={suggestions} activeIndex={suggestionIndex} />
+            )}
+            {suggestions.length === 0 && !previewOpen && commandReplies.length > 0 && (
+              <CommandReplies
+                replies={commandReplies}
+                currentUsername={currentUser.username}
+                onDismiss={dismissCommandReply}
+              />
+            )}
+            {previewOpen && (
+              <div className="composer-preview">
+                {previewHtml
+                  ? <RenderedHtml html={previewHtml} currentUsername={currentUser.username} />
+                  : <small>Nothing to preview</small>}
+              </div>
+            )}
+            <textarea
+              rows={Math.min(message.split('\n').length, 8)}
+              placeholder={isMuted ? 'You are muted in this room'
+                : isArchived ? 'This room is archived'
+                  : 'Type a message or /help... (Markdown works, Shift+Enter for a new line)'}
               value={message}
               onChange={handleTyping}
+              onKeyDown={handleComposerKeyDown}
+              disabled={isMuted || isArchived}
             />
-            <button type="submit">Send</button>
-            <button type="button" onClick={handleSearch}>Search</button>
+            <button
+              type="button"
+              className={previewOpen ? 'active' : ''}
+              title={MARKDOWN_HINT}
+              onClick={() => setPreviewOpen(!previewOpen)}
+            >
+              Preview
+            </button>
+            <button type="submit" disabled={isMuted || isArchived}>Send</button>
+            {!activeConversation && (
+              <>
+                <input
+                  type="file"
+                  ref={fileInputRef}
+                  onChange={handleFileSelected}
+                  style={{ display: 'none' }}
+                />
+                <button
+                  type="button"
+                  title="Share a file"
+                  onClick={() => fileInputRef.current?.click()}
+                  disabled={Boolean(uploadProgress) || isArchived}
+                >
+                  📎
+                </button>
+              </>
+            )}
+            <button type="button" onClick={() => setSearchOpen(true)}>Search</button>
           </form>
+          {uploadProgress && (
+            <div className="upload-status">
+              Uploading {uploadProgress.name}… {Math.round((uploadProgress.loaded / uploadProgress.total) * 100)}%
+            </div>
+          )}
+          {uploadError && <div className="upload-status error">{uploadError}</div>}
         </div>
+
+        {searchOpen && (
+          <SearchPanel
+            form={searchForm}
+            onFormChange={setSearchForm}
+            results={searchResults}
+            currentRoom={currentRoom}
+            placeOf={resultPlace}
+            onSearch={(query, filters) => quietly(searchMessages(query, filters))}
+            onLoadMore={() => quietly(loadMoreSearchResults())}
+            onOpen={openSearchResult}
+            onClose={closeSearch}
+          />
+        )}
+
+        {settingsOpen && (
+          <NotificationSettings
+            preferences={notificationPreferences}
+            rooms={rooms}
+            conversations={conversations}
+            pushState={pushState}
+            onUpdate={(changes) => quietly(updateNotificationPreferences(changes))}
+            onEnablePush={enablePush}
+            onDisablePush={() => disablePush()}
+            onClose={() => setSettingsOpen(false)}
+          />
+        )}
+
+        {mentionsOpen && (
+          <MentionsPanel
+            inbox={mentionInbox}
+            unreadCount={unreadMentions}
+            onOpen={openMention}
+            onMarkAllRead={() => quietly(markMentionsRead())}
+            onLoadMore={() => quietly(loadMoreMentions())}
+            onClose={toggleMentions}
+          />
+        )}
+
+        {activeThread && (
+          <ThreadPanel
+            thread={activeThread}
+            renderMessage={renderMessage}
+            onClose={closeThread}
+            onLoadMore={loadMoreReplies}
+            onReply={(parentId, reply) => quietly(sendThreadReply(parentId, reply))}
+          />
+        )}
       </div>
 
       <div className="chat-footer">
-        <button onClick={() => {
-          disconnect();
-          setIsConnected(false);
-          setShowLogin(true);
-        }}>
+        <button onClick={logout}>
           Logout
         </button>
       </div>
@@ -0,0 +1,21 @@
+import React from 'react';
+import { RenderedHtml } from './MessageText';
+
+// Replies to this user's slash commands, shown above the composer to them alone
+function CommandReplies({ replies, currentUsername, onDismiss }) {
+  return (
+    <ul className="command-replies">
+      {replies.map((reply) => (
+        <li key={reply.id} className={reply.error ? 'error' : ''}>
+          <small>{reply.input} · only visible to you</small>
+          {reply.html
+            ? <RenderedHtml html={reply.html} currentUsername={currentUsername} />
+            : <p>{reply.text}</p>}
+          <button type="button" title="Dismiss" onClick={() => onDismiss(reply.id)}>✕</button>
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+export default CommandReplies;
@@ -0,0 +1,30 @@
+import React from 'react';
+import LevelMarker from './LevelMarker';
+
+// The sidebar's direct-message conversations, newest first, with their unread counts and
+// notification levels (`levels`, by user id)
+function ConversationList({ conversations, activeConversation, levels, onOpen }) {
+  return (
+    <div className="conversations-section">
+      <h3>Direct Messages</h3>
+      <ul>
+        {conversations.map((conversation) => (
+          <li key={conversation._id}>
+            <button
+              onClick={() => onOpen(conversation.user._id)}
+              className={activeConversation === conversation.user._id ? 'active' : ''}
+            >
+              {conversation.user.username}
+              <LevelMarker level={levels[conversation.user._id]} />
+              {conversation.unreadCount > 0 && (
+                <span className="unread-badge">{conversation.unreadCount}</span>
+              )}
+            </button>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+export default ConversationList;
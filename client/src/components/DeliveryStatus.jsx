@@ -0,0 +1,26 @@
+import React from 'react';
+
+// Where one of your messages is on its way; history from the server is delivered
+function DeliveryStatus({ message, onRetry, onDiscard }) {
+  if (message.status === 'failed') {
+    return (
+      <span className="delivery-status failed" title={message.error}>
+        ⚠ Not sent
+        <button onClick={() => onRetry(message.clientId)}>Retry</button>
+        <button onClick={() => onDiscard(message.clientId)}>Discard</button>
+      </span>
+    );
+  }
+  if (message.status === 'queued') {
+    return <span className="delivery-status" title="Waiting for the connection">🕓</span>;
+  }
+  if (message.status === 'pending') {
+    return <span className="delivery-status" title="Sending">…</span>;
+  }
+  if (message.status === 'sent') {
+    return <span className="delivery-status" title="Sent">✓</span>;
+  }
+  return message.delivered ? <span className="delivery-status" title="Delivered">✓✓</span> : null;
+}
+
+export default DeliveryStatus;
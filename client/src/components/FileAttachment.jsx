@@ -0,0 +1,58 @@
+import React, { useState, useEffect } from 'react';
+
+const formatSize = (bytes) => {
+  if (!bytes) return '';
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+// A shared file: thumbnail for images, download link for everything
+function FileAttachment({ message, getFileUrls }) {
+  const [urls, setUrls] = useState(null);
+  // The file was deleted, access was refused, or the server couldn't be reached
+  const [unavailable, setUnavailable] = useState(false);
+
+  // Download links are signed per user, so they are fetched rather than stored on the message
+  useEffect(() => {
+    let cancelled = false;
+
+    if (message.fileId) {
+      setUnavailable(false);
+      getFileUrls(message.fileId)
+        .then((result) => {
+          if (cancelled) return;
+          setUrls(result);
+          setUnavailable(!result);
+        })
+        .catch(() => {
+          if (!cancelled) setUnavailable(true);
+        });
+    }
+
+    return () => {
+      cancelled = true;
+    };
+  }, [message.fileId]);
+
+  return (
+    <div className="file-message">
+      {message.hasThumbnail && urls?.thumbnailUrl && (
+        <a href={urls.url} target="_blank" rel="noopener noreferrer">
+          <img className="file-thumbnail" src={urls.thumbnailUrl} alt={message.fileName} />
+        </a>
+      )}
+      {urls ? (
+        <a href={urls.url} target="_blank" rel="noopener noreferrer">
+          📎 {message.fileName}
+        </a>
+      ) : (
+        <span>📎 {message.fileName}</span>
+      )}
+      <span className="file-size">{formatSize(message.fileSize)}</span>
+      {unavailable && <span className="file-unavailable">unavailable</span>}
+    </div>
+  );
+}
+
+export default FileAttachment;
@@ -0,0 +1,16 @@
+import React from 'react';
+
+// Sidebar marker for rooms and conversations that don't notify about everything
+const LEVEL_MARKERS = { mentions: '@', muted: '🔕' };
+
+function LevelMarker({ level }) {
+  if (!LEVEL_MARKERS[level]) return null;
+
+  return (
+    <span className="level-marker" title={level === 'muted' ? 'Muted' : 'Mentions only'}>
+      {LEVEL_MARKERS[level]}
+    </span>
+  );
+}
+
+export default LevelMarker;
@@ -0,0 +1,43 @@
+import React from 'react';
+
+// Side panel with the mentions inbox, newest first; unread mentions stand out
+function MentionsPanel({ inbox, unreadCount, onOpen, onMarkAllRead, onLoadMore, onClose }) {
+  return (
+    <div className="thread-panel search-panel">
+      <div className="thread-header">
+        <h3>Mentions</h3>
+        {unreadCount > 0 && (
+          <button onClick={onMarkAllRead}>Mark all read</button>
+        )}
+        <button onClick={onClose}>✕</button>
+      </div>
+      <div className="messages">
+        {inbox && inbox.mentions.length === 0 && (
+          <p className="search-empty">Nobody has mentioned you yet</p>
+        )}
+        {inbox?.mentions.map((mention) => (
+          <button
+            key={mention._id}
+            className={`search-result ${mention.read ? '' : 'unread'}`}
+            onClick={() => onOpen(mention)}
+          >
+            <span className="search-result-meta">
+              <strong>{mention.sender}</strong> in #{mention.room}
+              {mention.parentId && ' (thread)'}
+              {mention.kind !== 'user' && ` · @${mention.kind}`}
+              {' · '}{new Date(mention.timestamp).toLocaleString()}
+            </span>
+            <span className="search-snippet">{mention.message?.message}</span>
+          </button>
+        ))}
+        {inbox?.hasMore && (
+          <button className="load-more" onClick={onLoadMore}>
+            Older mentions
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default MentionsPanel;
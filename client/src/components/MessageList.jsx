@@ -0,0 +1,89 @@
+import React, { useEffect, useLayoutEffect, useRef } from 'react';
+
+// Stored messages are keyed by id, our unsent ones by client id and notices by their own id
+export const messageKey = (msg) => msg && (msg._id || msg.clientId || msg.id);
+
+// The scrolling list of the room's or conversation's messages. Scrolling near the top
+// loads older history, and near the bottom newer messages when older history is shown.
+function MessageList({
+  messages,
+  timeline,
+  highlightedMessage,
+  renderMessage,
+  onLoadOlder,
+  onLoadNewer,
+  onJumpToLatest,
+  children,
+}) {
+  const messagesEndRef = useRef(null);
+  const messagesContainerRef = useRef(null);
+  // First and last message shown at the previous render, to tell prepends from appends
+  const shownRangeRef = useRef({ first: null, last: null, scrollHeight: 0 });
+
+  const scrollToBottom = () => {
+    messagesEndRef.current?.scrollIntoView({ behavior: "smooth" });
+  };
+
+  // Older messages added on top keep what was on screen in place. New messages at the
+  // bottom are followed, unless older history or a message opened from search is shown.
+  useLayoutEffect(() => {
+    const container = messagesContainerRef.current;
+    if (!container) return;
+
+    const previous = shownRangeRef.current;
+    const first = messageKey(messages[0]);
+    const last = messageKey(messages[messages.length - 1]);
+    const prepended = first !== previous.first && last === previous.last
+      && messages.some((msg) => messageKey(msg) === previous.first);
+
+    if (prepended) {
+      container.scrollTop += container.scrollHeight - previous.scrollHeight;
+    } else if (last !== previous.last && !highlightedMessage && !timeline.hasMoreAfter) {
+      scrollToBottom();
+    }
+
+    shownRangeRef.current = { first, last, scrollHeight: container.scrollHeight };
+  }, [messages]);
+
+  // Keep loading older messages until the list can scroll
+  useEffect(() => {
+    const container = messagesContainerRef.current;
+    if (container && timeline.hasMoreBefore && container.scrollHeight <= container.clientHeight) {
+      onLoadOlder();
+    }
+  }, [messages, timeline.hasMoreBefore]);
+
+  const handleScroll = (e) => {
+    const { scrollTop, scrollHeight, clientHeight } = e.currentTarget;
+    if (scrollTop < 100) {
+      onLoadOlder();
+    } else if (scrollHeight - scrollTop - clientHeight < 100) {
+      onLoadNewer();
+    }
+  };
+
+  return (
+    <>
+      <div className="messages-container" ref={messagesContainerRef} onScroll={handleScroll}>
+        <div className="messages">
+          {timeline.hasMoreBefore && (
+            <button className="load-more" onClick={onLoadOlder}>
+              Load older messages
+            </button>
+          )}
+          {messages.map((msg) => renderMessage(msg))}
+          <div ref={messagesEndRef} />
+        </div>
+
+        {children}
+      </div>
+      {timeline.hasMoreAfter && (
+        <button className="jump-to-latest" onClick={onJumpToLatest}>
+          ↓ Jump to latest messages
+        </button>
+      )}
+    </>
+  );
+}
+
+export default MessageList;
@@ -0,0 +1,55 @@
+import React from 'react';
+
+// @room notifies everyone in the room, @here everyone looking at it
+export const GROUP_MENTIONS = ['room', 'here'];
+
+// "@name" as the server reads it: not straight after a word character, "@" or "."
+const MENTION_PATTERN = /(?<![\w@.])@([\w.-]+)/g;
+
+// Rendered messages mark mentions as <span class="mention" data-mention="name">
+const RENDERED_MENTION = /<span class="mention" data-mention="([\w.-]+)">/g;
+
+// HTML the server rendered and sanitized, with the mentions reaching you standing out
+export function RenderedHtml({ html, currentUsername }) {
+  return (
+    <div
+      className="message-body"
+      dangerouslySetInnerHTML={{
+        __html: html.replace(RENDERED_MENTION, (tag, name) => (
+          [currentUsername, ...GROUP_MENTIONS].includes(name)
+            ? `<span class="mention mention-me" data-mention="${name}">`
+            : tag
+        )),
+      }}
+    />
+  );
+}
+
+// Message text with its @mentions marked; those reaching you stand out. Stored
+// messages come rendered from Markdown; ones not yet stored show as typed.
+function MessageText({ message, currentUsername }) {
+  if (message.html) return <RenderedHtml html={message.html} currentUsername={currentUsername} />;
+
+  const mentioned = new Set((message.mentions || []).map((mention) => mention.username));
+  const parts = [];
+  let position = 0;
+
+  for (const match of (message.message || '').matchAll(MENTION_PATTERN)) {
+    const name = [match[1], match[1].replace(/[.-]+$/, '')]
+      .find((candidate) => mentioned.has(candidate) || message.groupMentions?.includes(candidate.toLowerCase()));
+    if (!name) continue;
+
+    const isGroup = !mentioned.has(name);
+    const isMe = isGroup || name === currentUsername;
+    parts.push(message.message.slice(position, match.index));
+    parts.push(
+      <span key={match.index} className={`mention ${isMe ? 'mention-me' : ''}`}>@{name}</span>
+    );
+    position = match.index + name.length + 1;
+  }
+  parts.push(message.message.slice(position));
+
+  return <p>{parts}</p>;
+}
+
+export default MessageText;
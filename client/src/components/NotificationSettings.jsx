@@ -0,0 +1,129 @@
+import React from 'react';
+
+// Notification levels for a room or conversation, as offered in the settings
+const NOTIFICATION_LEVELS = [
+  { value: 'all', label: 'All messages' },
+  { value: 'mentions', label: 'Mentions only' },
+  { value: 'muted', label: 'Muted' },
+];
+
+// Why the push toggle isn't offered, by pushState
+const PUSH_UNAVAILABLE = {
+  unsupported: "This browser doesn't support push notifications.",
+  unavailable: 'Push notifications are not enabled on this server.',
+  denied: 'Notifications are blocked for this site in the browser settings.',
+};
+
+// Side panel with the notification preferences; each change is saved right away.
+// Push on this browser is turned on and off separately, as it needs the browser's permission.
+function NotificationSettings({
+  preferences,
+  rooms,
+  conversations,
+  pushState,
+  onUpdate,
+  onEnablePush,
+  onDisablePush,
+  onClose,
+}) {
+  const setRoomLevel = (roomId, level) => {
+    onUpdate({ rooms: { [roomId]: level } });
+  };
+
+  const setConversationLevel = (userId, level) => {
+    onUpdate({ conversations: { [userId]: level } });
+  };
+
+  const updateDoNotDisturb = (field) => (e) => {
+    const value = e.target.type === 'checkbox' ? e.target.checked : e.target.value;
+    if (value === '') return;
+    onUpdate({ doNotDisturb: { [field]: value } });
+  };
+
+  const renderLevelSelect = (value, onChange) => (
+    <select value={value || 'all'} onChange={(e) => onChange(e.target.value)}>
+      {NOTIFICATION_LEVELS.map((level) => (
+        <option key={level.value} value={level.value}>{level.label}</option>
+      ))}
+    </select>
+  );
+
+  return (
+    <div className="thread-panel search-panel">
+      <div className="thread-header">
+        <h3>Notifications</h3>
+        <button onClick={onClose}>✕</button>
+      </div>
+      <div className="notification-settings">
+        <label>
+          <input
+            type="checkbox"
+            checked={preferences.sound}
+            onChange={(e) => onUpdate({ sound: e.target.checked })}
+          />
+          Play a sound
+        </label>
+
+        <h4>Do not disturb</h4>
+        <label>
+          <input
+            type="checkbox"
+            checked={preferences.doNotDisturb.enabled}
+            onChange={updateDoNotDisturb('enabled')}
+          />
+          Hold back notifications every day
+        </label>
+        <label>
+          From
+          <input
+            type="time"
+            value={preferences.doNotDisturb.start}
+            onChange={updateDoNotDisturb('start')}
+          />
+          until
+          <input
+            type="time"
+            value={preferences.doNotDisturb.end}
+            onChange={updateDoNotDisturb('end')}
+          />
+        </label>
+        <small>Times are in {preferences.doNotDisturb.timeZone}; changing them switches to this device's time zone.</small>
+
+        <h4>Push notifications</h4>
+        {['on', 'off'].includes(pushState) ? (
+          <label>
+            <input
+              type="checkbox"
+              checked={pushState === 'on'}
+              onChange={(e) => (e.target.checked ? onEnablePush() : onDisablePush())}
+            />
+            Notify this device about mentions and direct messages while I'm offline
+          </label>
+        ) : (
+          <small>{PUSH_UNAVAILABLE[pushState]}</small>
+        )}
+
+        <h4>Rooms</h4>
+        {rooms.map((room) => (
+          <label key={room.roomId}>
+            <span className="setting-name">#{room.name}</span>
+            {renderLevelSelect(preferences.rooms[room.roomId], (level) => setRoomLevel(room.roomId, level))}
+          </label>
+        ))}
+
+        {conversations.length > 0 && <h4>Direct messages</h4>}
+        {conversations.map((conversation) => (
+          <label key={conversation._id}>
+            <span className="setting-name">{conversation.user.username}</span>
+            {renderLevelSelect(
+              preferences.conversations[conversation.user._id],
+              (level) => setConversationLevel(conversation.user._id, level)
+            )}
+          </label>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default NotificationSettings;
@@ -0,0 +1,50 @@
+import React from 'react';
+
+// Offered by the add-reaction button
+const QUICK_REACTIONS = ['👍', '❤️', '😂', '🎉', '😮', '😢', '👀', '🙏'];
+
+// Reaction chips, one per emoji with its count; yours are marked and clicking one adds or
+// removes your reaction. Only one message's picker is open at a time, so the app holds
+// which one.
+function Reactions({ message, currentUserId, pickerOpen, onTogglePicker, onToggle }) {
+  if (!message._id) return null;
+
+  const pickReaction = (emoji) => {
+    onTogglePicker();
+    onToggle(message, emoji);
+  };
+
+  return (
+    <div className="reactions">
+      {(message.reactions || []).map((group) => {
+        const mine = group.users.some((user) => user._id === currentUserId);
+        return (
+          <button
+            key={group.emoji}
+            className={`reaction-chip ${mine ? 'mine' : ''}`}
+            title={group.users.map((user) => user.username).join(', ')}
+            onClick={() => onToggle(message, group.emoji)}
+          >
+            {group.emoji} {group.count}
+          </button>
+        );
+      })}
+      <button
+        className="reaction-chip add-reaction"
+        title="Add reaction"
+        onClick={onTogglePicker}
+      >
+        ☺+
+      </button>
+      {pickerOpen && (
+        <div className="reaction-picker">
+          {QUICK_REACTIONS.map((emoji) => (
+            <button key={emoji} onClick={() => pickReaction(emoji)}>{emoji}</button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default Reactions;
@@ -0,0 +1,115 @@
+import React from 'react';
+
+// Side panel with the search form and its results. The form's fields live in the app,
+// so a search can also be started from elsewhere.
+function SearchPanel({ form, onFormChange, results, currentRoom, placeOf, onSearch, onLoadMore, onOpen, onClose }) {
+  const updateField = (field) => (e) => {
+    const value = e.target.type === 'checkbox' ? e.target.checked : e.target.value;
+    onFormChange((prev) => ({ ...prev, [field]: value }));
+  };
+
+  // "This room" searches the current room; the other choices search everything you can read.
+  // Dates are whole local days, so the end date is included.
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const { query, where, sender, from, to, attachmentsOnly } = form;
+    if (!query.trim()) return;
+
+    const filters = { attachmentsOnly };
+    if (where === 'room') {
+      filters.roomId = currentRoom;
+    } else {
+      filters.scope = where;
+    }
+    if (sender.trim()) {
+      filters.sender = sender.trim();
+    }
+    if (from) {
+      filters.after = new Date(`${from}T00:00`).toISOString();
+    }
+    if (to) {
+      const end = new Date(`${to}T00:00`);
+      end.setDate(end.getDate() + 1);
+      filters.before = end.toISOString();
+    }
+
+    onSearch(query.trim(), filters);
+  };
+
+  return (
+    <div className="thread-panel search-panel">
+      <div className="thread-header">
+        <h3>Search</h3>
+        <button onClick={onClose}>✕</button>
+      </div>
+      <form onSubmit={handleSubmit} className="search-form">
+        <input
+          type="search"
+          placeholder='Words, "exact phrases", -excluded'
+          value={form.query}
+          onChange={updateField('query')}
+          autoFocus
+        />
+        <select value={form.where} onChange={updateField('where')}>
+          <option value="room">This room</option>
+          <option value="all">All rooms and direct messages</option>
+          <option value="rooms">All rooms</option>
+          <option value="dms">Direct messages</option>
+        </select>
+        <input
+          type="text"
+          placeholder="From user"
+          value={form.sender}
+          onChange={updateField('sender')}
+        />
+        <label>
+          After <input type="date" value={form.from} onChange={updateField('from')} />
+        </label>
+        <label>
+          Until <input type="date" value={form.to} onChange={updateField('to')} />
+        </label>
+        <label>
+          <input
+            type="checkbox"
+            checked={form.attachmentsOnly}
+            onChange={updateField('attachmentsOnly')}
+          />
+          Files only
+        </label>
+        <button type="submit">Search</button>
+      </form>
+      <div className="messages">
+        {results && results.messages.length === 0 && (
+          <p className="search-empty">No messages found</p>
+        )}
+        {results?.messages.map((result) => (
+          <button
+            key={result._id}
+            className="search-result"
+            onClick={() => onOpen(result)}
+          >
+            <span className="search-result-meta">
+              <strong>{result.sender}</strong> in {placeOf(result)}
+              {' · '}{new Date(result.timestamp).toLocaleString()}
+            </span>
+            <span className="search-snippet">
+              {result.isFile && '📎 '}
+              {result.snippet.map((segment, index) => (
+                segment.match
+                  ? <mark key={index}>{segment.text}</mark>
+                  : <React.Fragment key={index}>{segment.text}</React.Fragment>
+              ))}
+            </span>
+          </button>
+        ))}
+        {results?.hasMore && (
+          <button className="load-more" onClick={onLoadMore}>
+            More results
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default SearchPanel;
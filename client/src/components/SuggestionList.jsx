@@ -0,0 +1,28 @@
+import React from 'react';
+
+// Completions for what is being typed in the composer (@mentions or /commands). Each
+// suggestion has a key, a label, an optional hint and `complete` to insert it.
+function SuggestionList({ suggestions, activeIndex }) {
+  return (
+    <ul className="mention-suggestions">
+      {suggestions.map((suggestion, index) => (
+        <li key={suggestion.key}>
+          <button
+            type="button"
+            className={index === activeIndex ? 'active' : ''}
+            onMouseDown={(e) => {
+              // Keep the focus in the composer
+              e.preventDefault();
+              suggestion.complete();
+            }}
+          >
+            {suggestion.label}
+            {suggestion.hint && <small> {suggestion.hint}</small>}
+          </button>
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+export default SuggestionList;
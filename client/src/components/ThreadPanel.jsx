@@ -0,0 +1,46 @@
+import React, { useState } from 'react';
+
+// Side panel with a message's thread: the parent, its replies and a reply box
+function ThreadPanel({ thread, renderMessage, onClose, onLoadMore, onReply }) {
+  const [reply, setReply] = useState('');
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!reply.trim() || !thread.parent) return;
+
+    onReply(thread.parent._id, reply);
+    setReply('');
+  };
+
+  return (
+    <div className="thread-panel">
+      <div className="thread-header">
+        <h3>Thread</h3>
+        <button onClick={onClose}>✕</button>
+      </div>
+      <div className="messages">
+        {thread.parent && renderMessage(thread.parent, true)}
+        {thread.hasMoreBefore && (
+          <button
+            className="load-more"
+            onClick={() => onLoadMore(thread.beforeCursor)}
+          >
+            Load earlier replies
+          </button>
+        )}
+        {thread.replies.map((item) => renderMessage(item, true))}
+      </div>
+      <form onSubmit={handleSubmit} className="message-form">
+        <input
+          type="text"
+          placeholder="Reply in thread..."
+          value={reply}
+          onChange={(e) => setReply(e.target.value)}
+        />
+        <button type="submit">Reply</button>
+      </form>
+    </div>
+  );
+}
+
+export default ThreadPanel;
@@ -0,0 +1,42 @@
+// push.js - Service worker registration and this browser's Web Push subscription
+
+const SERVICE_WORKER_URL = '/sw.js';
+
+export const pushSupported = () =>
+  'serviceWorker' in navigator && 'PushManager' in window && 'Notification' in window;
+
+let registration = null;
+
+// Register the service worker once; resolves to its registration, or null where
+// service workers aren't available
+export const registerServiceWorker = () => {
+  if (!('serviceWorker' in navigator)) return Promise.resolve(null);
+
+  registration ||= navigator.serviceWorker.register(SERVICE_WORKER_URL).catch((error) => {
+    console.log('Service worker registration failed:', error);
+    return null;
+  });
+  return registration;
+};
+
+// VAPID keys come base64url-encoded; the push manager wants the raw bytes
+const keyBytes = (base64url) => {
+  const base64 = base64url.replace(/-/g, '+').replace(/_/g, '/');
+  const raw = atob(base64.padEnd(Math.ceil(base64.length / 4) * 4, '='));
+  return Uint8Array.from(raw, (char) => char.charCodeAt(0));
+};
+
+// This browser's current subscription, or null
+export const currentSubscription = async () => {
+  const ready = await registerServiceWorker();
+  return ready?.pushManager ? ready.pushManager.getSubscription() : null;
+};
+
+// Subscribe this browser with the server's VAPID key, reusing an existing subscription
+export const subscribeBrowser = async (publicKey) => {
+  await registerServiceWorker();
+  const ready = await navigator.serviceWorker.ready;
+
+  return (await ready.pushManager.getSubscription())
+    || ready.pushManager.subscribe({ userVisibleOnly: true, applicationServerKey: keyBytes(publicKey) });
+};
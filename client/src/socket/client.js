@@ -0,0 +1,59 @@
+// client.js - The Socket.io client instance and auth token, shared by the hooks
+
+import { io } from 'socket.io-client';
+
+// Socket.io connection URL
+export const SOCKET_URL = import.meta.env.VITE_SOCKET_URL || 'http://localhost:5000';
+
+// Key used to persist the auth token across page reloads
+export const TOKEN_STORAGE_KEY = 'chat_token';
+
+export const getStoredToken = () => localStorage.getItem(TOKEN_STORAGE_KEY);
+
+// Call the REST API with the stored auth token
+export const apiFetch = (path, options = {}) => {
+  const token = getStoredToken();
+  // Let the browser set the multipart boundary for uploads
+  const isFormData = options.body instanceof FormData;
+
+  return fetch(`${SOCKET_URL}${path}`, {
+    ...options,
+    headers: {
+      ...(isFormData ? {} : { 'Content-Type': 'application/json' }),
+      ...(token ? { Authorization: `Bearer ${token}` } : {}),
+      ...options.headers,
+    },
+  });
+};
+
+// Create socket instance
+export const socket = io(SOCKET_URL, {
+  autoConnect: false,
+  // Set VITE_SOCKET_TRANSPORTS=websocket when the servers run without sticky sessions
+  ...(import.meta.env.VITE_SOCKET_TRANSPORTS && {
+    transports: import.meta.env.VITE_SOCKET_TRANSPORTS.split(',').map((name) => name.trim()),
+  }),
+  reconnection: true,
+  // Keep trying with backoff; the UI shows the attempts and offers to retry right away
+  reconnectionAttempts: Infinity,
+  reconnectionDelayMax: 30000,
+  reconnectionDelay: 1000,
+});
+
+// Emit an event and wait for its acknowledgement, rejecting if the server reports an error.
+// The rejection carries the server's `code` (e.g. VALIDATION_ERROR) and any details such
+// as `issues` or `retryAfterMs`.
+export const emitWithAck = (event, payload) =>
+  new Promise((resolve, reject) => {
+    socket.timeout(30000).emit(event, payload, (timeoutError, response) => {
+      if (timeoutError) {
+        const error = new Error('The server did not respond');
+        error.code = 'TIMEOUT';
+        return reject(error);
+      }
+      if (response?.error) {
+        return reject(Object.assign(new Error(response.error.message), response.error));
+      }
+      resolve(response);
+    });
+  });
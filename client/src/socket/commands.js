@@ -0,0 +1,107 @@
+// commands.js - Slash commands: the ones usable in the current room, running them and
+// the replies only this user sees
+
+import { useEffect, useState } from 'react';
+import { socket, emitWithAck } from './client';
+
+export const useCommands = (chat) => {
+  const {
+    isConnected,
+    currentRoom,
+    currentRoomRef,
+    setCurrentRoom,
+    setCurrentUser,
+    setTypingUsers,
+  } = chat;
+  // Slash commands usable in the current room, and the replies only this user sees
+  const [commands, setCommands] = useState([]);
+  const [commandReplies, setCommandReplies] = useState([]);
+
+  // Fetch the slash commands this user can run in a room, for autocompletion
+  const loadCommands = async (roomId = currentRoomRef.current) => {
+    try {
+      const result = await emitWithAck('list_commands', { room: roomId });
+      setCommands(result.commands);
+    } catch (error) {
+      console.log('Loading commands failed:', error.message);
+    }
+  };
+
+  const addCommandReply = (reply) => {
+    setCommandReplies((prev) => [...prev, { id: `${Date.now()}-${prev.length}`, ...reply }]);
+  };
+
+  // Pick up a new username: the server reads it when the connection is made
+  const applyUsername = (user) => {
+    setCurrentUser((prev) => (prev ? { ...prev, ...user } : prev));
+    socket.disconnect();
+    socket.connect();
+  };
+
+  // Run "/command args" in the current room. Replies and errors are shown only to this
+  // user, so they go to `commandReplies` rather than the error banner.
+  const runCommand = async (input) => {
+    try {
+      const result = await emitWithAck('run_command', { input, room: currentRoomRef.current });
+
+      if (result.room) {
+        currentRoomRef.current = result.room.roomId;
+        setCurrentRoom(result.room.roomId);
+        setTypingUsers([]);
+        chat.loadTimeline('latest', { roomId: result.room.roomId }).catch(() => {});
+      }
+      if (result.search) {
+        // The results themselves arrive as `search_results`
+        chat.followSearch(result.search);
+      }
+      if (result.reply) {
+        addCommandReply({ input, ...result.reply });
+      }
+      if (result.user) {
+        applyUsername(result.user);
+      }
+      return result;
+    } catch (error) {
+      addCommandReply({ input, text: error.message, error: true });
+      return null;
+    }
+  };
+
+  const dismissCommandReply = (id) => {
+    setCommandReplies((prev) => prev.filter((reply) => reply.id !== id));
+  };
+
+  // Forget the commands and replies of the user logging out
+  const resetCommands = () => {
+    setCommands([]);
+    setCommandReplies([]);
+  };
+
+  useEffect(() => {
+    // Our username was changed from another tab
+    const onUsernameChanged = ({ user }) => {
+      applyUsername(user);
+    };
+
+    socket.on('username_changed', onUsernameChanged);
+
+    return () => {
+      socket.off('username_changed', onUsernameChanged);
+    };
+  }, []);
+
+  // Which commands apply depends on the room (e.g. /invite in private rooms)
+  useEffect(() => {
+    if (isConnected) {
+      loadCommands(currentRoom);
+    }
+  }, [isConnected, currentRoom]);
+
+  return {
+    commands,
+    commandReplies,
+    runCommand,
+    dismissCommandReply,
+    resetCommands,
+  };
+};
@@ -0,0 +1,164 @@
+// connection.js - Connecting to the server, reconnecting, and resuming the session and
+// catching up on missed messages on every (re)connect
+
+import { useEffect, useRef, useState } from 'react';
+import { socket, getStoredToken } from './client';
+import { reconcileMessage } from './messageLists';
+
+export const useConnection = (chat) => {
+  const [isConnected, setIsConnected] = useState(socket.connected);
+  // connected, reconnecting or disconnected (logged out or not yet connected)
+  const [connectionState, setConnectionState] = useState(socket.connected ? 'connected' : 'disconnected');
+  const [reconnectAttempt, setReconnectAttempt] = useState(0);
+  const reconnectTimerRef = useRef(null);
+
+  // Connect to socket server with the stored token
+  const connect = (token = getStoredToken()) => {
+    socket.auth = { token };
+    socket.connect();
+    chat.refreshPushState();
+  };
+
+  // Disconnect from socket server
+  const disconnect = () => {
+    socket.disconnect();
+  };
+
+  // Reconnect right away instead of waiting for the next automatic attempt
+  const reconnect = () => {
+    clearTimeout(reconnectTimerRef.current);
+    if (!socket.connected) {
+      socket.connect();
+    }
+  };
+
+  // Don't come back after the user logs out
+  const resetConnection = () => {
+    clearTimeout(reconnectTimerRef.current);
+    socket.auth = {};
+    setReconnectAttempt(0);
+  };
+
+  useEffect(() => {
+    // Every (re)connection gets a new socket id, so announce ourselves each time
+    // and let the server resume our session
+    // Tell the server the newest message we have per room, so it can send what we missed
+    const onConnect = () => {
+      setIsConnected(true);
+      setConnectionState('connected');
+      setReconnectAttempt(0);
+      socket.emit('user_join', { lastSeen: chat.lastSeenRef.current });
+    };
+
+    const onSession = (session) => {
+      chat.userIdRef.current = session.userId;
+      chat.currentRoomRef.current = session.currentRoom;
+      chat.setCurrentRoom(session.currentRoom);
+      socket.emit('mark_room_read', { roomId: session.currentRoom });
+    };
+
+    // Anything but our own disconnect() (logout) is retried
+    const onDisconnect = (reason) => {
+      setIsConnected(false);
+      setConnectionState(reason === 'io client disconnect' ? 'disconnected' : 'reconnecting');
+    };
+
+    const onReconnectAttempt = (attempt) => {
+      setConnectionState('reconnecting');
+      setReconnectAttempt(attempt);
+    };
+
+    // Don't wait out the backoff when the browser comes back online
+    const onBrowserOnline = () => {
+      if (!socket.connected && socket.auth?.token) {
+        clearTimeout(reconnectTimerRef.current);
+        socket.connect();
+      }
+    };
+
+    // Rejected handshakes aren't retried by socket.io, so come back once a penalty is over
+    const reconnectLater = (delayMs) => {
+      clearTimeout(reconnectTimerRef.current);
+      reconnectTimerRef.current = setTimeout(() => socket.connect(), delayMs);
+    };
+
+    const onConnectError = (error) => {
+      if (error.data?.code === 'RATE_LIMITED') {
+        chat.setServerError({ code: 'RATE_LIMITED', message: error.message, retryAfterMs: error.data.retryAfterMs });
+        reconnectLater(error.data.retryAfterMs);
+      }
+    };
+
+    // The server disconnects clients flooding it with events
+    const onServerError = (error) => {
+      if (error.code === 'FLOODING') {
+        reconnectLater(error.retryAfterMs);
+      }
+    };
+
+    // Messages posted in the current room while we were disconnected. Copies of our own
+    // unsent messages are matched up, and whatever is still unsent stays last.
+    const onMissedMessages = ({ roomId, messages: missed, hasMore }) => {
+      if (roomId !== chat.currentRoomRef.current || missed.length === 0 || !chat.showsLatest({ roomId })) return;
+
+      chat.cacheFileUrls(missed);
+      chat.setMessages((prev) => {
+        let list = prev;
+        const fresh = [];
+        missed.forEach((message) => {
+          const merged = reconcileMessage(list, message, 'delivered');
+          if (merged) {
+            list = merged;
+          } else {
+            fresh.push(message);
+          }
+        });
+
+        if (hasMore) {
+          fresh.unshift({
+            id: `missed-${Date.now()}`,
+            system: true,
+            message: 'Older messages from while you were away are not shown',
+            timestamp: new Date().toISOString(),
+          });
+        }
+
+        const firstUnsent = list.findIndex((msg) => ['queued', 'pending', 'failed'].includes(msg.status));
+        const at = firstUnsent === -1 ? list.length : firstUnsent;
+        return [...list.slice(0, at), ...fresh, ...list.slice(at)];
+      });
+      chat.rememberLastSeen(missed[missed.length - 1]);
+    };
+
+    socket.on('connect', onConnect);
+    socket.on('disconnect', onDisconnect);
+    socket.on('connect_error', onConnectError);
+    socket.on('error', onServerError);
+    socket.on('session', onSession);
+    socket.on('missed_messages', onMissedMessages);
+    socket.io.on('reconnect_attempt', onReconnectAttempt);
+    window.addEventListener('online', onBrowserOnline);
+
+    return () => {
+      clearTimeout(reconnectTimerRef.current);
+      socket.off('connect', onConnect);
+      socket.off('disconnect', onDisconnect);
+      socket.off('connect_error', onConnectError);
+      socket.off('error', onServerError);
+      socket.off('session', onSession);
+      socket.off('missed_messages', onMissedMessages);
+      socket.io.off('reconnect_attempt', onReconnectAttempt);
+      window.removeEventListener('online', onBrowserOnline);
+    };
+  }, []);
+
+  return {
+    isConnected,
+    connectionState,
+    reconnectAttempt,
+    connect,
+    disconnect,
+    reconnect,
+    resetConnection,
+  };
+};
@@ -0,0 +1,119 @@
+// conversations.js - Direct messages: the conversation list and the open conversation
+
+import { useEffect, useState } from 'react';
+import { socket, apiFetch } from './client';
+import { newClientId, reconcileMessage } from './messageLists';
+
+export const useConversations = (chat) => {
+  const {
+    notify,
+    userIdRef,
+    activeConversationRef,
+    setActiveConversation,
+    setPrivateMessages,
+    setLastMessage,
+  } = chat;
+  const [conversations, setConversations] = useState([]);
+
+  // Send a private message to a user id; resolves with the stored message
+  const sendPrivateMessage = (to, message) => {
+    const clientId = newClientId();
+    const local = chat.pendingMessage({ clientId, message, recipient: to, isPrivate: true });
+    setPrivateMessages((prev) => ({ ...prev, [to]: [...(prev[to] || []), local] }));
+    chat.returnToLatest();
+    return chat.queueMessage('private_message', { to, message, clientId }, local);
+  };
+
+  // Fetch the list of direct-message conversations
+  const fetchConversations = async () => {
+    try {
+      const response = await apiFetch('/api/conversations');
+      if (response.ok) {
+        setConversations(await response.json());
+      }
+    } catch (error) {
+      console.log('Failed to fetch conversations:', error);
+    }
+  };
+
+  // Clear the unread count of the conversation with a user
+  const markConversationRead = (userId) => {
+    notify('mark_conversation_read', { userId });
+  };
+
+  // Show the conversation with a user instead of the current room
+  const openConversation = (userId) => {
+    activeConversationRef.current = userId;
+    setActiveConversation(userId);
+    chat.loadLatestMessages().catch(() => {});
+    markConversationRead(userId);
+  };
+
+  // Go back to the current room
+  const closeConversation = () => {
+    activeConversationRef.current = null;
+    setActiveConversation(null);
+  };
+
+  // Forget the conversations of the user logging out
+  const resetConversations = () => {
+    setConversations([]);
+  };
+
+  useEffect(() => {
+    const onSession = () => {
+      fetchConversations();
+    };
+
+    // Direct messages are kept per conversation, keyed by the other user's id
+    const onPrivateMessage = (message) => {
+      const isOwn = message.senderId === userIdRef.current;
+      const otherUserId = isOwn ? message.recipient : message.senderId;
+
+      setLastMessage(message);
+      setPrivateMessages((prev) => {
+        const list = prev[otherUserId] || [];
+        const added = chat.showsLatest({ userId: otherUserId }) ? [...list, message] : list;
+        return {
+          ...prev,
+          [otherUserId]: reconcileMessage(list, message, 'delivered') || added,
+        };
+      });
+
+      if (isOwn) return;
+
+      if (activeConversationRef.current === otherUserId) {
+        socket.emit('mark_conversation_read', { userId: otherUserId });
+      }
+      // The sound and popup come with `new_message_notification`, if the preferences allow
+    };
+
+    const onConversationUpdated = (conversation) => {
+      setConversations((prev) =>
+        [conversation, ...prev.filter((c) => c._id !== conversation._id)].sort(
+          (a, b) => new Date(b.lastMessageAt) - new Date(a.lastMessageAt)
+        )
+      );
+    };
+
+    socket.on('session', onSession);
+    socket.on('private_message', onPrivateMessage);
+    socket.on('conversation_updated', onConversationUpdated);
+
+    return () => {
+      socket.off('session', onSession);
+      socket.off('private_message', onPrivateMessage);
+      socket.off('conversation_updated', onConversationUpdated);
+    };
+  }, []);
+
+  return {
+    conversations,
+    sendPrivateMessage,
+    fetchConversations,
+    markConversationRead,
+    openConversation,
+    closeConversation,
+    resetConversations,
+  };
+};
@@ -0,0 +1,103 @@
+// mentions.js - The mentions inbox: who mentioned you where, and which you have read
+
+import { useEffect, useState } from 'react';
+import { socket } from './client';
+
+export const useMentions = (chat) => {
+  const { request } = chat;
+  // The mentions inbox once opened ({ mentions, hasMore, nextCursor }), and the unread count
+  const [mentionInbox, setMentionInbox] = useState(null);
+  const [unreadMentions, setUnreadMentions] = useState(0);
+
+  // Open the mentions inbox, newest first
+  const loadMentions = async () => {
+    const page = await request('load_mentions', {});
+    setMentionInbox(page);
+    setUnreadMentions(page.unreadCount);
+    return page;
+  };
+
+  // Load the next page of the mentions inbox
+  const loadMoreMentions = async () => {
+    if (!mentionInbox?.nextCursor) return null;
+
+    const page = await request('load_mentions', { cursor: mentionInbox.nextCursor });
+    setMentionInbox((prev) => ({ ...page, mentions: [...(prev?.mentions || []), ...page.mentions] }));
+    return page;
+  };
+
+  const closeMentions = () => {
+    setMentionInbox(null);
+  };
+
+  // Mark the given mentions as read, or all of them without `ids`
+  const markMentionsRead = async (ids) => {
+    const { count } = await request('mark_mentions_read', ids ? { ids } : {});
+    setUnreadMentions(count);
+    setMentionInbox((prev) => prev && {
+      ...prev,
+      mentions: prev.mentions.map((mention) => (
+        !ids || ids.includes(mention._id) ? { ...mention, read: true } : mention
+      )),
+    });
+    return count;
+  };
+
+  // Forget the mentions of the user logging out
+  const resetMentions = () => {
+    setMentionInbox(null);
+    setUnreadMentions(0);
+  };
+
+  useEffect(() => {
+    // Mentions reach you in any room and go to the top of the inbox if it's open. They
+    // come `silent` when your preferences hold their alert back.
+    const onMention = (mention) => {
+      setMentionInbox((prev) => prev && { ...prev, mentions: [mention, ...prev.mentions] });
+      chat.addNotification({
+        ...mention,
+        message: `${mention.sender} mentioned ${mention.kind === 'user' ? 'you' : `@${mention.kind}`} in #${mention.room}: ${mention.message.message}`,
+      });
+      if (!mention.silent) {
+        chat.alertUser(
+          { roomId: mention.room },
+          `Mentioned by ${mention.sender} in #${mention.room}`,
+          mention.message.message,
+          true
+        );
+      }
+    };
+
+    const onMentionsUnread = ({ count }) => {
+      setUnreadMentions(count);
+    };
+
+    // A deleted message takes its mentions out of the inbox
+    const onMessageDeleted = (message) => {
+      setMentionInbox((prev) => prev && {
+        ...prev,
+        mentions: prev.mentions.filter((mention) => mention.message?._id !== message._id),
+      });
+    };
+
+    socket.on('mention', onMention);
+    socket.on('mentions_unread', onMentionsUnread);
+    socket.on('message_deleted', onMessageDeleted);
+
+    return () => {
+      socket.off('mention', onMention);
+      socket.off('mentions_unread', onMentionsUnread);
+      socket.off('message_deleted', onMessageDeleted);
+    };
+  }, []);
+
+  return {
+    mentionInbox,
+    unreadMentions,
+    loadMentions,
+    loadMoreMentions,
+    closeMentions,
+    markMentionsRead,
+    resetMentions,
+  };
+};
@@ -0,0 +1,27 @@
+// messageLists.js - Finding and updating messages in the lists shown on screen
+
+// Your own messages move through these states in order: waiting in the outbox, being
+// sent, stored, broadcast. A send the server refuses is marked `failed` and can be retried.
+export const DELIVERY_STATES = ['queued', 'pending', 'sent', 'delivered'];
+
+export const furthestStatus = (current, next) =>
+  (DELIVERY_STATES.indexOf(current) > DELIVERY_STATES.indexOf(next) ? current : next);
+
+// Id a message gets before the server has stored it; resending under it is idempotent
+export const newClientId = () =>
+  crypto.randomUUID?.() || `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+
+// Position of a message in a list, by client id when there is one, otherwise by _id
+export const indexOfMessage = (list, { _id, clientId }) =>
+  list.findIndex((item) => (clientId && item.clientId === clientId) || (_id && item._id === _id));
+
+// Merge the server's copy of a message into a list that already holds it, moving
+// its status on. Returns null when the list doesn't hold the message.
+export const reconcileMessage = (list, message, status) => {
+  const index = indexOfMessage(list, message);
+  if (index === -1) return null;
+
+  const next = [...list];
+  next[index] = { ...list[index], ...message, status: furthestStatus(list[index].status, status) };
+  return next;
+};
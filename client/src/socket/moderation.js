@@ -0,0 +1,103 @@
+// moderation.js - Kicking, muting and banning, and the notices when it happens to you
+
+import { useEffect, useState } from 'react';
+import { socket } from './client';
+
+export const useModeration = (chat) => {
+  const { request } = chat;
+  const [mutedRooms, setMutedRooms] = useState({});
+  const [moderationNotice, setModerationNotice] = useState(null);
+
+  // Moderation actions for room owners/admins and site moderators; every one needs a reason
+  const kickUser = (roomId, userId, reason) => request('kick_user', { roomId, userId, reason });
+
+  const muteUser = (roomId, userId, reason, durationMinutes) =>
+    request('mute_user', { roomId, userId, reason, durationMinutes });
+
+  const unmuteUser = (roomId, userId, reason) => request('unmute_user', { roomId, userId, reason });
+
+  const banUser = (roomId, userId, reason, durationMinutes) =>
+    request('ban_user', { roomId, userId, reason, durationMinutes });
+
+  const unbanUser = (roomId, userId, reason) => request('unban_user', { roomId, userId, reason });
+
+  const dismissModerationNotice = () => {
+    setModerationNotice(null);
+  };
+
+  // Forget the mutes and notices of the user logging out
+  const resetModeration = () => {
+    setMutedRooms({});
+    setModerationNotice(null);
+  };
+
+  useEffect(() => {
+    // Moderation events aimed at this user
+    const onKicked = (data) => {
+      setModerationNotice({ type: 'kicked', ...data });
+      if (data.roomId === chat.currentRoomRef.current) {
+        chat.joinRoom('general').catch(() => {});
+      }
+    };
+
+    const onBanned = (data) => {
+      setModerationNotice({ type: 'banned', ...data });
+      if (data.roomId === chat.currentRoomRef.current) {
+        chat.joinRoom('general').catch(() => {});
+      }
+    };
+
+    const onMuted = (data) => {
+      setMutedRooms((prev) => ({ ...prev, [data.roomId]: data }));
+      setModerationNotice({ type: 'muted', ...data });
+    };
+
+    const onUnmuted = ({ roomId }) => {
+      setMutedRooms((prev) => {
+        const next = { ...prev };
+        delete next[roomId];
+        return next;
+      });
+    };
+
+    const onUnbanned = (data) => {
+      setModerationNotice({ type: 'unbanned', ...data });
+    };
+
+    // Whoever was in a deleted room goes back to general
+    const onRoomDeleted = ({ roomId, name, by }) => {
+      if (roomId === chat.currentRoomRef.current) {
+        setModerationNotice({ type: 'room_deleted', roomId, name, by });
+        chat.joinRoom('general').catch(() => {});
+      }
+    };
+
+    socket.on('kicked', onKicked);
+    socket.on('banned', onBanned);
+    socket.on('muted', onMuted);
+    socket.on('unmuted', onUnmuted);
+    socket.on('unbanned', onUnbanned);
+    socket.on('room_deleted', onRoomDeleted);
+
+    return () => {
+      socket.off('kicked', onKicked);
+      socket.off('banned', onBanned);
+      socket.off('muted', onMuted);
+      socket.off('unmuted', onUnmuted);
+      socket.off('unbanned', onUnbanned);
+      socket.off('room_deleted', onRoomDeleted);
+    };
+  }, []);
+
+  return {
+    mutedRooms,
+    moderationNotice,
+    kickUser,
+    muteUser,
+    unmuteUser,
+    banUser,
+    unbanUser,
+    dismissModerationNotice,
+    resetModeration,
+  };
+};
@@ -0,0 +1,181 @@
+// notifications.js - The notification list, and alerting with a sound and a browser
+// popup as far as the user's notification preferences allow
+
+import { useEffect, useRef, useState } from 'react';
+import { socket } from './client';
+import { registerServiceWorker } from '../push';
+
+// Notification preferences of a user who never changed them; the server sends the real ones
+const DEFAULT_PREFERENCES = {
+  rooms: {},
+  conversations: {},
+  sound: true,
+  doNotDisturb: { enabled: false, start: '22:00', end: '08:00', timeZone: 'UTC' },
+};
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Whether the do-not-disturb hours are on right now, on the clock of their time zone.
+// An end before the start runs past midnight; equal times mean all day.
+const inQuietHours = ({ enabled, start, end, timeZone }) => {
+  if (!enabled) return false;
+  if (start === end) return true;
+
+  const clock = new Intl.DateTimeFormat('en-GB', {
+    timeZone,
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23',
+  }).format(new Date());
+  const now = toMinutes(clock);
+  return toMinutes(start) < toMinutes(end)
+    ? now >= toMinutes(start) && now < toMinutes(end)
+    : now >= toMinutes(start) || now < toMinutes(end);
+};
+
+// Whether to alert about something in a room (`{ roomId }`) or DM (`{ userId }`); with
+// neither it only depends on the quiet hours. "mentions" lets only mentions through.
+const allowsAlert = (preferences, { roomId, userId } = {}, mentioned = false) => {
+  if (inQuietHours(preferences.doNotDisturb)) return false;
+
+  const level = (roomId && preferences.rooms[roomId])
+    || (userId && preferences.conversations[userId])
+    || 'all';
+  return level === 'all' || (level === 'mentions' && mentioned);
+};
+
+export const useNotifications = (chat) => {
+  const { request } = chat;
+  const [notifications, setNotifications] = useState([]);
+  const [notificationPreferences, setNotificationPreferences] = useState(DEFAULT_PREFERENCES);
+  // Read by the socket listeners, which are registered once
+  const preferencesRef = useRef(DEFAULT_PREFERENCES);
+
+  const addNotification = (notification) => {
+    setNotifications(prev => [...prev, notification]);
+  };
+
+  // Play notification sound
+  const playNotificationSound = () => {
+    try {
+      const audio = new Audio('data:audio/wav;base64,UklGRnoGAABXQVZFZm10IBAAAAABAAEAQB8AAEAfAAABAAgAZGF0YQoGAACBhYqFd2xqZ2RlY2NlZmhqbnF3fIKFjI+Smp2enJmVk5CNi4mHh4iJiouMjY6PkJGSk5SVlpeYmZqbnJ2en6ChoqOkpaanqKmqq6ytrq+wsbKztLW2t7i5uru8vb6/wMHCw8TFxsfIycrLzM3Oz9DR0tPU1dbX2Nna29zd3t/g4eLj5OXm5+jp6uvs7e7v8PHy8/T19vf4+fr7/P3+/wABAgMEBQYHCAkKCwwNDg8QERITFBUWFxgZGhscHR4fICEiIyQlJicoKSorLC0uLzAxMjM0NTY3ODk6Ozw9Pj9AQUJDREVGR0hJSktMTU5PUFFSU1RVVldYWVpbXF1eX2BhYmNkZWZnaGlqa2xtbm9wcXJzdHV2d3h5ent8fX5/gIGCg4SFhoeIiYqLjI2Oj5CRkpOUlZaXmJmam5ydnp+goaKjpKWmp6ipqqusra6vsLGys7S1tre4ubq7vL2+v8DBwsPExcbHyMnKy8zNzs/Q0dLT1NXW19jZ2tvc3d7f4OHi4+Tl5ufo6err7O3u7/Dx8vP09fb3+Pn6+/z9/v8AAQIDBAUGBwgJCgsMDQ4PEBESExQVFhcYGRobHB0eHyAhIiMkJSYnKCkqKywtLi8wMTIzNDU2Nzg5Ojs8PT4/QEFCQ0RFRkdISUpLTE1OT1BRUlNUVVZXWFlaW1xdXl9gYWJjZGVmZ2hpamtsbW5vcHFyc3R1dnd4eXp7fH1+f4CBgoOEhYaHiImKi4yNjo+QkZKTlJWWl5iZmpucnZ6foKGio6SlpqeoqaqrrK2ur7CxsrO0tba3uLm6u7y9vr/AwcLDxMXGx8jJysvMzc7P0NHS09TV1tfY2drb3N3e3+Dh4uPk5ebn6Onq6+zt7u/w8fLz9PX29/j5+vv8/f7/');
+      audio.play().catch(e => console.log("Audio play failed:", e));
+    } catch (e) {
+      console.log("Notification sound error:", e);
+    }
+  };
+
+  // Request browser notification permission
+  const requestNotificationPermission = () => {
+    if ('Notification' in window) {
+      Notification.requestPermission();
+    }
+  };
+
+  // Show browser notification, through the service worker where there is one
+  // (mobile browsers only show notifications that way)
+  const showBrowserNotification = (title, body) => {
+    if (!('Notification' in window) || Notification.permission !== 'granted') return;
+
+    registerServiceWorker().then((registration) => {
+      if (registration) {
+        registration.showNotification(title, { body });
+      } else {
+        new Notification(title, { body });
+      }
+    });
+  };
+
+  // Sound and popup for something happening in `place`, as far as the user's
+  // notification preferences allow
+  const alertUser = (place, title, body, mentioned = false) => {
+    const preferences = preferencesRef.current;
+    if (!allowsAlert(preferences, place, mentioned)) return;
+
+    if (preferences.sound) {
+      playNotificationSound();
+    }
+    showBrowserNotification(title, body);
+  };
+
+  const applyPreferences = (preferences) => {
+    preferencesRef.current = preferences;
+    setNotificationPreferences(preferences);
+  };
+
+  // Change some notification preferences: `sound`, `doNotDisturb` fields, or levels
+  // ('all', 'mentions' or 'muted') in `rooms` and `conversations` keyed by room or user id.
+  // Quiet hours follow this browser's time zone.
+  const updateNotificationPreferences = async (changes) => {
+    const { preferences } = await request('update_notification_preferences', changes.doNotDisturb
+      ? {
+        ...changes,
+        doNotDisturb: {
+          ...changes.doNotDisturb,
+          timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+        },
+      }
+      : changes);
+    applyPreferences(preferences);
+    return preferences;
+  };
+
+  // Forget the notifications and preferences of the user logging out
+  const resetNotifications = () => {
+    setNotifications([]);
+    applyPreferences(DEFAULT_PREFERENCES);
+  };
+
+  useEffect(() => {
+    // The server only sends these when the preferences allow; checking again here
+    // covers preferences changed in another tab a moment ago
+    const onNewMessageNotification = (notificationData) => {
+      addNotification(notificationData);
+      const place = notificationData.isPrivate
+        ? { userId: notificationData.senderId }
+        : { roomId: notificationData.roomId };
+      alertUser(place, 'New Message', notificationData.message, notificationData.mentioned);
+    };
+
+    // Room announcements alert like the room's messages; notices that aren't about a
+    // room (someone leaving the chat) are only listed
+    const onNotification = (notificationData) => {
+      addNotification(notificationData);
+      if (notificationData.roomId) {
+        alertUser({ roomId: notificationData.roomId }, 'Notification', notificationData.message);
+      }
+    };
+
+    const onNotificationPreferences = (preferences) => {
+      applyPreferences(preferences);
+    };
+
+    socket.on('new_message_notification', onNewMessageNotification);
+    socket.on('notification', onNotification);
+    socket.on('notification_preferences', onNotificationPreferences);
+
+    // Request notification permission on mount
+    requestNotificationPermission();
+
+    return () => {
+      socket.off('new_message_notification', onNewMessageNotification);
+      socket.off('notification', onNotification);
+      socket.off('notification_preferences', onNotificationPreferences);
+    };
+  }, []);
+
+  return {
+    notifications,
+    notificationPreferences,
+    addNotification,
+    alertUser,
+    updateNotificationPreferences,
+    playNotificationSound,
+    requestNotificationPermission,
+    showBrowserNotification,
+    resetNotifications,
+  };
+};
@@ -0,0 +1,222 @@
+// outbox.js - Sending your messages: the outbox that holds them until the server has
+// them, across reconnects and page reloads, with failures and retries
+
+import { useEffect, useRef, useState } from 'react';
+import { socket } from './client';
+import { indexOfMessage, reconcileMessage } from './messageLists';
+
+// Messages written while offline wait in a per-user outbox in localStorage
+const outboxKey = (userId) => `chat_outbox:${userId}`;
+
+const loadOutbox = (userId) => {
+  try {
+    return JSON.parse(localStorage.getItem(outboxKey(userId))) || [];
+  } catch {
+    return [];
+  }
+};
+
+export const useOutbox = (chat) => {
+  const {
+    request,
+    currentUser,
+    userIdRef,
+    currentRoomRef,
+    setMessages,
+    setPrivateMessages,
+    updateMessageLists,
+  } = chat;
+  const [outboxSize, setOutboxSize] = useState(0);
+  // clientId -> { event, payload, local, state } of messages not yet stored by the server,
+  // in the order they were written; `state` is queued, sending or failed
+  const outboxRef = useRef(new Map());
+  const waitersRef = useRef(new Map());
+  const flushingRef = useRef(false);
+  const restoredOutboxRef = useRef(null);
+
+  // Change the status of a message's local copy. Once the server has confirmed a
+  // message, a late failure doesn't undo that.
+  const setLocalStatus = (clientId, status, error = null) => {
+    updateMessageLists((list) => {
+      const index = indexOfMessage(list, { clientId });
+      if (index === -1 || ['sent', 'delivered'].includes(list[index].status)) return null;
+
+      const next = [...list];
+      next[index] = { ...list[index], status, error };
+      return next;
+    });
+  };
+
+  // A local copy of a message of yours, shown until the server confirms it
+  const pendingMessage = (fields) => ({
+    ...fields,
+    sender: currentUser?.username,
+    senderId: userIdRef.current,
+    timestamp: new Date().toISOString(),
+    status: 'queued',
+  });
+
+  // Persist the outbox so messages written offline survive a page reload
+  const saveOutbox = () => {
+    const entries = [...outboxRef.current.values()];
+    setOutboxSize(entries.filter((entry) => entry.state !== 'failed').length);
+
+    if (!userIdRef.current) return;
+    if (entries.length > 0) {
+      localStorage.setItem(outboxKey(userIdRef.current), JSON.stringify(entries));
+    } else {
+      localStorage.removeItem(outboxKey(userIdRef.current));
+    }
+  };
+
+  // Resolve (or reject) the promise returned when a message was queued
+  const settle = (clientId, message, error) => {
+    const waiter = waitersRef.current.get(clientId);
+    waitersRef.current.delete(clientId);
+    if (error) {
+      waiter?.reject(error);
+    } else {
+      waiter?.resolve(message);
+    }
+  };
+
+  const waitForDelivery = (clientId) =>
+    new Promise((resolve, reject) => {
+      waitersRef.current.set(clientId, { resolve, reject });
+    });
+
+  // Send queued messages one at a time, in the order they were written. A dropped
+  // connection puts a message back in the queue for the next reconnect; a message
+  // the server refuses is marked failed and skipped.
+  const flushOutbox = async () => {
+    if (flushingRef.current) return;
+    flushingRef.current = true;
+
+    try {
+      const nextQueued = () => [...outboxRef.current.values()].find((entry) => entry.state === 'queued');
+
+      for (let entry = nextQueued(); entry && socket.connected; entry = nextQueued()) {
+        const { clientId } = entry.payload;
+        entry.state = 'sending';
+        setLocalStatus(clientId, 'pending');
+
+        try {
+          const { message } = await request(entry.event, entry.payload);
+          outboxRef.current.delete(clientId);
+          updateMessageLists((list) => reconcileMessage(list, message, 'sent'));
+          settle(clientId, message);
+        } catch (error) {
+          const lostConnection = error.code === 'TIMEOUT' || !socket.connected;
+          entry.state = lostConnection ? 'queued' : 'failed';
+          setLocalStatus(clientId, entry.state, lostConnection ? null : error.message);
+          if (!lostConnection) settle(clientId, null, error);
+        }
+        saveOutbox();
+      }
+    } finally {
+      flushingRef.current = false;
+    }
+  };
+
+  // Put a message in the outbox and send it as soon as the connection allows.
+  // Resolves with the stored message once the server has it.
+  const queueMessage = (event, payload, local) => {
+    outboxRef.current.set(payload.clientId, { event, payload, local, state: 'queued' });
+    saveOutbox();
+
+    const delivered = waitForDelivery(payload.clientId);
+    flushOutbox();
+    return delivered;
+  };
+
+  // Bring back messages left in the outbox by an earlier visit, once per login
+  const restoreOutbox = (userId) => {
+    if (restoredOutboxRef.current === userId) return;
+    restoredOutboxRef.current = userId;
+
+    loadOutbox(userId).forEach((entry) => {
+      const state = entry.state === 'failed' ? 'failed' : 'queued';
+      const local = { ...entry.local, status: state };
+      outboxRef.current.set(entry.payload.clientId, { ...entry, state });
+
+      if (local.isPrivate) {
+        setPrivateMessages((prev) => ({
+          ...prev,
+          [local.recipient]: [...(prev[local.recipient] || []), local],
+        }));
+      } else if (!local.parentId && local.room === currentRoomRef.current) {
+        setMessages((prev) => [...prev, local]);
+      }
+    });
+    saveOutbox();
+  };
+
+  // Send a failed message again; the server stores it only once however often it arrives
+  const retryMessage = (clientId) => {
+    const entry = outboxRef.current.get(clientId);
+    if (!entry) return Promise.resolve(null);
+
+    entry.state = 'queued';
+    setLocalStatus(clientId, 'queued');
+    saveOutbox();
+
+    const delivered = waitForDelivery(clientId);
+    flushOutbox();
+    return delivered;
+  };
+
+  // Give up on a failed message and remove it from the screen
+  const discardMessage = (clientId) => {
+    outboxRef.current.delete(clientId);
+    saveOutbox();
+    settle(clientId, null);
+    updateMessageLists((list) => {
+      const index = indexOfMessage(list, { clientId });
+      return index === -1 ? null : list.filter((_, i) => i !== index);
+    });
+  };
+
+  // Unsent messages are dropped so they don't outlive the session on a shared device
+  const resetOutbox = () => {
+    if (userIdRef.current) {
+      localStorage.removeItem(outboxKey(userIdRef.current));
+    }
+    outboxRef.current.clear();
+    // Sends still waiting on the outbox end as if discarded
+    waitersRef.current.forEach(({ resolve }) => resolve(null));
+    waitersRef.current.clear();
+    flushingRef.current = false;
+    restoredOutboxRef.current = null;
+    setOutboxSize(0);
+  };
+
+  useEffect(() => {
+    // Once the session is back, messages written while offline go out in order
+    const onSession = (session) => {
+      restoreOutbox(session.userId);
+      flushOutbox();
+    };
+
+    // Delivery confirmation events
+    const onMessageDelivered = ({ messageId, clientId }) => {
+      updateMessageLists((list) => reconcileMessage(list, { _id: messageId, clientId }, 'delivered'));
+    };
+
+    socket.on('session', onSession);
+    socket.on('message_delivered', onMessageDelivered);
+
+    return () => {
+      socket.off('session', onSession);
+      socket.off('message_delivered', onMessageDelivered);
+    };
+  }, []);
+
+  return {
+    outboxSize,
+    pendingMessage,
+    queueMessage,
+    retryMessage,
+    discardMessage,
+    resetOutbox,
+  };
+};
@@ -0,0 +1,99 @@
+// push.js - Web push on this browser, for mentions and direct messages while offline
+
+import { useState } from 'react';
+import { apiFetch, getStoredToken } from './client';
+import { currentSubscription, pushSupported, subscribeBrowser } from '../push';
+
+export const usePush = (chat) => {
+  const { setServerError } = chat;
+  // Push on this browser: unsupported, unavailable (off on the server), denied, off or on
+  const [pushState, setPushState] = useState('off');
+
+  const savePushSubscription = async (subscription) => {
+    const response = await apiFetch('/api/push/subscriptions', {
+      method: 'POST',
+      body: JSON.stringify({ subscription: subscription.toJSON() }),
+    });
+    if (!response.ok) {
+      const data = await response.json();
+      throw new Error(data.error || 'Failed to turn on push notifications');
+    }
+  };
+
+  // Work out whether this browser can get pushes. An existing subscription is saved
+  // again, so it follows whoever is logged in now.
+  const refreshPushState = async () => {
+    if (!pushSupported()) {
+      setPushState('unsupported');
+      return;
+    }
+
+    try {
+      const response = await apiFetch('/api/push/config');
+      const config = response.ok ? await response.json() : { enabled: false };
+
+      // Browsers can't subscribe without a VAPID key (the mock transport may have none)
+      if (!config.enabled || !config.publicKey) {
+        setPushState('unavailable');
+      } else if (Notification.permission === 'denied') {
+        setPushState('denied');
+      } else {
+        const subscription = await currentSubscription();
+        if (subscription) {
+          await savePushSubscription(subscription);
+        }
+        setPushState(subscription ? 'on' : 'off');
+      }
+    } catch (error) {
+      console.log('Failed to check push notifications:', error);
+    }
+  };
+
+  // Get pushes on this browser for mentions and direct messages while offline
+  const enablePush = async () => {
+    try {
+      const permission = await Notification.requestPermission();
+      if (permission !== 'granted') {
+        setPushState(permission === 'denied' ? 'denied' : 'off');
+        return;
+      }
+
+      const response = await apiFetch('/api/push/config');
+      const { publicKey } = await response.json();
+      await savePushSubscription(await subscribeBrowser(publicKey));
+      setPushState('on');
+    } catch (error) {
+      setServerError({ code: 'PUSH_FAILED', message: error.message });
+    }
+  };
+
+  // Stop pushes to this browser. Logout passes the token in, as it forgets the stored one.
+  const disablePush = async (token = getStoredToken()) => {
+    try {
+      const subscription = await currentSubscription();
+      if (!subscription) return;
+
+      await apiFetch('/api/push/subscriptions', {
+        method: 'DELETE',
+        headers: { Authorization: `Bearer ${token}` },
+        body: JSON.stringify({ endpoint: subscription.endpoint }),
+      });
+      await subscription.unsubscribe();
+      setPushState('off');
+    } catch (error) {
+      console.log('Failed to turn off push notifications:', error);
+    }
+  };
+
+  const resetPush = () => {
+    setPushState('off');
+  };
+
+  return {
+    pushState,
+    refreshPushState,
+    enablePush,
+    disablePush,
+    resetPush,
+  };
+};
@@ -0,0 +1,66 @@
+// reactions.js - Emoji reactions: adding and removing yours, and showing the grouped
+// counts wherever a message is listed
+
+import { useEffect } from 'react';
+import { socket } from './client';
+import { indexOfMessage } from './messageLists';
+
+export const useReactions = (chat) => {
+  const {
+    request,
+    userIdRef,
+    setActiveThread,
+    updateMessageLists,
+  } = chat;
+
+  // Show a message's new reaction totals wherever it is listed
+  const applyReactions = ({ messageId, reactions }) => {
+    updateMessageLists((list) => {
+      const index = indexOfMessage(list, { _id: messageId });
+      if (index === -1) return null;
+
+      const next = [...list];
+      next[index] = { ...list[index], reactions };
+      return next;
+    });
+    setActiveThread((prev) => (prev?.parent?._id === messageId
+      ? { ...prev, parent: { ...prev.parent, reactions } }
+      : prev));
+  };
+
+  // Add an emoji to a message; resolves with its reactions `[{ emoji, count, users }]`
+  const addReaction = async (messageId, emoji) => {
+    const update = await request('add_reaction', { messageId, emoji });
+    applyReactions(update);
+    return update;
+  };
+
+  // Take one of your emoji off a message
+  const removeReaction = async (messageId, emoji) => {
+    const update = await request('remove_reaction', { messageId, emoji });
+    applyReactions(update);
+    return update;
+  };
+
+  // Add an emoji to a message, or take it off if you had already reacted with it
+  const toggleReaction = (message, emoji) => {
+    const group = message.reactions?.find((reaction) => reaction.emoji === emoji);
+    return group?.users.some((user) => user._id === userIdRef.current)
+      ? removeReaction(message._id, emoji)
+      : addReaction(message._id, emoji);
+  };
+
+  useEffect(() => {
+    socket.on('reactions_updated', applyReactions);
+
+    return () => {
+      socket.off('reactions_updated', applyReactions);
+    };
+  }, []);
+
+  return {
+    addReaction,
+    removeReaction,
+    toggleReaction,
+  };
+};
@@ -0,0 +1,93 @@
+// search.js - Searching messages with filters, paging through the results and jumping
+// to a result in its room or conversation
+
+import { useEffect, useRef, useState } from 'react';
+import { socket } from './client';
+
+export const useSearch = (chat) => {
+  const {
+    request,
+    currentRoomRef,
+    activeConversationRef,
+    setActiveConversation,
+  } = chat;
+  const [searchResults, setSearchResults] = useState(null);
+  // Filters of the last search, for loading its next page
+  const searchFiltersRef = useRef(null);
+
+  // Search messages; `filters` may hold roomId, sender, after, before, attachmentsOnly and
+  // scope ('all', 'rooms' or 'dms'). Results land in `searchResults`.
+  const searchMessages = (query, filters = {}) => {
+    searchFiltersRef.current = { query, ...filters };
+    return request('search_messages', searchFiltersRef.current);
+  };
+
+  // Load the next page of the last search
+  const loadMoreSearchResults = () => {
+    if (!searchFiltersRef.current || !searchResults?.nextCursor) return Promise.resolve(null);
+    return request('search_messages', { ...searchFiltersRef.current, cursor: searchResults.nextCursor });
+  };
+
+  // Page on from a search run some other way (the /search command)
+  const followSearch = (filters) => {
+    searchFiltersRef.current = filters;
+  };
+
+  const clearSearch = () => {
+    searchFiltersRef.current = null;
+    setSearchResults(null);
+  };
+
+  // Show a message in its room or conversation with the messages around it, opening
+  // its thread if it's a reply. Scrolling from there loads older and newer messages.
+  const jumpToMessage = async (messageId) => {
+    const context = await request('load_message_context', { messageId });
+
+    if (context.roomId) {
+      chat.closeConversation();
+      if (context.roomId !== currentRoomRef.current) {
+        await chat.enterRoom(context.roomId);
+      }
+    } else {
+      activeConversationRef.current = context.userId;
+      setActiveConversation(context.userId);
+      chat.markConversationRead(context.userId);
+    }
+    chat.applyPage(context);
+
+    if (context.threadId) {
+      chat.openThread(context.threadId);
+    }
+    return context;
+  };
+
+  // Forget the searches of the user logging out
+  const resetSearch = () => {
+    clearSearch();
+  };
+
+  useEffect(() => {
+    // A page fetched with a cursor continues the current results
+    const onSearchResults = (data) => {
+      setSearchResults((prev) => (data.cursor && prev
+        ? { ...data, messages: [...prev.messages, ...data.messages] }
+        : data));
+    };
+
+    socket.on('search_results', onSearchResults);
+
+    return () => {
+      socket.off('search_results', onSearchResults);
+    };
+  }, []);
+
+  return {
+    searchResults,
+    searchMessages,
+    loadMoreSearchResults,
+    clearSearch,
+    followSearch,
+    jumpToMessage,
+    resetSearch,
+  };
+};
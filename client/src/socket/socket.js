@@ -1,143 +1,359 @@
-// socket.js - Socket.io client setup
-
-import { io } from 'socket.io-client';
-import { useEffect, useState } from 'react';
-
-// Socket.io connection URL
-const SOCKET_URL = import.meta.env.VITE_SOCKET_URL || 'http://localhost:5000';
-
-// Create socket instance
-export const socket = io(SOCKET_URL, {
-  autoConnect: false,
-  reconnection: true,
-  reconnectionAttempts: 5,
-  reconnectionDelay: 1000,
-});
+// socket.js - Socket.io client hook, built from the feature hooks in this folder
+
+import { useEffect, useRef, useState } from 'react';
+import {
+  TOKEN_STORAGE_KEY,
+  getStoredToken,
+  apiFetch,
+  emitWithAck,
+  socket,
+} from './client';
+import { useConnection } from './connection';
+import { useConversations } from './conversations';
+import { useThreads } from './threads';
+import { useUploads } from './uploads';
+import { useModeration } from './moderation';
+import { useOutbox } from './outbox';
+import { useSearch } from './search';
+import { useReactions } from './reactions';
+import { useMentions } from './mentions';
+import { useNotifications } from './notifications';
+import { usePush } from './push';
+import { useCommands } from './commands';
+import { useTimeline } from './timeline';
+import { newClientId, reconcileMessage } from './messageLists';
+
+export { socket, getStoredToken, apiFetch };
 
 // Custom hook for using socket.io
 export const useSocket = () => {
-  const [isConnected, setIsConnected] = useState(socket.connected);
+  // Shared with the feature hooks: the state setters they need from here and each
+  // feature's functions, looked up when they are called
+  const chat = useRef({}).current;
   const [lastMessage, setLastMessage] = useState(null);
   const [messages, setMessages] = useState([]);
   const [users, setUsers] = useState([]);
   const [typingUsers, setTypingUsers] = useState([]);
   const [rooms, setRooms] = useState([]);
   const [currentRoom, setCurrentRoom] = useState('general');
-  const [unreadCount, setUnreadCount] = useState(0);
-  const [notifications, setNotifications] = useState([]);
-  const [searchResults, setSearchResults] = useState([]);
-
-  // Connect to socket server
-  const connect = (username) => {
-    socket.connect();
-    if (username) {
-      socket.emit('user_join', username);
+  const [roomInvites, setRoomInvites] = useState([]);
+  const [unreadCounts, setUnreadCounts] = useState({});
+  const [readReceipts, setReadReceipts] = useState({});
+  const [currentUser, setCurrentUser] = useState(null);
+  const [authError, setAuthError] = useState(null);
+  const [serverError, setServerError] = useState(null);
+  const [privateMessages, setPrivateMessages] = useState({});
+  const [activeConversation, setActiveConversation] = useState(null);
+  const [activeThread, setActiveThread] = useState(null);
+
+  // Socket handlers are registered once, so they read these through refs
+  const userIdRef = useRef(null);
+  const activeConversationRef = useRef(null);
+  const activeThreadRef = useRef(null);
+  const currentRoomRef = useRef('general');
+  const watchedReceiptsRef = useRef(new Set());
+  // roomId -> id of the newest message we have, so a reconnect can fetch what we missed
+  const lastSeenRef = useRef({});
+
+  // Emit an event and wait for its acknowledgement. Failures are shown in the
+  // error banner and passed on to the caller.
+  const request = async (event, payload) => {
+    try {
+      return await emitWithAck(event, payload);
+    } catch (error) {
+      setServerError({ ...error, message: error.message });
+      throw error;
+    }
+  };
+
+  // Like `request`, for callers that don't need the outcome
+  const notify = (event, payload) => {
+    request(event, payload).catch(() => {});
+  };
+
+  // Apply `update` to every message list on screen: the room, each conversation and
+  // the open thread. `update` returns a new list, or null to leave a list as it is.
+  const updateMessageLists = (update) => {
+    setMessages((prev) => update(prev) || prev);
+    setPrivateMessages((prev) => {
+      const next = {};
+      Object.keys(prev).forEach((userId) => {
+        next[userId] = update(prev[userId]) || prev[userId];
+      });
+      return next;
+    });
+    setActiveThread((prev) => prev && { ...prev, replies: update(prev.replies) || prev.replies });
+  };
+
+  // Remember the newest room message we have, for the catch-up after a reconnect
+  const rememberLastSeen = (message) => {
+    if (!message.isPrivate && !message.parentId) {
+      lastSeenRef.current[message.room] = message._id;
+    }
+  };
+
+  Object.assign(chat, {
+    request,
+    notify,
+    updateMessageLists,
+    rememberLastSeen,
+    currentUser,
+    userIdRef,
+    lastSeenRef,
+    setMessages,
+    activeConversationRef,
+    activeConversation,
+    setActiveConversation,
+    setPrivateMessages,
+    activeThreadRef,
+    setActiveThread,
+    setLastMessage,
+    currentRoom,
+    currentRoomRef,
+    setCurrentRoom,
+    setCurrentUser,
+    setTypingUsers,
+    setServerError,
+  });
+  const connection = useConnection(chat);
+  // Read while rendering by the hooks below
+  chat.isConnected = connection.isConnected;
+  const paging = useTimeline(chat);
+  const directMessages = useConversations(chat);
+  const threads = useThreads(chat);
+  const uploads = useUploads(chat);
+  const moderation = useModeration(chat);
+  const outbox = useOutbox(chat);
+  const search = useSearch(chat);
+  const reactions = useReactions(chat);
+  const mentions = useMentions(chat);
+  const notifications = useNotifications(chat);
+  const push = usePush(chat);
+  const commands = useCommands(chat);
+  Object.assign(chat, paging, directMessages, threads, uploads, moderation, outbox, search, notifications, push);
+
+  // Register or log in against the REST API and store the issued token
+  const authenticate = async (mode, username, password) => {
+    setAuthError(null);
+
+    const response = await apiFetch(`/api/auth/${mode}`, {
+      method: 'POST',
+      body: JSON.stringify({ username, password }),
+    });
+    const data = await response.json();
+
+    if (!response.ok) {
+      setAuthError(data.error || 'Authentication failed');
+      return null;
+    }
+
+    localStorage.setItem(TOKEN_STORAGE_KEY, data.token);
+    setCurrentUser(data.user);
+    return data;
+  };
+
+  // Log in with an existing account
+  const login = (username, password) => authenticate('login', username, password);
+
+  // Create a new account
+  const register = (username, password) => authenticate('register', username, password);
+
+  // Restore the session from a stored token after a page reload
+  const restoreSession = async () => {
+    const token = getStoredToken();
+    if (!token) return null;
+
+    try {
+      const response = await apiFetch('/api/auth/me');
+
+      if (!response.ok) {
+        localStorage.removeItem(TOKEN_STORAGE_KEY);
+        return null;
+      }
+
+      const user = await response.json();
+      setCurrentUser(user);
+      return user;
+    } catch (error) {
+      console.log('Session restore failed:', error);
+      return null;
     }
   };
 
-  // Disconnect from socket server
-  const disconnect = () => {
+  // Disconnect and forget the stored token, and everything loaded for this user, so the
+  // next account to log in on this tab starts clean.
+  // Unsent messages are dropped so they don't outlive the session on a shared device
+  const logout = () => {
+    // Stop pushes to this browser while the token still works
+    push.disablePush(getStoredToken());
+    connection.resetConnection();
     socket.disconnect();
+    localStorage.removeItem(TOKEN_STORAGE_KEY);
+    outbox.resetOutbox();
+    lastSeenRef.current = {};
+    userIdRef.current = null;
+    activeConversationRef.current = null;
+    activeThreadRef.current = null;
+    currentRoomRef.current = 'general';
+    watchedReceiptsRef.current.clear();
+    setMessages([]);
+    setLastMessage(null);
+    setUsers([]);
+    setTypingUsers([]);
+    setRooms([]);
+    setCurrentRoom('general');
+    setRoomInvites([]);
+    moderation.resetModeration();
+    setServerError(null);
+    setUnreadCounts({});
+    setReadReceipts({});
+    notifications.resetNotifications();
+    push.resetPush();
+    commands.resetCommands();
+    search.resetSearch();
+    mentions.resetMentions();
+    paging.resetTimelines();
+    directMessages.resetConversations();
+    setPrivateMessages({});
+    setActiveConversation(null);
+    setActiveThread(null);
+    uploads.resetUploads();
+    setCurrentUser(null);
   };
 
-  // Send a message
+  // Send a message to the current room; it shows up right away and is sent as soon
+  // as the connection allows. Resolves with the stored message.
   const sendMessage = (message) => {
-    socket.emit('send_message', { message, room: currentRoom });
+    const clientId = newClientId();
+    const local = outbox.pendingMessage({ clientId, message, room: currentRoom });
+    setMessages((prev) => [...prev, local]);
+    paging.returnToLatest();
+    return outbox.queueMessage('send_message', { message, room: currentRoom, clientId }, local);
   };
 
-  // Send a private message
-  const sendPrivateMessage = (to, message) => {
-    socket.emit('private_message', { to, message });
+  // Render composer text on the server as it will be stored; `roomId` is null in a DM
+  const previewMessage = async (text, roomId) => {
+    const { html } = await request('preview_message', roomId ? { message: text, room: roomId } : { message: text });
+    return html;
   };
 
   // Set typing status
   const setTyping = (isTyping) => {
-    socket.emit('typing', isTyping);
+    notify('typing', isTyping);
   };
 
-  // Create a new room
-  const createRoom = (roomName) => {
-    socket.emit('create_room', roomName);
+  // Create a new room; private rooms are invite-only. Resolves with the room, which
+  // may have a different id than its name suggests.
+  const createRoom = async (roomName, isPrivate = false) => {
+    const response = await request('create_room', { name: roomName, isPrivate });
+    return response.room;
   };
 
-  // Join a room
-  const joinRoom = (roomId) => {
-    socket.emit('join_room', roomId);
-    setCurrentRoom(roomId);
+  // Change any of a room's name, description and topic (room moderators)
+  const updateRoom = async (roomId, changes) => {
+    const response = await request('update_room', { roomId, ...changes });
+    return response.room;
   };
 
-  // Share a file
-  const shareFile = (fileData) => {
-    socket.emit('share_file', fileData);
+  // Make a room read-only, or open it again (room moderators)
+  const archiveRoom = async (roomId, archived = true) => {
+    const response = await request('archive_room', { roomId, archived });
+    return response.room;
   };
 
-  // Add reaction to a message
-  const addReaction = (messageId, reaction) => {
-    socket.emit('add_reaction', { messageId, reaction });
+  // Delete a room, or hide it while keeping its messages (room owner or site admin)
+  const deleteRoom = (roomId, keepMessages = false) => request('delete_room', { roomId, keepMessages });
+
+  // Invite a user to a private room (room owners and admins)
+  const inviteToRoom = (roomId, userId) => request('invite_to_room', { roomId, userId });
+
+  // Accept or decline a room invitation
+  const respondToInvite = async (roomId, accept) => {
+    const response = await request('respond_to_invite', { roomId, accept });
+    setRoomInvites((prev) => prev.filter((invite) => invite.roomId !== roomId));
+    return response.room;
   };
 
-  // Mark message as read
-  const markMessageAsRead = (messageId) => {
-    socket.emit('message_read', messageId);
+  // Make a room member an admin, or back to a member (room owner only)
+  const setMemberRole = (roomId, userId, role) => request('set_member_role', { roomId, userId, role });
+
+  // Move to a room; the current room only changes once the server lets us in
+  const enterRoom = async (roomId) => {
+    const { room } = await request('join_room', roomId);
+    currentRoomRef.current = room.roomId;
+    setCurrentRoom(room.roomId);
+    setTypingUsers([]);
+    return room;
   };
 
-  // Load messages with pagination
-  const loadMessages = (offset = 0, limit = 50) => {
-    socket.emit('load_messages', { offset, limit, roomId: currentRoom });
+  // Join a room and load its newest messages
+  const joinRoom = async (roomId) => {
+    const room = await enterRoom(roomId);
+    paging.loadTimeline('latest', { roomId: room.roomId }).catch(() => {});
+    return room;
   };
 
-  // Search messages
-  const searchMessages = (query) => {
-    socket.emit('search_messages', { query, roomId: currentRoom });
+  // Edit one of your messages (moderators may edit any, giving a reason)
+  const editMessage = (messageId, message, reason) => request('edit_message', { messageId, message, reason });
+
+  // Delete one of your messages (moderators may delete any)
+  // Moderators deleting someone else's message must give a reason
+  const deleteMessage = (messageId, reason) => request('delete_message', { messageId, reason });
+
+  // Require `seconds` between each user's posts in a room; 0 turns slow mode off
+  const setSlowMode = (roomId, seconds) => request('set_slow_mode', { roomId, seconds });
+
+  const dismissServerError = () => {
+    setServerError(null);
   };
 
-  // Play notification sound
-  const playNotificationSound = () => {
-    try {
-      const audio = new Audio('data:audio/wav;base64,UklGRnoGAABXQVZFZm10IBAAAAABAAEAQB8AAEAfAAABAAgAZGF0YQoGAACBhYqFd2xqZ2RlY2NlZmhqbnF3fIKFjI+Smp2enJmVk5CNi4mHh4iJiouMjY6PkJGSk5SVlpeYmZqbnJ2en6ChoqOkpaanqKmqq6ytrq+wsbKztLW2t7i5uru8vb6/wMHCw8TFxsfIycrLzM3Oz9DR0tPU1dbX2Nna29zd3t/g4eLj5OXm5+jp6uvs7e7v8PHy8/T19vf4+fr7/P3+/wABAgMEBQYHCAkKCwwNDg8QERITFBUWFxgZGhscHR4fICEiIyQlJicoKSorLC0uLzAxMjM0NTY3ODk6Ozw9Pj9AQUJDREVGR0hJSktMTU5PUFFSU1RVVldYWVpbXF1eX2BhYmNkZWZnaGlqa2xtbm9wcXJzdHV2d3h5ent8fX5/gIGCg4SFhoeIiYqLjI2Oj5CRkpOUlZaXmJmam5ydnp+goaKjpKWmp6ipqqusra6vsLGys7S1tre4ubq7vL2+v8DBwsPExcbHyMnKy8zNzs/Q0dLT1NXW19jZ2tvc3d7f4OHi4+Tl5ufo6err7O3u7/Dx8vP09fb3+Pn6+/z9/v8AAQIDBAUGBwgJCgsMDQ4PEBESExQVFhcYGRobHB0eHyAhIiMkJSYnKCkqKywtLi8wMTIzNDU2Nzg5Ojs8PT4/QEFCQ0RFRkdISUpLTE1OT1BRUlNUVVZXWFlaW1xdXl9gYWJjZGVmZ2hpamtsbW5vcHFyc3R1dnd4eXp7fH1+f4CBgoOEhYaHiImKi4yNjo+QkZKTlJWWl5iZmpucnZ6foKGio6SlpqeoqaqrrK2ur7CxsrO0tba3uLm6u7y9vr/AwcLDxMXGx8jJysvMzc7P0NHS09TV1tfY2drb3N3e3+Dh4uPk5ebn6Onq6+zt7u/w8fLz9PX29/j5+vv8/f7/');
-      audio.play().catch(e => console.log("Audio play failed:", e));
-    } catch (e) {
-      console.log("Notification sound error:", e);
-    }
+  // Mark message as read
+  const markMessageAsRead = (messageId) => {
+    notify('message_read', messageId);
   };
 
-  // Request browser notification permission
-  const requestNotificationPermission = () => {
-    if ('Notification' in window) {
-      Notification.requestPermission();
-    }
+  // Mark everything in a room as read
+  const markRoomAsRead = (roomId) => {
+    notify('mark_room_read', { roomId });
   };
 
-  // Show browser notification
-  const showBrowserNotification = (title, body) => {
-    if ('Notification' in window && Notification.permission === 'granted') {
-      new Notification(title, { body });
-    }
+  // Ask who has read a message; the answer lands in `readReceipts`
+  const fetchReadReceipts = (messageId) => {
+    watchedReceiptsRef.current.add(messageId);
+    notify('get_read_receipts', { messageId });
   };
 
+  // Core actions the feature hooks call too
+  Object.assign(chat, { enterRoom, joinRoom });
+
   // Socket event listeners
   useEffect(() => {
     // Connection events
-    const onConnect = () => {
-      setIsConnected(true);
-    };
-
-    const onDisconnect = () => {
-      setIsConnected(false);
+    // The server rejected the handshake, usually because the token expired
+    const onConnectError = (error) => {
+      if (error.data?.code === 'UNAUTHORIZED') {
+        localStorage.removeItem(TOKEN_STORAGE_KEY);
+        setCurrentUser(null);
+        setAuthError('Your session has expired, please log in again');
+      }
     };
 
     // Message events
+    // Your own messages replace their pending copies
     const onReceiveMessage = (message) => {
       setLastMessage(message);
-      setMessages((prev) => [...prev, message]);
-    };
-
-    const onPrivateMessage = (message) => {
-      setLastMessage(message);
-      setMessages((prev) => [...prev, message]);
-      // Play sound and show notification for private messages
-      playNotificationSound();
-      showBrowserNotification('Private Message', `${message.sender}: ${message.message}`);
+      setMessages((prev) => reconcileMessage(prev, message, 'delivered')
+        || (chat.showsLatest({ roomId: message.room }) ? [...prev, message] : prev));
+      rememberLastSeen(message);
+
+      // Messages arriving in the room on screen are read as they come in
+      if (
+        message.senderId !== userIdRef.current
+        && message.room === currentRoomRef.current
+        && document.visibilityState === 'visible'
+      ) {
+        socket.emit('message_read', message._id);
+      }
     };
 
     // User events
@@ -176,147 +392,231 @@ export const useSocket = () => {
       setRooms(roomList);
     };
 
+    // A room was created or its membership changed
+    const onRoomUpdated = (room) => {
+      setRooms((prev) => (prev.some((r) => r.roomId === room.roomId)
+        ? prev.map((r) => (r.roomId === room.roomId ? room : r))
+        : [...prev, room]));
+    };
+
+    // Room invitation events
+    const onRoomInvites = (invites) => {
+      setRoomInvites(invites);
+    };
+
+    const onRoomInvite = (invite) => {
+      setRoomInvites((prev) => [
+        ...prev.filter((existing) => existing.roomId !== invite.roomId),
+        invite,
+      ]);
+      chat.alertUser({}, 'Room invitation', `${invite.invitedBy} invited you to ${invite.name}`);
+    };
+
+    // We left a room, here or in another tab; private rooms disappear from the list
+    const onRoomLeft = ({ roomId, isPrivate }) => {
+      if (isPrivate) {
+        setRooms((prev) => prev.filter((room) => room.roomId !== roomId));
+      }
+      if (roomId === currentRoomRef.current) {
+        chat.joinRoom('general').catch(() => {});
+      }
+    };
+
+    // A room we can see was deleted; the moderation notice explains it to anyone inside
+    const onRoomDeleted = ({ roomId }) => {
+      setRooms((prev) => prev.filter((room) => room.roomId !== roomId));
+      setUnreadCounts((prev) => {
+        const next = { ...prev };
+        delete next[roomId];
+        return next;
+      });
+    };
+
     const onRoomJoined = (roomData) => {
+      currentRoomRef.current = roomData.roomId;
       setCurrentRoom(roomData.roomId);
-      // Clear messages when joining a new room
+      // Clear messages and typing indicators when joining a new room; whoever joined
+      // loads its history
       setMessages([]);
+      lastSeenRef.current = {};
+      chat.clearTimeline({ roomId: roomData.roomId });
+      setTypingUsers([]);
+      socket.emit('mark_room_read', { roomId: roomData.roomId });
     };
 
-    // Typing events
-    const onTypingUsers = (users) => {
-      setTypingUsers(users);
+    // Typing events, ignoring late updates for a room we've already left
+    const onTypingUsers = ({ roomId, users }) => {
+      if (roomId === currentRoomRef.current) {
+        setTypingUsers(users);
+      }
     };
 
-    // Reaction events
-    const onReactionAdded = (reactionData) => {
-      // Update message with reaction
-      setMessages(prev => prev.map(msg => 
-        msg.id === reactionData.messageId 
-          ? { ...msg, reactions: [...(msg.reactions || []), reactionData] }
-          : msg
-      ));
+    // Replace a message wherever it is shown, in the room or in a conversation
+    const patchMessage = (updated) => {
+      const replace = (list) => list.map((msg) => (msg._id === updated._id ? updated : msg));
+
+      if (updated.parentId || updated._id === activeThreadRef.current) {
+        setActiveThread((prev) => prev && {
+          ...prev,
+          parent: prev.parent?._id === updated._id ? updated : prev.parent,
+          replies: replace(prev.replies),
+        });
+      }
+
+      if (updated.isPrivate) {
+        setPrivateMessages((prev) => {
+          const next = {};
+          Object.keys(prev).forEach((userId) => {
+            next[userId] = replace(prev[userId]);
+          });
+          return next;
+        });
+      } else {
+        setMessages(replace);
+      }
     };
 
-    // Read receipt events
-    const onMessageReadReceipt = (receiptData) => {
-      setMessages(prev => prev.map(msg => 
-        msg.id === receiptData.messageId 
-          ? { ...msg, readBy: [...(msg.readBy || []), receiptData.userId] }
-          : msg
-      ));
+    // Edit and delete events
+    const onMessageUpdated = (message) => {
+      patchMessage(message);
     };
 
-    // Notification events
-    const onNewMessageNotification = (notificationData) => {
-      setNotifications(prev => [...prev, notificationData]);
-      playNotificationSound();
-      showBrowserNotification('New Message', notificationData.message);
+    const onMessageDeleted = (message) => {
+      patchMessage(message);
     };
 
-    const onNotification = (notificationData) => {
-      setNotifications(prev => [...prev, notificationData]);
-      playNotificationSound();
-      showBrowserNotification('Notification', notificationData.message);
+    // Read receipt events
+    // A reader's cursor moved; refresh any "read by" lists we're showing
+    const onMessageReadReceipt = () => {
+      watchedReceiptsRef.current.forEach((messageId) => {
+        socket.emit('get_read_receipts', { messageId });
+      });
     };
 
-    // Unread count events
-    const onUnreadCountUpdate = (count) => {
-      setUnreadCount(count);
+    const onReadReceipts = ({ messageId, readers }) => {
+      setReadReceipts((prev) => ({ ...prev, [messageId]: readers }));
     };
 
-    // Pagination events
-    const onMessagesLoaded = (data) => {
-      // Prepend loaded messages to existing messages
-      setMessages(prev => [...data.messages, ...prev]);
+    // Errors for events sent without an acknowledgement, and flood disconnects
+    const onServerError = (error) => {
+      setServerError(error);
     };
 
-    // Search events
-    const onSearchResults = (data) => {
-      setSearchResults(data.messages);
+    // Unread count events
+    const onUnreadCounts = (counts) => {
+      setUnreadCounts(counts);
     };
 
-    // Delivery confirmation events
-    const onMessageDelivered = (data) => {
-      setMessages(prev => prev.map(msg => 
-        msg.id === data.messageId 
-          ? { ...msg, delivered: true }
-          : msg
-      ));
+    const onUnreadCountUpdate = ({ roomId, count }) => {
+      setUnreadCounts((prev) => ({ ...prev, [roomId]: count }));
     };
 
     // Register event listeners
-    socket.on('connect', onConnect);
-    socket.on('disconnect', onDisconnect);
+    socket.on('connect_error', onConnectError);
     socket.on('receive_message', onReceiveMessage);
-    socket.on('private_message', onPrivateMessage);
     socket.on('user_list', onUserList);
     socket.on('user_joined', onUserJoined);
     socket.on('user_left', onUserLeft);
     socket.on('room_list', onRoomList);
+    socket.on('room_updated', onRoomUpdated);
+    socket.on('room_invites', onRoomInvites);
+    socket.on('room_invite', onRoomInvite);
     socket.on('room_joined', onRoomJoined);
+    socket.on('room_left', onRoomLeft);
+    socket.on('room_deleted', onRoomDeleted);
     socket.on('typing_users', onTypingUsers);
-    socket.on('reaction_added', onReactionAdded);
+    socket.on('message_updated', onMessageUpdated);
+    socket.on('message_deleted', onMessageDeleted);
     socket.on('message_read_receipt', onMessageReadReceipt);
-    socket.on('new_message_notification', onNewMessageNotification);
-    socket.on('notification', onNotification);
+    socket.on('read_receipts', onReadReceipts);
+    socket.on('error', onServerError);
+    socket.on('unread_counts', onUnreadCounts);
     socket.on('unread_count_update', onUnreadCountUpdate);
-    socket.on('messages_loaded', onMessagesLoaded);
-    socket.on('search_results', onSearchResults);
-    socket.on('message_delivered', onMessageDelivered);
-
-    // Request notification permission on mount
-    requestNotificationPermission();
 
     // Clean up event listeners
     return () => {
-      socket.off('connect', onConnect);
-      socket.off('disconnect', onDisconnect);
+      socket.off('connect_error', onConnectError);
       socket.off('receive_message', onReceiveMessage);
-      socket.off('private_message', onPrivateMessage);
       socket.off('user_list', onUserList);
       socket.off('user_joined', onUserJoined);
       socket.off('user_left', onUserLeft);
       socket.off('room_list', onRoomList);
+      socket.off('room_updated', onRoomUpdated);
+      socket.off('room_invites', onRoomInvites);
+      socket.off('room_invite', onRoomInvite);
       socket.off('room_joined', onRoomJoined);
+      socket.off('room_left', onRoomLeft);
+      socket.off('room_deleted', onRoomDeleted);
       socket.off('typing_users', onTypingUsers);
-      socket.off('reaction_added', onReactionAdded);
+      socket.off('message_updated', onMessageUpdated);
+      socket.off('message_deleted', onMessageDeleted);
       socket.off('message_read_receipt', onMessageReadReceipt);
-      socket.off('new_message_notification', onNewMessageNotification);
-      socket.off('notification', onNotification);
+      socket.off('read_receipts', onReadReceipts);
+      socket.off('error', onServerError);
+      socket.off('unread_counts', onUnreadCounts);
       socket.off('unread_count_update', onUnreadCountUpdate);
-      socket.off('messages_loaded', onMessagesLoaded);
-      socket.off('search_results', onSearchResults);
-      socket.off('message_delivered', onMessageDelivered);
     };
   }, []);
 
+  // Total unread across rooms (other than the one on screen) and conversations
+  const unreadCount = Object.entries(unreadCounts)
+    .filter(([roomId]) => roomId !== currentRoom)
+    .reduce((total, [, count]) => total + count, 0)
+    + directMessages.conversations.reduce((total, conversation) => total + conversation.unreadCount, 0);
+
   return {
     socket,
-    isConnected,
+    ...connection,
+    ...paging,
+    ...directMessages,
+    ...threads,
+    ...uploads,
+    ...moderation,
+    ...outbox,
+    ...search,
+    ...reactions,
+    ...mentions,
+    ...notifications,
+    ...push,
+    ...commands,
     lastMessage,
     messages,
     users,
     typingUsers,
     rooms,
     currentRoom,
+    roomInvites,
     unreadCount,
-    notifications,
-    searchResults,
-    connect,
-    disconnect,
+    unreadCounts,
+    readReceipts,
+    currentUser,
+    authError,
+    serverError,
+    privateMessages,
+    activeConversation,
+    activeThread,
+    login,
+    register,
+    restoreSession,
+    logout,
     sendMessage,
-    sendPrivateMessage,
+    previewMessage,
     setTyping,
     createRoom,
+    updateRoom,
+    archiveRoom,
+    deleteRoom,
     joinRoom,
-    shareFile,
-    addReaction,
+    inviteToRoom,
+    respondToInvite,
+    setMemberRole,
+    setSlowMode,
+    dismissServerError,
+    editMessage,
+    deleteMessage,
     markMessageAsRead,
-    loadMessages,
-    searchMessages,
-    playNotificationSound,
-    requestNotificationPermission,
-    showBrowserNotification,
+    markRoomAsRead,
+    fetchReadReceipts,
   };
 };
 
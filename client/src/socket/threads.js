@@ -0,0 +1,86 @@
+// threads.js - The thread side panel: opening a message's thread and replying in it
+
+import { useEffect } from 'react';
+import { socket } from './client';
+import { newClientId, reconcileMessage } from './messageLists';
+
+export const useThreads = (chat) => {
+  const {
+    notify,
+    activeThreadRef,
+    setActiveThread,
+    currentRoom,
+  } = chat;
+
+  // Open a message's thread in the side panel
+  const openThread = (messageId) => {
+    activeThreadRef.current = messageId;
+    setActiveThread({ parent: null, replies: [], hasMoreBefore: false, beforeCursor: null });
+    notify('load_thread', { messageId, limit: 50 });
+  };
+
+  // Load the replies before the open thread's oldest loaded one (its `beforeCursor`)
+  const loadMoreReplies = (before, limit = 50) => {
+    notify('load_thread', { messageId: activeThreadRef.current, before, limit });
+  };
+
+  const closeThread = () => {
+    activeThreadRef.current = null;
+    setActiveThread(null);
+  };
+
+  // Reply in a message's thread; resolves with the stored reply
+  const sendThreadReply = (parentId, message) => {
+    const clientId = newClientId();
+    const local = chat.pendingMessage({ clientId, message, parentId, room: currentRoom });
+    if (activeThreadRef.current === parentId) {
+      setActiveThread((prev) => prev && { ...prev, replies: [...prev.replies, local] });
+    }
+    return chat.queueMessage('send_message', { message, room: currentRoom, parentId, clientId }, local);
+  };
+
+  useEffect(() => {
+    const onThreadLoaded = (thread) => {
+      if (thread.parent._id !== activeThreadRef.current) return;
+
+      chat.cacheFileUrls(thread.replies);
+      setActiveThread((prev) => {
+        const loadedIds = new Set(thread.replies.map((reply) => reply._id));
+        const existing = (prev?.replies || []).filter((reply) => !loadedIds.has(reply._id));
+        const movesCursor = !thread.before || thread.before === prev?.beforeCursor;
+        return {
+          parent: thread.parent,
+          replies: [...existing, ...thread.replies].sort(
+            (a, b) => new Date(a.timestamp) - new Date(b.timestamp)
+          ),
+          hasMoreBefore: movesCursor ? thread.hasMoreBefore : prev.hasMoreBefore,
+          beforeCursor: movesCursor ? thread.beforeCursor : prev.beforeCursor,
+        };
+      });
+    };
+
+    const onThreadReply = (reply) => {
+      if (reply.parentId !== activeThreadRef.current) return;
+
+      setActiveThread((prev) => prev && {
+        ...prev,
+        replies: reconcileMessage(prev.replies, reply, 'delivered') || [...prev.replies, reply],
+      });
+    };
+
+    socket.on('thread_loaded', onThreadLoaded);
+    socket.on('thread_reply', onThreadReply);
+
+    return () => {
+      socket.off('thread_loaded', onThreadLoaded);
+      socket.off('thread_reply', onThreadReply);
+    };
+  }, []);
+
+  return {
+    openThread,
+    loadMoreReplies,
+    closeThread,
+    sendThreadReply,
+  };
+};
@@ -0,0 +1,188 @@
+// timeline.js - Paging through the history of a room or DM conversation with cursors,
+// in both directions from what is on screen
+
+import { useEffect, useRef, useState } from 'react';
+import { socket } from './client';
+
+const isUnsent = (msg) => ['queued', 'pending', 'failed'].includes(msg.status);
+
+// Paging state of a timeline: a room, or the DM conversation with a user
+export const timelineKey = ({ roomId, userId }) => (userId ? `dm:${userId}` : `room:${roomId}`);
+
+export const EMPTY_TIMELINE = {
+  hasMoreBefore: false,
+  hasMoreAfter: false,
+  beforeCursor: null,
+  afterCursor: null,
+  version: 0,
+};
+
+// A history page loaded `before` what is shown goes on top and one loaded `after` it
+// below; the newest page, or one around a message, replaces the list. Our own unsent
+// messages stay last either way.
+const mergePage = (list, page) => {
+  const pageIds = new Set(page.messages.map((msg) => msg._id));
+  const pageClientIds = new Set(page.messages.map((msg) => msg.clientId).filter(Boolean));
+  const kept = list.filter((msg) => !isUnsent(msg) && !pageIds.has(msg._id));
+  const unsent = list.filter((msg) => isUnsent(msg) && !pageClientIds.has(msg.clientId));
+
+  if (page.before) return [...page.messages, ...kept, ...unsent];
+  if (page.after) return [...kept, ...page.messages, ...unsent];
+  return [...page.messages, ...unsent];
+};
+
+// Where a timeline continues after a page. A page in one direction leaves the other
+// end alone; a replacing page starts a new version, so pages requested for the old
+// list are dropped.
+const advanceTimeline = (timeline = EMPTY_TIMELINE, page) => ({
+  hasMoreBefore: page.after ? timeline.hasMoreBefore : page.hasMoreBefore,
+  beforeCursor: page.after ? timeline.beforeCursor : page.beforeCursor,
+  hasMoreAfter: page.before ? timeline.hasMoreAfter : page.hasMoreAfter,
+  afterCursor: page.before ? timeline.afterCursor : page.afterCursor,
+  version: page.before || page.after ? timeline.version : timeline.version + 1,
+});
+
+export const useTimeline = (chat) => {
+  const {
+    request,
+    lastSeenRef,
+    currentRoom,
+    currentRoomRef,
+    activeConversation,
+    activeConversationRef,
+    setMessages,
+    setPrivateMessages,
+  } = chat;
+  // Paging of the loaded timelines, by timelineKey
+  const [timelines, setTimelines] = useState({});
+  const timelinesRef = useRef({});
+  const loadingTimelinesRef = useRef(new Set());
+
+  // The timeline on screen: the open conversation, or else the current room
+  const shownTimeline = () => (activeConversationRef.current
+    ? { userId: activeConversationRef.current }
+    : { roomId: currentRoomRef.current });
+
+  const setTimeline = (key, timeline) => {
+    timelinesRef.current = { ...timelinesRef.current, [key]: timeline };
+    setTimelines(timelinesRef.current);
+  };
+
+  // Start a timeline over, e.g. a room we just joined whose list was cleared
+  const clearTimeline = (shown) => {
+    setTimeline(timelineKey(shown), EMPTY_TIMELINE);
+  };
+
+  // Show a loaded page and remember where its timeline continues. Pages of a room
+  // we have left are dropped.
+  const applyPage = (page) => {
+    const key = timelineKey(page);
+    chat.cacheFileUrls(page.messages);
+
+    if (page.userId) {
+      setPrivateMessages((prev) => ({ ...prev, [page.userId]: mergePage(prev[page.userId] || [], page) }));
+    } else if (page.roomId === currentRoomRef.current) {
+      setMessages((prev) => mergePage(prev, page));
+      const newest = page.messages[page.messages.length - 1];
+      if (newest && !page.hasMoreAfter) {
+        lastSeenRef.current[page.roomId] = newest._id;
+      }
+    } else {
+      return;
+    }
+
+    setTimeline(key, advanceTimeline(timelinesRef.current[key], page));
+  };
+
+  // Load a page of a timeline, by default the one on screen: `latest`, or the `older` or
+  // `newer` messages next to those shown. Resolves with the page, or null when there was
+  // nothing to load.
+  const loadTimeline = async (direction, shown = shownTimeline()) => {
+    const key = timelineKey(shown);
+    const timeline = timelinesRef.current[key] || EMPTY_TIMELINE;
+
+    const position = {};
+    if (direction === 'older') {
+      if (!timeline.hasMoreBefore) return null;
+      position.before = timeline.beforeCursor;
+    } else if (direction === 'newer') {
+      if (!timeline.hasMoreAfter) return null;
+      position.after = timeline.afterCursor;
+    }
+
+    // Scrolling asks for the same page many times over
+    const loading = `${key}|${direction}`;
+    if (loadingTimelinesRef.current.has(loading)) return null;
+    loadingTimelinesRef.current.add(loading);
+
+    try {
+      const page = shown.userId
+        ? await request('load_private_history', { userId: shown.userId, ...position })
+        : await request('load_messages', { roomId: shown.roomId, ...position });
+
+      // The list was replaced (e.g. by jumping to a message) while this page loaded
+      if (direction !== 'latest' && timelinesRef.current[key]?.version !== timeline.version) {
+        return null;
+      }
+
+      applyPage({ ...page, ...position });
+      return page;
+    } finally {
+      loadingTimelinesRef.current.delete(loading);
+    }
+  };
+
+  const loadOlderMessages = () => loadTimeline('older');
+
+  const loadNewerMessages = () => loadTimeline('newer');
+
+  const loadLatestMessages = () => loadTimeline('latest');
+
+  // Whether a timeline's newest messages are loaded. While older history is on screen,
+  // new messages aren't added; they come with the next newer page.
+  const showsLatest = (timeline) => !timelinesRef.current[timelineKey(timeline)]?.hasMoreAfter;
+
+  // Sending while looking at older history brings the newest messages back
+  const returnToLatest = () => {
+    if (timelinesRef.current[timelineKey(shownTimeline())]?.hasMoreAfter) {
+      loadLatestMessages().catch(() => {});
+    }
+  };
+
+  // Forget the history paging of the user logging out
+  const resetTimelines = () => {
+    timelinesRef.current = {};
+    loadingTimelinesRef.current.clear();
+    setTimelines({});
+  };
+
+  useEffect(() => {
+    // After a reconnect, `missed_messages` fills in what the room already shows
+    const onSession = (session) => {
+      if (!lastSeenRef.current[session.currentRoom]) {
+        loadTimeline('latest', { roomId: session.currentRoom }).catch(() => {});
+      }
+    };
+
+    socket.on('session', onSession);
+
+    return () => {
+      socket.off('session', onSession);
+    };
+  }, []);
+
+  return {
+    timeline: timelines[timelineKey(activeConversation
+      ? { userId: activeConversation }
+      : { roomId: currentRoom })] || EMPTY_TIMELINE,
+    clearTimeline,
+    applyPage,
+    loadTimeline,
+    loadOlderMessages,
+    loadNewerMessages,
+    loadLatestMessages,
+    showsLatest,
+    returnToLatest,
+    resetTimelines,
+  };
+};
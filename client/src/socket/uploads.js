@@ -0,0 +1,118 @@
+// uploads.js - Sharing files, and the signed links to show files others shared
+
+import { useRef, useState } from 'react';
+import { SOCKET_URL, apiFetch, emitWithAck } from './client';
+
+// Files above this size go over the socket in chunks instead of one multipart request
+const CHUNKED_UPLOAD_THRESHOLD = 2 * 1024 * 1024;
+const UPLOAD_CHUNK_SIZE = 256 * 1024;
+
+// Download URLs are signed for a short time; reuse them for a little less than that
+const FILE_URL_CACHE_MS = 10 * 60 * 1000;
+
+export const useUploads = (chat) => {
+  const { currentRoom } = chat;
+  const fileUrlCacheRef = useRef(new Map());
+  const [uploadProgress, setUploadProgress] = useState(null);
+  const [uploadError, setUploadError] = useState(null);
+
+  // Upload a file in one multipart request
+  const uploadViaHttp = async (file) => {
+    const body = new FormData();
+    body.append('file', file);
+
+    const response = await apiFetch('/api/files', { method: 'POST', body });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error || 'Upload failed');
+    }
+
+    setUploadProgress({ name: file.name, loaded: file.size, total: file.size });
+    return data;
+  };
+
+  // Upload a file over the socket in ordered chunks
+  const uploadViaSocket = async (file) => {
+    const { uploadId } = await emitWithAck('upload_start', {
+      name: file.name,
+      type: file.type,
+      size: file.size,
+    });
+
+    for (let index = 0, start = 0; start < file.size; index += 1, start += UPLOAD_CHUNK_SIZE) {
+      const data = await file.slice(start, start + UPLOAD_CHUNK_SIZE).arrayBuffer();
+      const { received } = await emitWithAck('upload_chunk', { uploadId, index, data });
+      setUploadProgress({ name: file.name, loaded: received, total: file.size });
+    }
+
+    const { file: uploaded } = await emitWithAck('upload_complete', { uploadId });
+    return uploaded;
+  };
+
+  // Upload a file and share it in the current room
+  const shareFile = async (file) => {
+    setUploadError(null);
+    setUploadProgress({ name: file.name, loaded: 0, total: file.size });
+
+    try {
+      const uploaded = file.size > CHUNKED_UPLOAD_THRESHOLD
+        ? await uploadViaSocket(file)
+        : await uploadViaHttp(file);
+
+      await emitWithAck('share_file', { fileId: uploaded._id, room: currentRoom });
+      return uploaded;
+    } catch (error) {
+      setUploadError(error.message);
+      return null;
+    } finally {
+      setUploadProgress(null);
+    }
+  };
+
+  // Remember the signed links loaded messages carry (paths on the server), so showing
+  // their files takes no request each
+  const cacheFileUrls = (list) => {
+    const expiresAt = Date.now() + FILE_URL_CACHE_MS;
+    list.forEach(({ fileId, fileUrls }) => {
+      if (!fileUrls) return;
+      fileUrlCacheRef.current.set(fileId, {
+        urls: {
+          url: `${SOCKET_URL}${fileUrls.url}`,
+          thumbnailUrl: fileUrls.thumbnailUrl && `${SOCKET_URL}${fileUrls.thumbnailUrl}`,
+        },
+        expiresAt,
+      });
+    });
+  };
+
+  // Get (cached) signed download and thumbnail URLs for a file
+  const getFileUrls = async (fileId) => {
+    const cached = fileUrlCacheRef.current.get(fileId);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.urls;
+    }
+
+    const response = await apiFetch(`/api/files/${fileId}/url`);
+    if (!response.ok) return null;
+
+    const urls = await response.json();
+    fileUrlCacheRef.current.set(fileId, { urls, expiresAt: Date.now() + FILE_URL_CACHE_MS });
+    return urls;
+  };
+
+  // Forget the links signed for the user logging out
+  const resetUploads = () => {
+    fileUrlCacheRef.current.clear();
+    setUploadProgress(null);
+    setUploadError(null);
+  };
+
+  return {
+    uploadProgress,
+    uploadError,
+    shareFile,
+    cacheFileUrls,
+    getFileUrls,
+    resetUploads,
+  };
+};
@@ -0,0 +1,127 @@
+// builtin.js - The chat's built-in slash commands (see index.js for the format)
+
+const User = require('../models/User');
+const Room = require('../models/Room');
+const { fields } = require('../validation');
+const { AppError } = require('../utils/errors');
+const { resolveRoomId, isRoomManager, findAccessibleRoom } = require('../services/rooms');
+
+// "@alice" and "alice" both name alice
+const findUser = async (name) => {
+  const user = await User.findOne({ username: name.replace(/^@/, '') });
+  if (!user) {
+    throw new AppError(404, 'USER_NOT_FOUND', `No user called "${name}"`);
+  }
+  return user;
+};
+
+module.exports = [
+  {
+    name: 'join',
+    aliases: ['j'],
+    usage: '/join <room>',
+    description: 'Join a room by name',
+    args: [{ name: 'room', schema: fields.roomName, rest: true }],
+    run: async ({ actions }, { room: name }) => {
+      const room = await actions.joinRoom(await resolveRoomId(name));
+      return {
+        reply: room.topic ? `**#${room.name}**: ${room.topic}` : null,
+        room,
+      };
+    },
+  },
+  {
+    name: 'leave',
+    aliases: ['part'],
+    usage: '/leave [room]',
+    description: 'Leave this room or another; private rooms need an invitation to come back',
+    args: [{ name: 'room', schema: fields.roomName, optional: true, rest: true }],
+    run: async ({ roomId, actions }, { room: name }) => {
+      const room = await actions.leaveRoom(name ? await resolveRoomId(name) : roomId);
+      return { reply: `You left **#${room.name}**` };
+    },
+  },
+  {
+    name: 'me',
+    usage: '/me <action>',
+    description: 'Post an action, like "/me waves" for "* alice waves"',
+    args: [{ name: 'action', schema: fields.messageText, rest: true }],
+    run: async ({ roomId, actions }, { action }) => {
+      await actions.postRoomMessage({ roomId, message: action, isAction: true });
+      return {};
+    },
+  },
+  {
+    name: 'nick',
+    usage: '/nick <new name>',
+    description: 'Change your username',
+    args: [{ name: 'username', schema: fields.newUsername }],
+    run: async ({ actions }, { username }) => {
+      const user = await actions.renameUser(username);
+      return { reply: `You are now **${user.username}**`, user };
+    },
+  },
+  {
+    name: 'topic',
+    usage: '/topic [new topic | -]',
+    description: 'Show the room topic; moderators can change it, or clear it with "-"',
+    args: [{ name: 'topic', schema: fields.roomTopic, optional: true, rest: true }],
+    run: async ({ user, roomId, actions }, { topic }) => {
+      if (topic === undefined) {
+        const room = await findAccessibleRoom(roomId, user.id);
+        return {
+          reply: room.topic ? `Topic of **#${room.name}**: ${room.topic}` : `**#${room.name}** has no topic`,
+        };
+      }
+
+      const room = await actions.setTopic({ roomId, topic: topic === '-' ? '' : topic });
+      return { reply: room.topic ? 'Topic changed' : 'Topic cleared' };
+    },
+  },
+  {
+    name: 'msg',
+    aliases: ['dm', 'query'],
+    usage: '/msg <user> <message>',
+    description: 'Send someone a direct message',
+    args: [
+      { name: 'username', schema: fields.username },
+      { name: 'message', schema: fields.messageText, rest: true },
+    ],
+    run: async ({ actions }, { username, message }) => {
+      const recipient = await findUser(username);
+      await actions.sendPrivateMessage({ to: recipient._id.toString(), message });
+      return { reply: `Message sent to **${recipient.username}**` };
+    },
+  },
+  {
+    name: 'invite',
+    usage: '/invite <user>',
+    description: 'Invite someone into this private room',
+    args: [{ name: 'username', schema: fields.username }],
+    // Owners and admins of the private room they're in
+    allowed: async ({ user, roomId }) => {
+      const room = await Room.findOne({ roomId });
+      return Boolean(room?.isPrivate && isRoomManager(room, user.id));
+    },
+    run: async ({ roomId, actions }, { username }) => {
+      const invitee = await findUser(username);
+      const room = await actions.inviteUser({ roomId, inviteeId: invitee._id.toString() });
+      return { reply: `Invited **${invitee.username}** to **#${room.name}**` };
+    },
+  },
+  {
+    name: 'search',
+    aliases: ['find'],
+    usage: '/search <words>',
+    description: 'Search every room you can read and your direct messages',
+    args: [{ name: 'query', schema: fields.searchQuery, rest: true }],
+    run: async ({ actions }, { query }) => {
+      const { messages, hasMore } = await actions.search({ query });
+      const count = hasMore ? `${messages.length}+` : messages.length;
+      return {
+        reply: `${count} result${messages.length === 1 ? '' : 's'} for "${query}"`,
+        search: { query },
+      };
+    },
+  },
+];
@@ -0,0 +1,136 @@
+// index.js - Slash-command registry: argument parsing, permission checks, help and dispatch
+//
+// A command is declared as:
+//   name, aliases?          - "/name" and other names that run it
+//   usage, description      - shown by /help and the client's autocomplete
+//   args                    - [{ name, schema, optional?, rest? }]; a `rest` argument takes
+//                             the remaining text as written, the others one word each
+//                             ("quoted words" count as one)
+//   allowed?(context)       -> whether the caller may use it where they typed it
+//   run(context, args)      -> { reply?, ...data } for the caller's acknowledgement
+//
+// `context` is { user, roomId, actions }; `actions` are the socket connection's helpers
+// (joining rooms, posting, ...), so commands behave exactly like the matching events.
+
+const { z, validate } = require('../validation');
+const { AppError } = require('../utils/errors');
+const { renderMarkdown } = require('../utils/markdown');
+const builtinCommands = require('./builtin');
+
+const commands = new Map();
+const aliases = new Map();
+
+const defineCommand = (command) => {
+  const shape = Object.fromEntries(command.args.map((arg) => [
+    arg.name,
+    arg.optional ? arg.schema.optional() : arg.schema,
+  ]));
+
+  commands.set(command.name, { ...command, schema: z.object(shape) });
+  (command.aliases || []).forEach((alias) => aliases.set(alias, command.name));
+};
+
+const findCommand = (name) => commands.get(aliases.get(name) || name);
+
+const WORD = /^\s*(?:"([^"]*)"|(\S+))/;
+
+// Split what follows the command name into its declared arguments
+const parseArgs = (command, text) => {
+  const values = {};
+  let remaining = text;
+
+  command.args.forEach((arg) => {
+    if (arg.rest) {
+      const rest = remaining.trim();
+      if (rest) values[arg.name] = rest;
+      remaining = '';
+      return;
+    }
+
+    const match = WORD.exec(remaining);
+    if (match) {
+      values[arg.name] = match[1] ?? match[2];
+      remaining = remaining.slice(match[0].length);
+    }
+  });
+
+  const missing = command.args.find((arg) => !arg.optional && values[arg.name] === undefined);
+  if (missing || remaining.trim()) {
+    throw new AppError(400, 'INVALID_COMMAND', `Usage: ${command.usage}`);
+  }
+
+  return validate(command.schema, values);
+};
+
+const isAllowed = (command, context) => !command.allowed || command.allowed(context);
+
+// Commands the caller may use where they are, for /help and autocompletion
+const availableCommands = async (context) => {
+  const checks = await Promise.all(
+    [...commands.values()].map((command) => isAllowed(command, context))
+  );
+
+  return [...commands.values()]
+    .filter((command, index) => checks[index])
+    .map(({ name, usage, description, aliases: names = [] }) => ({
+      name,
+      usage,
+      description,
+      aliases: names,
+    }));
+};
+
+// Run "/name args..." for the caller. Replies are Markdown, sent back rendered.
+const runCommand = async (input, context) => {
+  const [, name, text = ''] = /^\/(\S*)\s*([\s\S]*)$/.exec(input.trim()) || [];
+  const command = name && findCommand(name.toLowerCase());
+  if (!command) {
+    throw new AppError(404, 'UNKNOWN_COMMAND', `Unknown command "/${name || ''}". Type /help for the list.`);
+  }
+
+  if (!(await isAllowed(command, context))) {
+    throw new AppError(403, 'FORBIDDEN', `You can't use /${command.name} here`);
+  }
+
+  const { reply, ...data } = await command.run(context, parseArgs(command, text)) || {};
+
+  return {
+    command: command.name,
+    reply: reply ? { text: reply, html: renderMarkdown(reply) } : null,
+    ...data,
+  };
+};
+
+builtinCommands.forEach(defineCommand);
+
+// /help lives here, as it reads the registry
+defineCommand({
+  name: 'help',
+  aliases: ['?', 'commands'],
+  usage: '/help [command]',
+  description: 'List the commands you can use, or explain one',
+  args: [{ name: 'command', schema: z.string().max(32), optional: true }],
+  run: async (context, { command: name }) => {
+    if (name) {
+      const command = findCommand(name.replace(/^\//, '').toLowerCase());
+      if (!command) {
+        throw new AppError(404, 'UNKNOWN_COMMAND', `Unknown command "/${name}". Type /help for the list.`);
+      }
+
+      const also = command.aliases?.length
+        ? `\nAlso: ${command.aliases.map((alias) => `\`/${alias}\``).join(', ')}`
+        : '';
+      return { reply: `\`${command.usage}\`\n${command.description}${also}` };
+    }
+
+    const lines = (await availableCommands(context))
+      .map(({ usage, description }) => `- \`${usage}\` ${description}`);
+    return { reply: `Commands you can use here:\n\n${lines.join('\n')}` };
+  },
+});
+
+module.exports = {
+  defineCommand,
+  availableCommands,
+  runCommand,
+};
@@ -0,0 +1,119 @@
+// auth.js - JWT helpers and authentication middleware for Express and Socket.io
+
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+
+const JWT_SECRET = process.env.JWT_SECRET || 'dev-only-secret-change-me';
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '7d';
+const FILE_TOKEN_EXPIRES_IN = process.env.FILE_TOKEN_EXPIRES_IN || '15m';
+
+if (!process.env.JWT_SECRET) {
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('JWT_SECRET must be set in production');
+  }
+  console.warn('⚠️  JWT_SECRET not set, using an insecure development secret');
+}
+
+// Sign a token carrying the user's stable id
+const signToken = (user) =>
+  jwt.sign({ sub: user._id.toString(), username: user.username }, JWT_SECRET, {
+    expiresIn: JWT_EXPIRES_IN,
+  });
+
+// Payload of a valid session token, or null
+const verifySession = (token) => {
+  if (!token) return null;
+
+  try {
+    const payload = jwt.verify(token, JWT_SECRET);
+    // Scoped tokens (file downloads) can't stand in for a session
+    return payload.purpose ? null : payload;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Resolve a token to its user document, or null if it is invalid
+const verifyToken = async (token) => {
+  const payload = verifySession(token);
+  if (!payload) return null;
+
+  try {
+    return await User.findById(payload.sub);
+  } catch (error) {
+    return null;
+  }
+};
+
+// Sign a short-lived token that lets one user fetch one file, for URLs used
+// where no Authorization header can be sent (<img src>, download links)
+const signFileToken = (fileId, userId) =>
+  jwt.sign({ sub: userId.toString(), file: fileId.toString(), purpose: 'file' }, JWT_SECRET, {
+    expiresIn: FILE_TOKEN_EXPIRES_IN,
+  });
+
+// Check a file token against the file it is being used for
+const verifyFileToken = (token, fileId) => {
+  try {
+    const payload = jwt.verify(token, JWT_SECRET);
+    return payload.purpose === 'file' && payload.file === fileId ? payload : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Read a bearer token from the Authorization header
+const getBearerToken = (req) => {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+  return scheme === 'Bearer' ? token : null;
+};
+
+// Id of the user a request's bearer token was issued to, checked but without loading
+// the user; null when it carries no valid session token
+const bearerUserId = (req) => verifySession(getBearerToken(req))?.sub || null;
+
+// The identity services act as, the same for REST requests and sockets
+const actingUser = (user) => ({
+  id: user._id.toString(),
+  username: user.username,
+  role: user.role,
+});
+
+// Express middleware: rejects requests without a valid bearer token. Sets `req.user`
+// and `req.actingUser`.
+const requireAuth = async (req, res, next) => {
+  const user = await verifyToken(getBearerToken(req));
+
+  if (!user) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  req.user = user;
+  req.actingUser = actingUser(user);
+  next();
+};
+
+// Socket.io middleware: rejects handshakes without a valid token
+const socketAuth = async (socket, next) => {
+  const user = await verifyToken(socket.handshake.auth?.token);
+
+  if (!user) {
+    const error = new Error('Authentication required');
+    error.data = { code: 'UNAUTHORIZED' };
+    return next(error);
+  }
+
+  socket.data.user = actingUser(user);
+  next();
+};
+
+module.exports = {
+  signToken,
+  verifyToken,
+  signFileToken,
+  verifyFileToken,
+  bearerUserId,
+  requireAuth,
+  socketAuth,
+};
@@ -0,0 +1,78 @@
+// rateLimit.js - Rate-limiting middleware for Express routes and Socket.io events
+
+const { consume, limitForEvent, penaltyFor } = require('../services/rateLimit');
+const { bearerUserId } = require('./auth');
+const { userRoom } = require('../utils/rooms');
+const { sendError, emitSocketError, ackError } = require('../utils/errors');
+
+// Client address of a handshake. Behind a trusted proxy it is the address the
+// proxy appended last; earlier entries come from the client and can be forged.
+const socketIp = (socket) => {
+  const forwarded = socket.handshake.headers['x-forwarded-for'];
+  if (process.env.TRUST_PROXY && forwarded) {
+    return forwarded.split(',').pop().trim();
+  }
+  return socket.handshake.address;
+};
+
+// Charge each request against the `name` budget, per IP and per user. The user is
+// the authenticated one, or else the one the bearer token names, so budgets mounted
+// ahead of `requireAuth` are still kept per user.
+const rateLimit = (name = 'rest') => (req, res, next) => {
+  try {
+    consume(name, { userId: req.user?._id || bearerUserId(req), ip: req.ip });
+    next();
+  } catch (error) {
+    if (error.details?.retryAfterMs) {
+      res.set('Retry-After', String(Math.ceil(error.details.retryAfterMs / 1000)));
+    }
+    sendError(res, error, 'Rate limit check failed');
+  }
+};
+
+// Refuse handshakes from users serving a flooding penalty (runs after socketAuth)
+const rejectPenalized = (socket, next) => {
+  const retryAfterMs = penaltyFor(`user:${socket.data.user.id}`);
+  if (retryAfterMs > 0) {
+    const error = new Error('Too many requests, try again later');
+    error.data = { code: 'RATE_LIMITED', retryAfterMs };
+    return next(error);
+  }
+  next();
+};
+
+// Per-socket packet middleware: events over budget are dropped and answered with a
+// RATE_LIMITED error (through the ack when there is one). Users who keep flooding
+// have all their connections closed until their penalty runs out.
+const socketRateLimit = (socket) => ([event, ...args], next) => {
+  const { id: userId } = socket.data.user;
+
+  try {
+    consume(limitForEvent(event), { userId, ip: socketIp(socket) });
+    next();
+  } catch (error) {
+    const ack = args[args.length - 1];
+    if (typeof ack === 'function') {
+      ackError(ack, error, 'Rate limit check failed');
+    } else {
+      emitSocketError(socket, error, 'Rate limit check failed');
+    }
+
+    const retryAfterMs = penaltyFor(`user:${userId}`);
+    if (retryAfterMs > 0) {
+      console.log(`🚫 Disconnecting ${socket.data.user.username} for flooding`);
+      socket.nsp.to(userRoom(userId)).emit('error', {
+        code: 'FLOODING',
+        message: 'Disconnected for sending too many requests',
+        retryAfterMs,
+      });
+      socket.nsp.in(userRoom(userId)).disconnectSockets(true);
+    }
+  }
+};
+
+module.exports = {
+  rateLimit,
+  rejectPenalized,
+  socketRateLimit,
+};
@@ -0,0 +1,19 @@
+// validate.js - Express middleware validating request bodies and query strings
+
+const { validate } = require('../validation');
+const { sendError } = require('../utils/errors');
+
+// Replace `req[source]` with its parsed value, or answer 400 VALIDATION_ERROR
+const validateRequest = (source) => (schema) => (req, res, next) => {
+  try {
+    req[source] = validate(schema, req[source]);
+    next();
+  } catch (error) {
+    sendError(res, error, 'Failed to validate request');
+  }
+};
+
+const validateBody = validateRequest('body');
+const validateQuery = validateRequest('query');
+
+module.exports = { validateBody, validateQuery };
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+const attachmentSchema = new mongoose.Schema(
+  {
+    uploader: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    originalName: {
+      type: String,
+      required: true,
+    },
+    mimeType: {
+      type: String,
+      required: true,
+    },
+    size: {
+      type: Number,
+      required: true,
+    },
+    // Location of the bytes in the storage backend
+    storageKey: {
+      type: String,
+      required: true,
+    },
+    thumbnailKey: {
+      type: String,
+      default: null,
+    },
+    // The message the file was shared in; null until it is shared
+    message: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Message',
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+attachmentSchema.index({ uploader: 1, createdAt: -1 });
+
+// Storage keys are internal
+attachmentSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.storageKey;
+    delete ret.thumbnailKey;
+    ret.hasThumbnail = Boolean(doc.thumbnailKey);
+    return ret;
+  },
+});
+
+module.exports = mongoose.model('Attachment', attachmentSchema);
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+const conversationSchema = new mongoose.Schema(
+  {
+    // Sorted "<userId>:<userId>" pair, so each pair of users has exactly one conversation
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    participants: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+    ],
+    lastMessage: {
+      type: String,
+      default: '',
+    },
+    lastMessageAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { timestamps: true }
+);
+
+conversationSchema.index({ participants: 1, lastMessageAt: -1 });
+
+const conversationKey = (userA, userB) => [userA.toString(), userB.toString()].sort().join(':');
+
+// Find the conversation between two users, creating it on first contact
+conversationSchema.statics.between = function (userA, userB) {
+  const key = conversationKey(userA, userB);
+  return this.findOneAndUpdate(
+    { key },
+    { $setOnInsert: { key, participants: key.split(':') } },
+    { upsert: true, new: true }
+  );
+};
+
+// Shape a conversation as seen by one of its participants
+conversationSchema.methods.toSummary = function (userId, unreadCount = 0) {
+  const id = userId.toString();
+  const other = this.participants.find((p) => (p._id || p).toString() !== id) || this.participants[0];
+
+  return {
+    _id: this._id,
+    user: other,
+    lastMessage: this.lastMessage,
+    lastMessageAt: this.lastMessageAt,
+    unreadCount,
+  };
+};
+
+module.exports = mongoose.model('Conversation', conversationSchema);
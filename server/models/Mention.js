@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+// One entry per user mentioned in a message; together they make up each user's
+// mentions inbox
+const mentionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    message: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Message',
+      required: true,
+    },
+    room: {
+      type: String,
+      required: true,
+    },
+    // The thread's parent message when the mention is in a reply
+    parentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Message',
+      default: null,
+    },
+    sender: {
+      type: String,
+      required: true,
+    },
+    // How the user was mentioned: by name, with @room or with @here
+    kind: {
+      type: String,
+      enum: ['user', 'room', 'here'],
+      required: true,
+    },
+    read: {
+      type: Boolean,
+      default: false,
+    },
+    // The message's timestamp, so the inbox lists mentions in message order
+    timestamp: {
+      type: Date,
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+mentionSchema.index({ user: 1, message: 1 }, { unique: true });
+mentionSchema.index({ user: 1, read: 1, timestamp: -1 });
+mentionSchema.index({ message: 1 });
+
+module.exports = mongoose.model('Mention', mentionSchema);
@@ -6,14 +6,27 @@ const messageSchema = new mongoose.Schema(
       type: String,
       required: true,
     },
+    // For messages posted through an incoming webhook, the webhook's id (see `webhook`)
     senderId: {
-      type: String,
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
       required: true,
     },
+    // Set on messages posted by an integration through an incoming webhook
+    webhook: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Webhook',
+      default: null,
+    },
     message: {
       type: String,
       default: '',
     },
+    // `message` rendered from Markdown to sanitized HTML; `message` stays the source for editing
+    html: {
+      type: String,
+      default: '',
+    },
     room: {
       type: String,
       default: 'general',
@@ -22,10 +35,19 @@ const messageSchema = new mongoose.Schema(
       type: String,
       default: null,
     },
-    fileUrl: {
-      type: String,
+    fileId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Attachment',
       default: null,
     },
+    fileSize: {
+      type: Number,
+      default: null,
+    },
+    hasThumbnail: {
+      type: Boolean,
+      default: false,
+    },
     fileType: {
       type: String,
       default: null,
@@ -39,26 +61,115 @@ const messageSchema = new mongoose.Schema(
       default: false,
     },
     recipient: {
-      type: String,
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    conversation: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Conversation',
       default: null,
     },
     delivered: {
       type: Boolean,
       default: true,
     },
-    read: {
+    // Id generated by the sender's client, so a resent message is stored only once
+    clientId: {
+      type: String,
+      default: undefined,
+    },
+    // One entry per user and emoji; clients get them grouped by emoji (see toJSON)
+    reactions: [
+      {
+        _id: false,
+        emoji: {
+          type: String,
+          required: true,
+        },
+        user: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User',
+          required: true,
+        },
+        username: {
+          type: String,
+          required: true,
+        },
+      },
+    ],
+    // Users named with @username, resolved when the message is posted or edited
+    mentions: [
+      {
+        _id: false,
+        user: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User',
+          required: true,
+        },
+        username: {
+          type: String,
+          required: true,
+        },
+      },
+    ],
+    // "room" and/or "here" when the message used @room or @here
+    groupMentions: [String],
+    // Posted with /me: shown as something the sender does ("* alice waves")
+    isAction: {
       type: Boolean,
       default: false,
     },
-    reactions: {
-      type: Map,
-      of: String,
-      default: new Map(),
-    },
     timestamp: {
       type: Date,
       default: Date.now,
     },
+    // Set on thread replies; top-level messages have no parent
+    parentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Message',
+      default: null,
+    },
+    // Thread bookkeeping, maintained on the parent message
+    replyCount: {
+      type: Number,
+      default: 0,
+    },
+    lastReplyAt: {
+      type: Date,
+      default: null,
+    },
+    threadParticipants: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+    ],
+    // Previous revisions, oldest first; the current text lives in `message`
+    edits: [
+      {
+        message: String,
+        editedAt: Date,
+      },
+    ],
+    editedAt: {
+      type: Date,
+      default: null,
+    },
+    // Deleted messages stay as tombstones so replies keep their parent
+    isDeleted: {
+      type: Boolean,
+      default: false,
+    },
+    deletedAt: {
+      type: Date,
+      default: null,
+    },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
   },
   { timestamps: true }
 );
@@ -66,6 +177,35 @@ const messageSchema = new mongoose.Schema(
 // Index for efficient querying
 messageSchema.index({ room: 1, timestamp: -1 });
 messageSchema.index({ senderId: 1, timestamp: -1 });
-messageSchema.index({ isPrivate: 1, recipient: 1 });
+messageSchema.index({ conversation: 1, timestamp: -1 });
+messageSchema.index({ parentId: 1, timestamp: 1 });
+messageSchema.index(
+  { senderId: 1, clientId: 1 },
+  { unique: true, partialFilterExpression: { clientId: { $type: 'string' } } }
+);
+// Full-text search; a collection can only have one text index
+messageSchema.index(
+  { message: 'text', fileName: 'text', sender: 'text' },
+  { name: 'message_text', weights: { message: 10, fileName: 5, sender: 2 } }
+);
+
+// Reactions go out grouped by emoji, in the order each emoji was first used:
+// [{ emoji, count, users: [{ _id, username }] }]
+messageSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    const groups = new Map();
+    (ret.reactions || []).forEach(({ emoji, user, username }) => {
+      if (!groups.has(emoji)) {
+        groups.set(emoji, { emoji, count: 0, users: [] });
+      }
+      const group = groups.get(emoji);
+      group.count += 1;
+      group.users.push({ _id: user, username });
+    });
+
+    ret.reactions = [...groups.values()];
+    return ret;
+  },
+});
 
 module.exports = mongoose.model('Message', messageSchema);
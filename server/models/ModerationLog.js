@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+// One entry per moderation action, kept as an audit trail
+const moderationLogSchema = new mongoose.Schema(
+  {
+    action: {
+      type: String,
+      enum: ['kick', 'mute', 'unmute', 'ban', 'unban', 'edit_message', 'delete_message'],
+      required: true,
+    },
+    // null when a site moderator deletes a direct message
+    room: {
+      type: String,
+      default: null,
+    },
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    target: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    // The edited or deleted message, for `edit_message` and `delete_message`
+    message: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Message',
+      default: null,
+    },
+    reason: {
+      type: String,
+      required: true,
+    },
+    // When a mute or ban ends; null means until lifted
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+moderationLogSchema.index({ room: 1, createdAt: -1 });
+moderationLogSchema.index({ target: 1, createdAt: -1 });
+moderationLogSchema.index({ actor: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ModerationLog', moderationLogSchema);
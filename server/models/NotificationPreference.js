@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+
+const NOTIFICATION_LEVELS = ['all', 'mentions', 'muted'];
+
+// A user's notification settings. Rooms and conversations without an entry use "all";
+// conversations are keyed by the other participant.
+const notificationPreferenceSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      unique: true,
+    },
+    rooms: [
+      {
+        _id: false,
+        roomId: {
+          type: String,
+          required: true,
+        },
+        level: {
+          type: String,
+          enum: NOTIFICATION_LEVELS,
+          required: true,
+        },
+      },
+    ],
+    conversations: [
+      {
+        _id: false,
+        user: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User',
+          required: true,
+        },
+        level: {
+          type: String,
+          enum: NOTIFICATION_LEVELS,
+          required: true,
+        },
+      },
+    ],
+    sound: {
+      type: Boolean,
+      default: true,
+    },
+    // Daily quiet hours, "HH:MM" in `timeZone`; an end before the start runs past
+    // midnight, and equal times mean all day
+    doNotDisturb: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      start: {
+        type: String,
+        default: '22:00',
+      },
+      end: {
+        type: String,
+        default: '08:00',
+      },
+      timeZone: {
+        type: String,
+        default: 'UTC',
+      },
+    },
+  },
+  { timestamps: true }
+);
+
+// Clients get rooms and conversations as { [roomId or userId]: level }
+notificationPreferenceSchema.set('toJSON', {
+  transform: (doc, ret) => ({
+    rooms: Object.fromEntries((ret.rooms || []).map(({ roomId, level }) => [roomId, level])),
+    conversations: Object.fromEntries(
+      (ret.conversations || []).map(({ user, level }) => [user.toString(), level])
+    ),
+    sound: ret.sound,
+    doNotDisturb: ret.doNotDisturb,
+  }),
+});
+
+module.exports = mongoose.model('NotificationPreference', notificationPreferenceSchema);
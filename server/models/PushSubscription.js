@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+// A browser's Web Push subscription; each user can have one per browser or device
+const pushSubscriptionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    // The push service URL identifies the subscription
+    endpoint: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    keys: {
+      p256dh: {
+        type: String,
+        required: true,
+      },
+      auth: {
+        type: String,
+        required: true,
+      },
+    },
+    expirationTime: {
+      type: Date,
+      default: null,
+    },
+    userAgent: {
+      type: String,
+      default: '',
+    },
+    lastPushedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+pushSubscriptionSchema.index({ user: 1 });
+
+// The shape push transports expect
+pushSubscriptionSchema.methods.toWebPush = function () {
+  return { endpoint: this.endpoint, keys: { p256dh: this.keys.p256dh, auth: this.keys.auth } };
+};
+
+// The keys are secrets between the server and the browser
+pushSubscriptionSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.keys;
+    return ret;
+  },
+});
+
+module.exports = mongoose.model('PushSubscription', pushSubscriptionSchema);
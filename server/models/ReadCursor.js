@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+const readCursorSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    // What the cursor reads: "room:<roomId>" or "dm:<conversationId>"
+    scope: {
+      type: String,
+      required: true,
+    },
+    // Everything up to and including this moment has been read
+    lastReadAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // Denormalized count of messages after `lastReadAt`, kept in step with the cursor
+    unreadCount: {
+      type: Number,
+      default: 0,
+    },
+  },
+  { timestamps: true }
+);
+
+readCursorSchema.index({ user: 1, scope: 1 }, { unique: true });
+readCursorSchema.index({ scope: 1, lastReadAt: -1 });
+
+module.exports = mongoose.model('ReadCursor', readCursorSchema);
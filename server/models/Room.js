@@ -15,6 +15,11 @@ const roomSchema = new mongoose.Schema(
       type: String,
       default: '',
     },
+    // Set with /topic or the room settings by the room's moderators
+    topic: {
+      type: String,
+      default: '',
+    },
     users: {
       type: Map,
       of: String,
@@ -24,10 +29,115 @@ const roomSchema = new mongoose.Schema(
       type: Number,
       default: 0,
     },
+    // Private rooms are invisible and closed to everyone but their members
     isPrivate: {
       type: Boolean,
       default: false,
     },
+    members: [
+      {
+        _id: false,
+        user: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User',
+          required: true,
+        },
+        role: {
+          type: String,
+          enum: ['owner', 'admin', 'member'],
+          default: 'member',
+        },
+        joinedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    // Pending invitations to a private room
+    invites: [
+      {
+        _id: false,
+        user: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User',
+          required: true,
+        },
+        invitedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User',
+        },
+        createdAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    // Minimum seconds between one user's posts; 0 turns slow mode off
+    slowModeSeconds: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // Active bans and mutes; `expiresAt: null` lasts until lifted
+    bans: [
+      {
+        _id: false,
+        user: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User',
+          required: true,
+        },
+        reason: String,
+        by: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User',
+        },
+        expiresAt: {
+          type: Date,
+          default: null,
+        },
+      },
+    ],
+    mutes: [
+      {
+        _id: false,
+        user: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User',
+          required: true,
+        },
+        reason: String,
+        by: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User',
+        },
+        expiresAt: {
+          type: Date,
+          default: null,
+        },
+      },
+    ],
+    // Archived rooms stay readable but take no new posts, edits or reactions
+    archivedAt: {
+      type: Date,
+      default: null,
+    },
+    archivedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    // Set when a room is deleted but its messages are kept; the room is gone for
+    // everyone, and its id stays taken so the messages never show up in a new room
+    deletedAt: {
+      type: Date,
+      default: null,
+    },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
     createdBy: {
       type: String,
       default: 'system',
@@ -42,5 +152,36 @@ const roomSchema = new mongoose.Schema(
 
 roomSchema.index({ roomId: 1 });
 roomSchema.index({ name: 1 });
+roomSchema.index({ 'members.user': 1 });
+roomSchema.index({ 'invites.user': 1 });
+
+// The member entry for a user, if they are one
+roomSchema.methods.memberOf = function (userId) {
+  const id = userId.toString();
+  return this.members.find((member) => member.user.toString() === id) || null;
+};
+
+// The user's ban or mute entry (`list` is "bans" or "mutes"), if one is in effect
+roomSchema.methods.activeSanction = function (list, userId) {
+  const id = userId.toString();
+  const now = new Date();
+  return this[list].find((entry) => entry.user.toString() === id
+    && (!entry.expiresAt || entry.expiresAt > now)) || null;
+};
+
+// Public rooms are open to everyone; private rooms only to members; deleted rooms to nobody
+roomSchema.methods.isAccessibleBy = function (userId) {
+  if (this.deletedAt) return false;
+  return !this.isPrivate || Boolean(this.memberOf(userId));
+};
+
+// Sanctions are between moderators and the sanctioned user
+roomSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.bans;
+    delete ret.mutes;
+    return ret;
+  },
+});
 
 module.exports = mongoose.model('Room', roomSchema);
@@ -0,0 +1,17 @@
+const mongoose = require('mongoose');
+
+// A running server process, kept alive by its heartbeat. When the heartbeat stops,
+// another instance clears the connections it held.
+const serverInstanceSchema = new mongoose.Schema({
+  instanceId: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  heartbeatAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+module.exports = mongoose.model('ServerInstance', serverInstanceSchema);
@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+// One entry per user typing in a room, shared by every server instance
+const typingStatusSchema = new mongoose.Schema({
+  room: {
+    type: String,
+    required: true,
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  username: {
+    type: String,
+    required: true,
+  },
+  // Refreshed while the user keeps typing
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+typingStatusSchema.index({ room: 1, user: 1 }, { unique: true });
+// Entries left behind by an instance that died are removed by MongoDB
+typingStatusSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('TypingStatus', typingStatusSchema);
@@ -1,15 +1,33 @@
 const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+
+const SALT_ROUNDS = 10;
 
 const userSchema = new mongoose.Schema(
   {
-    socketId: {
+    username: {
       type: String,
       required: true,
       unique: true,
+      trim: true,
+      minlength: 3,
+      maxlength: 32,
     },
-    username: {
+    passwordHash: {
       type: String,
       required: true,
+      select: false,
+    },
+    // Moderators and admins may edit or delete anyone's messages
+    role: {
+      type: String,
+      enum: ['user', 'moderator', 'admin'],
+      default: 'user',
+    },
+    // One entry per open connection (tabs, devices); online while non-empty
+    socketIds: {
+      type: [String],
+      default: [],
     },
     currentRoom: {
       type: String,
@@ -17,16 +35,12 @@ const userSchema = new mongoose.Schema(
     },
     isOnline: {
       type: Boolean,
-      default: true,
+      default: false,
     },
     lastSeen: {
       type: Date,
       default: Date.now,
     },
-    unreadCount: {
-      type: Number,
-      default: 0,
-    },
     createdAt: {
       type: Date,
       default: Date.now,
@@ -35,8 +49,25 @@ const userSchema = new mongoose.Schema(
   { timestamps: true }
 );
 
-userSchema.index({ socketId: 1 });
-userSchema.index({ username: 1 });
+userSchema.index({ username: 1 }, { unique: true });
 userSchema.index({ isOnline: 1 });
 
+// Hash a plain-text password and store it on the document
+userSchema.methods.setPassword = async function (password) {
+  this.passwordHash = await bcrypt.hash(password, SALT_ROUNDS);
+};
+
+// Compare a plain-text password against the stored hash
+userSchema.methods.checkPassword = function (password) {
+  return bcrypt.compare(password, this.passwordHash);
+};
+
+// Never leak the password hash to clients
+userSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.passwordHash;
+    return ret;
+  },
+});
+
 module.exports = mongoose.model('User', userSchema);
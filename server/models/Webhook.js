@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+// A room integration. Incoming webhooks let an external service post into the room
+// through a secret URL; outgoing ones call a service back when messages match.
+const webhookSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: ['incoming', 'outgoing'],
+      required: true,
+    },
+    room: {
+      type: String,
+      required: true,
+    },
+    // Shown as the sender of messages posted through an incoming webhook
+    name: {
+      type: String,
+      required: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    // Incoming: SHA-256 of the token in the hook URL; the token itself is shown only once
+    tokenHash: {
+      type: String,
+      default: undefined,
+    },
+    // Outgoing: where messages are POSTed, and the secret their signatures use
+    url: {
+      type: String,
+      default: null,
+    },
+    secret: {
+      type: String,
+      default: null,
+    },
+    // Outgoing: only messages starting with one of these words; empty means every message
+    triggerWords: {
+      type: [String],
+      default: [],
+    },
+    active: {
+      type: Boolean,
+      default: true,
+    },
+    // Last message posted (incoming) or delivered (outgoing)
+    lastUsedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+webhookSchema.index({ tokenHash: 1 }, { unique: true, sparse: true });
+webhookSchema.index({ room: 1, type: 1 });
+
+// Tokens and secrets are only handed out when they are created
+webhookSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.tokenHash;
+    delete ret.secret;
+    return ret;
+  },
+});
+
+module.exports = mongoose.model('Webhook', webhookSchema);
@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+
+// One call of an outgoing webhook and the outcome of its latest attempt, kept as a
+// delivery log. Failed calls are retried until they succeed or run out of attempts.
+const webhookDeliverySchema = new mongoose.Schema(
+  {
+    webhook: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Webhook',
+      required: true,
+    },
+    room: {
+      type: String,
+      required: true,
+    },
+    event: {
+      type: String,
+      required: true,
+    },
+    message: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Message',
+      default: null,
+    },
+    // The JSON body sent, the same on every attempt
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'delivered', 'failed'],
+      default: 'pending',
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    // When the next attempt is due; moved ahead while an instance is making one
+    nextAttemptAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // Only the status of the receiver's answer is kept, never its body
+    responseStatus: {
+      type: Number,
+      default: null,
+    },
+    error: {
+      type: String,
+      default: null,
+    },
+    durationMs: {
+      type: Number,
+      default: null,
+    },
+    deliveredAt: {
+      type: Date,
+      default: null,
+    },
+    // Old log entries are removed by MongoDB
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ webhook: 1, createdAt: -1 });
+webhookDeliverySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Entries logged before answers stopped being kept may still hold one
+webhookDeliverySchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.responseBody;
+    return ret;
+  },
+});
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
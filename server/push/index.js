@@ -0,0 +1,42 @@
+// index.js - Picks the Web Push transport from the environment
+//
+// Every transport exposes the same interface:
+//   publicKey                       - VAPID public key browsers subscribe with, or null
+//   allowsEndpoint(url)             -> Promise<boolean>; whether subscriptions may point
+//                                      at this URL (never at an internal address unless
+//                                      its host is in PUSH_ALLOWED_HOSTS)
+//   send(subscription, payload)     -> Promise<void>; rejects with `statusCode` 404 or
+//                                      410 when the subscription no longer exists
+
+const { createWebPushTransport } = require('./webPush');
+const { createMockPushTransport } = require('./mock');
+const { parseHostList } = require('../utils/network');
+
+const createPushTransport = () => {
+  const hasKeys = Boolean(process.env.VAPID_PUBLIC_KEY && process.env.VAPID_PRIVATE_KEY);
+  const driver = process.env.PUSH_TRANSPORT || (hasKeys ? 'webpush' : 'none');
+  // Internal hosts endpoints may still point at, e.g. "localhost" for the mock service
+  const allowedHosts = parseHostList(process.env.PUSH_ALLOWED_HOSTS);
+
+  switch (driver) {
+    case 'webpush':
+      if (!hasKeys) {
+        throw new Error('VAPID_PUBLIC_KEY and VAPID_PRIVATE_KEY must be set when PUSH_TRANSPORT=webpush');
+      }
+      return createWebPushTransport({
+        publicKey: process.env.VAPID_PUBLIC_KEY,
+        privateKey: process.env.VAPID_PRIVATE_KEY,
+        subject: process.env.VAPID_SUBJECT || 'mailto:admin@example.com',
+        ttlSeconds: parseInt(process.env.PUSH_TTL_SECONDS, 10) || 24 * 60 * 60,
+        allowedHosts,
+      });
+    case 'mock':
+      return createMockPushTransport({ publicKey: process.env.VAPID_PUBLIC_KEY || null, allowedHosts });
+    case 'none':
+      return null;
+    default:
+      throw new Error(`Unknown PUSH_TRANSPORT: ${driver}`);
+  }
+};
+
+module.exports = createPushTransport();
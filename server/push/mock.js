@@ -0,0 +1,46 @@
+// mock.js - Push transport that POSTs plain JSON to the subscription endpoint, for
+// testing against a local mock push service (see scripts/mock-push-service.js)
+
+const { Agent, fetch } = require('undici');
+const { checkUrlHost, publicLookup } = require('../utils/network');
+
+const createMockPushTransport = ({ publicKey, allowedHosts }) => {
+  // Connects only to the public addresses an endpoint's name resolves to
+  const dispatcher = new Agent({ connect: { lookup: publicLookup(allowedHosts) } });
+
+  return {
+    name: 'mock',
+    publicKey,
+
+    // The mock service is usually on this machine: list it in PUSH_ALLOWED_HOSTS
+    async allowsEndpoint(url) {
+      return /^https?:\/\//.test(url) && await checkUrlHost(url, allowedHosts) === 'public';
+    },
+
+    async send(subscription, payload) {
+      // An endpoint that now points inside is treated as gone, so it is dropped
+      if (await checkUrlHost(subscription.endpoint, allowedHosts) === 'internal') {
+        const error = new Error('Push endpoint resolves to an internal address');
+        error.statusCode = 410;
+        throw error;
+      }
+
+      const response = await fetch(subscription.endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ subscription, payload }),
+        redirect: 'manual',
+        dispatcher,
+      });
+      await response.body?.cancel();
+
+      if (!response.ok) {
+        const error = new Error(`Push service answered ${response.status}`);
+        error.statusCode = response.status;
+        throw error;
+      }
+    },
+  };
+};
+
+module.exports = { createMockPushTransport };
@@ -0,0 +1,41 @@
+// webPush.js - Push transport for browser push services, using VAPID and encrypted payloads
+
+const https = require('https');
+const { checkUrlHost, publicLookup } = require('../utils/network');
+
+const createWebPushTransport = ({ publicKey, privateKey, subject, ttlSeconds, allowedHosts }) => {
+  // Loaded lazily so deployments without push don't load it
+  const webpush = require('web-push');
+
+  webpush.setVapidDetails(subject, publicKey, privateKey);
+
+  // Connects only to the public addresses an endpoint's name resolves to
+  const agent = new https.Agent({ keepAlive: true, lookup: publicLookup(allowedHosts) });
+
+  return {
+    name: 'webpush',
+    publicKey,
+
+    // Browser push services are always HTTPS, and never on our own network
+    async allowsEndpoint(url) {
+      return url.startsWith('https://') && await checkUrlHost(url, allowedHosts) === 'public';
+    },
+
+    async send(subscription, payload) {
+      // An endpoint that now points inside is treated as gone, so it is dropped
+      if (await checkUrlHost(subscription.endpoint, allowedHosts) === 'internal') {
+        const error = new Error('Push endpoint resolves to an internal address');
+        error.statusCode = 410;
+        throw error;
+      }
+
+      await webpush.sendNotification(subscription, JSON.stringify(payload), {
+        TTL: ttlSeconds,
+        urgency: 'high',
+        agent,
+      });
+    },
+  };
+};
+
+module.exports = { createWebPushTransport };
@@ -0,0 +1,63 @@
+// auth.js - Registration and login routes
+
+const express = require('express');
+const User = require('../models/User');
+const { signToken, requireAuth } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
+const { validateBody } = require('../middleware/validate');
+const { restSchemas } = require('../validation/rest');
+
+const router = express.Router();
+
+// Guessing passwords or mass-registering accounts gets a tight per-IP budget
+const authLimit = rateLimit('rest:auth');
+
+// Register a new account
+router.post('/register', authLimit, validateBody(restSchemas.register), async (req, res) => {
+  try {
+    const { username, password } = req.body;
+
+    const existingUser = await User.findOne({ username });
+    if (existingUser) {
+      return res.status(409).json({ error: 'Username is already taken' });
+    }
+
+    const user = new User({ username });
+    await user.setPassword(password);
+    await user.save();
+
+    console.log(`✅ Registered user: ${username}`);
+
+    res.status(201).json({ token: signToken(user), user });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ error: 'Username is already taken' });
+    }
+    console.error('Error registering user:', error.message);
+    res.status(500).json({ error: 'Failed to register' });
+  }
+});
+
+// Log in with username and password
+router.post('/login', authLimit, validateBody(restSchemas.login), async (req, res) => {
+  try {
+    const { username, password } = req.body;
+
+    const user = await User.findOne({ username }).select('+passwordHash');
+    if (!user || !(await user.checkPassword(password))) {
+      return res.status(401).json({ error: 'Invalid username or password' });
+    }
+
+    res.json({ token: signToken(user), user });
+  } catch (error) {
+    console.error('Error logging in:', error.message);
+    res.status(500).json({ error: 'Failed to log in' });
+  }
+});
+
+// Get the currently authenticated user
+router.get('/me', requireAuth, (req, res) => {
+  res.json(req.user);
+});
+
+module.exports = router;
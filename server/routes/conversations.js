@@ -0,0 +1,36 @@
+// conversations.js - Direct-message conversation routes
+
+const express = require('express');
+const Conversation = require('../models/Conversation');
+const ReadCursor = require('../models/ReadCursor');
+const { conversationScope } = require('../services/readCursors');
+const { requireAuth } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.use(requireAuth);
+
+// List the authenticated user's conversations, most recent first
+router.get('/', async (req, res) => {
+  try {
+    const conversations = await Conversation.find({ participants: req.user._id })
+      .sort({ lastMessageAt: -1 })
+      .populate('participants', 'username isOnline lastSeen');
+
+    const cursors = await ReadCursor.find({
+      user: req.user._id,
+      scope: { $in: conversations.map((conversation) => conversationScope(conversation._id)) },
+    });
+    const unreadCounts = new Map(cursors.map((cursor) => [cursor.scope, cursor.unreadCount]));
+
+    res.json(conversations.map((conversation) => conversation.toSummary(
+      req.user._id,
+      unreadCounts.get(conversationScope(conversation._id)) || 0
+    )));
+  } catch (error) {
+    console.error('Error fetching conversations:', error.message);
+    res.status(500).json({ error: 'Failed to fetch conversations' });
+  }
+});
+
+module.exports = router;
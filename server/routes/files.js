@@ -0,0 +1,120 @@
+// files.js - File upload, signed URL and download routes
+
+const express = require('express');
+const multer = require('multer');
+const storage = require('../storage');
+const { requireAuth, verifyFileToken } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
+const {
+  MAX_UPLOAD_BYTES,
+  storeUpload,
+  findAccessibleAttachment,
+} = require('../services/uploads');
+const { fileUrls } = require('../services/messages');
+const { AppError, sendError } = require('../utils/errors');
+
+const router = express.Router();
+
+// Keep uploads in memory: they are size-capped and go straight to the storage backend
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_UPLOAD_BYTES, files: 1 },
+});
+
+// Types browsers may display inline; everything else downloads as an attachment
+const INLINE_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp', 'application/pdf'];
+
+// Upload a file (multipart/form-data, field "file"); share it afterwards with `share_file`
+router.post('/', requireAuth, rateLimit('rest:upload'), (req, res) => {
+  upload.single('file')(req, res, async (uploadError) => {
+    try {
+      if (uploadError) {
+        if (uploadError.code === 'LIMIT_FILE_SIZE') {
+          throw new AppError(413, 'FILE_TOO_LARGE', `Files must be at most ${MAX_UPLOAD_BYTES} bytes`);
+        }
+        throw new AppError(400, 'INVALID_UPLOAD', uploadError.message);
+      }
+
+      if (!req.file) {
+        throw new AppError(400, 'INVALID_UPLOAD', 'No file was uploaded');
+      }
+
+      const file = await storeUpload({
+        userId: req.user._id,
+        name: req.file.originalname,
+        type: req.file.mimetype,
+        buffer: req.file.buffer,
+      });
+
+      res.status(201).json(file);
+    } catch (error) {
+      sendError(res, error, 'Failed to upload file');
+    }
+  });
+});
+
+// Get short-lived download URLs for a file the user can see
+router.get('/:id/url', requireAuth, rateLimit('rest:files'), async (req, res) => {
+  try {
+    const file = await findAccessibleAttachment(req.params.id, req.user._id);
+    const { url, thumbnailUrl } = fileUrls(
+      { fileId: file._id, hasThumbnail: Boolean(file.thumbnailKey) },
+      req.user._id
+    );
+    const origin = `${req.protocol}://${req.get('host')}`;
+
+    res.json({
+      url: `${origin}${url}`,
+      thumbnailUrl: thumbnailUrl && `${origin}${thumbnailUrl}`,
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to create download URL');
+  }
+});
+
+// Stream a file or its thumbnail to the holder of a valid file token
+const serveFile = (variant) => async (req, res) => {
+  try {
+    const payload = verifyFileToken(req.query.token, req.params.id);
+    if (!payload) {
+      throw new AppError(401, 'INVALID_FILE_TOKEN', 'Download link is invalid or has expired');
+    }
+
+    // Access is re-checked so a deleted message revokes outstanding links
+    const file = await findAccessibleAttachment(req.params.id, payload.sub);
+    const key = variant === 'thumbnail' ? file.thumbnailKey : file.storageKey;
+    if (!key) {
+      throw new AppError(404, 'FILE_NOT_FOUND', 'File not found');
+    }
+
+    const stream = await storage.get(key);
+
+    // The client is served from another origin
+    res.set('Cross-Origin-Resource-Policy', 'cross-origin');
+    res.set('Cache-Control', 'private, max-age=300');
+
+    if (variant === 'thumbnail') {
+      res.type('image/webp');
+    } else {
+      res.type(file.mimeType);
+      if (!INLINE_TYPES.includes(file.mimeType)) {
+        res.attachment(file.originalName);
+      }
+    }
+
+    stream.on('error', (error) => {
+      console.error('Error streaming file:', error.message);
+      res.destroy(error);
+    });
+    stream.pipe(res);
+  } catch (error) {
+    sendError(res, error, 'Failed to download file');
+  }
+};
+
+// Links are signed for one user and one file, and handed out under the budgets above,
+// so following them isn't charged again
+router.get('/:id/download', serveFile('file'));
+router.get('/:id/thumbnail', serveFile('thumbnail'));
+
+module.exports = router;
@@ -0,0 +1,28 @@
+// hooks.js - Incoming webhooks: integrations post into a room with the token in the URL
+
+const express = require('express');
+const { rateLimit } = require('../middleware/rateLimit');
+const { validateBody } = require('../middleware/validate');
+const { restSchemas } = require('../validation/rest');
+const { postWebhookMessage } = require('../services/webhooks');
+const { sendError } = require('../utils/errors');
+
+const router = express.Router();
+
+// Post a message (`{ text, username? }`) as the webhook's integration. The token is the
+// only credential, so no login is needed.
+router.post('/:token', rateLimit('rest:hook'), validateBody(restSchemas.incomingWebhook), async (req, res) => {
+  try {
+    const message = await postWebhookMessage(req.app.get('io'), {
+      token: req.params.token,
+      text: req.body.text,
+      username: req.body.username,
+    });
+
+    res.status(201).json(message);
+  } catch (error) {
+    sendError(res, error, 'Failed to post webhook message');
+  }
+});
+
+module.exports = router;
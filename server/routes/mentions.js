@@ -0,0 +1,49 @@
+// mentions.js - Mentions inbox routes
+
+const express = require('express');
+const { requireAuth } = require('../middleware/auth');
+const { validateBody, validateQuery } = require('../middleware/validate');
+const { restSchemas } = require('../validation/rest');
+const { listMentions, markMentionsRead } = require('../services/mentions');
+const { userRoom } = require('../utils/rooms');
+const { sendError } = require('../utils/errors');
+
+const router = express.Router();
+
+router.use(requireAuth);
+
+// Get a page of the authenticated user's mentions, newest first
+// ?unread=true&cursor=<nextCursor>&limit=20
+router.get('/', validateQuery(restSchemas.mentions), async (req, res) => {
+  try {
+    const { unread, cursor, limit } = req.query;
+
+    res.json(await listMentions({
+      userId: req.user._id,
+      unreadOnly: unread,
+      cursor,
+      limit,
+    }));
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch mentions');
+  }
+});
+
+// Mark mentions as read: `{ ids }`, `{ room }`, or an empty body for all of them
+router.post('/read', validateBody(restSchemas.markMentionsRead), async (req, res) => {
+  try {
+    const count = await markMentionsRead({
+      userId: req.user._id,
+      ids: req.body.ids,
+      roomId: req.body.room,
+    });
+
+    // The user's open tabs update their badge too
+    req.app.get('io').to(userRoom(req.user._id)).emit('mentions_unread', { count });
+    res.json({ count });
+  } catch (error) {
+    sendError(res, error, 'Failed to mark mentions as read');
+  }
+});
+
+module.exports = router;
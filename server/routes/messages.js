@@ -0,0 +1,161 @@
+// messages.js - Message history, edit and delete routes
+
+const express = require('express');
+const mongoose = require('mongoose');
+const Message = require('../models/Message');
+const { requireAuth } = require('../middleware/auth');
+const { validateBody, validateQuery } = require('../middleware/validate');
+const { restSchemas } = require('../validation/rest');
+const {
+  editMessage,
+  deleteMessage,
+  loadThread,
+  loadMessageContext,
+  loadRoomHistory,
+  canSeeMessage,
+} = require('../services/messages');
+const { addReaction, removeReaction, reactionUpdate } = require('../services/reactions');
+const { getReadBy } = require('../services/readCursors');
+const { deliverMentions, forgetMentions } = require('../services/mentions');
+const { messageAudience } = require('../utils/rooms');
+const { sendError } = require('../utils/errors');
+
+const router = express.Router();
+
+router.use(requireAuth);
+
+// Send a message's new reaction totals to everyone who can see it
+const emitReactions = (req, message) => {
+  const update = reactionUpdate(message);
+  req.app.get('io').to(messageAudience(message)).emit('reactions_updated', update);
+  return update;
+};
+
+// Get a page of a room's messages: the newest, or before, after or around a message.
+// Thread replies are loaded with their thread, not in the room timeline.
+router.get('/', validateQuery(restSchemas.messageHistory), async (req, res) => {
+  try {
+    const { room, ...position } = req.query;
+
+    res.json(await loadRoomHistory({ ...position, roomId: room, userId: req.user._id }));
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch messages');
+  }
+});
+
+// Get a page of a message's thread replies, paged with cursors like the room history
+router.get('/:id/thread', validateQuery(restSchemas.thread), async (req, res) => {
+  try {
+    const thread = await loadThread({
+      ...req.query,
+      messageId: req.params.id,
+      userId: req.user._id,
+    });
+
+    res.json(thread);
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch thread');
+  }
+});
+
+// Get the room timeline or conversation around a message
+router.get('/:id/context', validateQuery(restSchemas.messageContext), async (req, res) => {
+  try {
+    const context = await loadMessageContext({
+      messageId: req.params.id,
+      userId: req.user._id,
+      limit: req.query.limit,
+    });
+
+    res.json(context);
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch message');
+  }
+});
+
+// Get the users who have read a message
+router.get('/:id/read-by', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid message id' });
+    }
+
+    const message = await Message.findById(req.params.id);
+    if (!message || !(await canSeeMessage(message, req.user._id))) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+
+    res.json({ messageId: message._id, readers: await getReadBy(message) });
+  } catch (error) {
+    console.error('Error fetching read receipts:', error.message);
+    res.status(500).json({ error: 'Failed to fetch read receipts' });
+  }
+});
+
+// Edit a message
+router.patch('/:id', validateBody(restSchemas.editMessage), async (req, res) => {
+  try {
+    const message = await editMessage({
+      messageId: req.params.id,
+      user: req.actingUser,
+      text: req.body.message,
+      reason: req.body.reason,
+    });
+
+    req.app.get('io').to(messageAudience(message)).emit('message_updated', message);
+    await deliverMentions(req.app.get('io'), message);
+    res.json(message);
+  } catch (error) {
+    sendError(res, error, 'Failed to edit message');
+  }
+});
+
+// Delete a message, leaving a tombstone; moderators deleting someone else's
+// message pass `{ reason }` in the body
+router.delete('/:id', validateBody(restSchemas.deleteMessage), async (req, res) => {
+  try {
+    const message = await deleteMessage({
+      messageId: req.params.id,
+      user: req.actingUser,
+      reason: req.body.reason,
+    });
+
+    req.app.get('io').to(messageAudience(message)).emit('message_deleted', message);
+    await forgetMentions(req.app.get('io'), message);
+    res.json(message);
+  } catch (error) {
+    sendError(res, error, 'Failed to delete message');
+  }
+});
+
+// Add a reaction (`{ emoji }`) to a message
+router.post('/:id/reactions', validateBody(restSchemas.reaction), async (req, res) => {
+  try {
+    const message = await addReaction({
+      messageId: req.params.id,
+      user: req.actingUser,
+      emoji: req.body.emoji,
+    });
+
+    res.json(emitReactions(req, message));
+  } catch (error) {
+    sendError(res, error, 'Failed to add reaction');
+  }
+});
+
+// Remove one of your reactions (`{ emoji }`) from a message
+router.delete('/:id/reactions', validateBody(restSchemas.reaction), async (req, res) => {
+  try {
+    const message = await removeReaction({
+      messageId: req.params.id,
+      user: req.actingUser,
+      emoji: req.body.emoji,
+    });
+
+    res.json(emitReactions(req, message));
+  } catch (error) {
+    sendError(res, error, 'Failed to remove reaction');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,35 @@
+// moderation.js - Moderation audit log routes
+
+const express = require('express');
+const { requireAuth } = require('../middleware/auth');
+const { validateQuery } = require('../middleware/validate');
+const { restSchemas } = require('../validation/rest');
+const { listModerationLog } = require('../services/moderation');
+const { sendError } = require('../utils/errors');
+
+const router = express.Router();
+
+router.use(requireAuth);
+
+// Query the moderation log, newest first
+// ?room=<roomId>&target=<userId>&action=<action>&before=<date>&limit=50
+router.get('/logs', validateQuery(restSchemas.moderationLog), async (req, res) => {
+  try {
+    const { room, target, action, before, limit } = req.query;
+
+    const entries = await listModerationLog({
+      user: req.actingUser,
+      roomId: room,
+      targetId: target,
+      action,
+      before,
+      limit,
+    });
+
+    res.json({ entries });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch moderation log');
+  }
+});
+
+module.exports = router;
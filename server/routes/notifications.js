@@ -0,0 +1,37 @@
+// notifications.js - Notification preference routes
+
+const express = require('express');
+const { requireAuth } = require('../middleware/auth');
+const { validateBody } = require('../middleware/validate');
+const { restSchemas } = require('../validation/rest');
+const { getPreferences, updatePreferences } = require('../services/notifications');
+const { userRoom } = require('../utils/rooms');
+const { sendError } = require('../utils/errors');
+
+const router = express.Router();
+
+router.use(requireAuth);
+
+// Get the authenticated user's notification preferences
+router.get('/preferences', async (req, res) => {
+  try {
+    res.json(await getPreferences(req.user._id));
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch notification preferences');
+  }
+});
+
+// Change some of the preferences; fields left out keep their values
+router.patch('/preferences', validateBody(restSchemas.notificationPreferences), async (req, res) => {
+  try {
+    const preferences = await updatePreferences(req.user._id, req.body);
+
+    // Open tabs pick up the change
+    req.app.get('io').to(userRoom(req.user._id)).emit('notification_preferences', preferences);
+    res.json(preferences);
+  } catch (error) {
+    sendError(res, error, 'Failed to update notification preferences');
+  }
+});
+
+module.exports = router;
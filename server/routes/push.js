@@ -0,0 +1,44 @@
+// push.js - Web Push configuration and subscription routes
+
+const express = require('express');
+const { requireAuth } = require('../middleware/auth');
+const { validateBody } = require('../middleware/validate');
+const { restSchemas } = require('../validation/rest');
+const { pushConfig, saveSubscription, removeSubscription } = require('../services/push');
+const { sendError } = require('../utils/errors');
+
+const router = express.Router();
+
+router.use(requireAuth);
+
+// Whether push is enabled, and the VAPID public key to subscribe with
+router.get('/config', (req, res) => {
+  res.json(pushConfig());
+});
+
+// Register this browser's push subscription for the authenticated user
+router.post('/subscriptions', validateBody(restSchemas.pushSubscription), async (req, res) => {
+  try {
+    const subscription = await saveSubscription({
+      userId: req.user._id,
+      subscription: req.body.subscription,
+      userAgent: req.get('user-agent'),
+    });
+
+    res.status(201).json(subscription);
+  } catch (error) {
+    sendError(res, error, 'Failed to save push subscription');
+  }
+});
+
+// Stop pushing to a browser, e.g. on logout (`{ endpoint }`)
+router.delete('/subscriptions', validateBody(restSchemas.pushUnsubscribe), async (req, res) => {
+  try {
+    await removeSubscription({ userId: req.user._id, endpoint: req.body.endpoint });
+    res.status(204).end();
+  } catch (error) {
+    sendError(res, error, 'Failed to remove push subscription');
+  }
+});
+
+module.exports = router;
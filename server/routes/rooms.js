@@ -0,0 +1,79 @@
+// rooms.js - Room list, room invitation and room settings routes
+
+const express = require('express');
+const { requireAuth } = require('../middleware/auth');
+const { validateBody, validateQuery } = require('../middleware/validate');
+const { restSchemas } = require('../validation/rest');
+const { listVisibleRooms, listInvites } = require('../services/rooms');
+const { updateRoom, setRoomArchived, deleteRoom } = require('../services/roomLifecycle');
+const { sendError } = require('../utils/errors');
+
+const router = express.Router();
+
+router.use(requireAuth);
+
+// List the rooms the authenticated user can see
+router.get('/', async (req, res) => {
+  try {
+    res.json(await listVisibleRooms(req.user._id));
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch rooms');
+  }
+});
+
+// List the authenticated user's pending room invitations
+router.get('/invites', async (req, res) => {
+  try {
+    res.json(await listInvites(req.user._id));
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch invitations');
+  }
+});
+
+// Change a room's name, description or topic (room moderators only)
+router.patch('/:roomId', validateBody(restSchemas.updateRoom), async (req, res) => {
+  try {
+    res.json(await updateRoom(req.app.get('io'), {
+      roomId: req.params.roomId,
+      actor: req.actingUser,
+      changes: req.body,
+    }));
+  } catch (error) {
+    sendError(res, error, 'Failed to update room');
+  }
+});
+
+// Make a room read-only, or open it again (room moderators only)
+const archiveRoute = (archived) => async (req, res) => {
+  try {
+    res.json(await setRoomArchived(req.app.get('io'), {
+      roomId: req.params.roomId,
+      actor: req.actingUser,
+      archived,
+    }));
+  } catch (error) {
+    sendError(res, error, `Failed to ${archived ? 'archive' : 'unarchive'} room`);
+  }
+};
+
+router.post('/:roomId/archive', archiveRoute(true));
+router.post('/:roomId/unarchive', archiveRoute(false));
+
+// Delete a room (its owner or a site admin); `?keepMessages=true` keeps its messages
+// in the database
+router.delete('/:roomId', validateQuery(restSchemas.deleteRoom), async (req, res) => {
+  try {
+    await deleteRoom(req.app.get('io'), {
+      roomId: req.params.roomId,
+      actor: req.actingUser,
+      keepMessages: req.query.keepMessages,
+    });
+
+    console.log(`🗑️ ${req.user.username} deleted room: ${req.params.roomId}${req.query.keepMessages ? ' (messages kept)' : ''}`);
+    res.status(204).end();
+  } catch (error) {
+    sendError(res, error, 'Failed to delete room');
+  }
+});
+
+module.exports = router;
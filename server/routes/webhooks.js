@@ -0,0 +1,120 @@
+// webhooks.js - Managing a room's incoming and outgoing webhooks and their delivery logs
+
+const express = require('express');
+const { requireAuth } = require('../middleware/auth');
+const { validateBody, validateQuery } = require('../middleware/validate');
+const { restSchemas } = require('../validation/rest');
+const {
+  listWebhooks,
+  createWebhook,
+  updateWebhook,
+  rotateWebhookCredential,
+  deleteWebhook,
+  listDeliveries,
+  testWebhook,
+  redeliverDelivery,
+} = require('../services/webhooks');
+const { sendError } = require('../utils/errors');
+
+const router = express.Router();
+
+router.use(requireAuth);
+
+// A new token comes back with the URL to post to
+const withHookUrl = (req, created) => (created.token
+  ? { ...created, url: `${req.protocol}://${req.get('host')}/api/hooks/${created.token}` }
+  : created);
+
+// List a room's webhooks (?room=<roomId>)
+router.get('/', validateQuery(restSchemas.webhooks), async (req, res) => {
+  try {
+    res.json(await listWebhooks({ roomId: req.query.room, user: req.actingUser }));
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch webhooks');
+  }
+});
+
+// Add a webhook to a room; its token or secret is only shown in this response
+router.post('/', validateBody(restSchemas.createWebhook), async (req, res) => {
+  try {
+    const { room, ...settings } = req.body;
+    const created = await createWebhook({ ...settings, roomId: room, user: req.actingUser });
+
+    console.log(`🪝 ${req.user.username} added ${created.webhook.type} webhook "${created.webhook.name}" to ${room}`);
+    res.status(201).json(withHookUrl(req, created));
+  } catch (error) {
+    sendError(res, error, 'Failed to create webhook');
+  }
+});
+
+// Rename, enable or disable a webhook, or change an outgoing one's URL and trigger words
+router.patch('/:id', validateBody(restSchemas.updateWebhook), async (req, res) => {
+  try {
+    res.json(await updateWebhook({
+      webhookId: req.params.id,
+      user: req.actingUser,
+      changes: req.body,
+    }));
+  } catch (error) {
+    sendError(res, error, 'Failed to update webhook');
+  }
+});
+
+// Replace a webhook's token or secret
+router.post('/:id/rotate', async (req, res) => {
+  try {
+    const rotated = await rotateWebhookCredential({ webhookId: req.params.id, user: req.actingUser });
+    res.json(withHookUrl(req, rotated));
+  } catch (error) {
+    sendError(res, error, 'Failed to rotate webhook credentials');
+  }
+});
+
+router.delete('/:id', async (req, res) => {
+  try {
+    await deleteWebhook({ webhookId: req.params.id, user: req.actingUser });
+    res.status(204).end();
+  } catch (error) {
+    sendError(res, error, 'Failed to delete webhook');
+  }
+});
+
+// Send an outgoing webhook a `ping` and answer with the delivery
+router.post('/:id/test', async (req, res) => {
+  try {
+    res.json(await testWebhook({ webhookId: req.params.id, user: req.actingUser }));
+  } catch (error) {
+    sendError(res, error, 'Failed to test webhook');
+  }
+});
+
+// An outgoing webhook's delivery log, newest first
+// ?status=<pending|delivered|failed>&before=<date>&limit=50
+router.get('/:id/deliveries', validateQuery(restSchemas.webhookDeliveries), async (req, res) => {
+  try {
+    const deliveries = await listDeliveries({
+      ...req.query,
+      webhookId: req.params.id,
+      user: req.actingUser,
+    });
+
+    res.json({ deliveries });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch webhook deliveries');
+  }
+});
+
+// Send a logged delivery again
+router.post('/:id/deliveries/:deliveryId/redeliver', async (req, res) => {
+  try {
+    res.json(await redeliverDelivery({
+      webhookId: req.params.id,
+      deliveryId: req.params.deliveryId,
+      user: req.actingUser,
+    }));
+  } catch (error) {
+    sendError(res, error, 'Failed to redeliver webhook');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,68 @@
+// cluster.js - Run several server instances on one machine behind a small load balancer,
+// to try the clustered setup locally. In production, use a real load balancer.
+//
+//   CLUSTER_SIZE=3 PORT=5000 npm run cluster
+//
+// Instances listen on PORT+1 .. PORT+CLUSTER_SIZE and share the MongoDB cluster adapter,
+// so MongoDB must run as a replica set. The balancer on PORT hands each TCP connection
+// to the next instance in turn. That is only sticky for websockets, so instances accept
+// websocket transport alone and the client needs VITE_SOCKET_TRANSPORTS=websocket.
+
+const net = require('net');
+const path = require('path');
+const { fork } = require('child_process');
+require('dotenv').config();
+
+const PORT = parseInt(process.env.PORT, 10) || 5000;
+const CLUSTER_SIZE = parseInt(process.env.CLUSTER_SIZE, 10) || 3;
+
+const instances = Array.from({ length: CLUSTER_SIZE }, (_, index) => {
+  const port = PORT + index + 1;
+  const child = fork(path.join(__dirname, '..', 'server.js'), [], {
+    env: {
+      ...process.env,
+      PORT: String(port),
+      INSTANCE_ID: `local-${port}`,
+      SOCKET_ADAPTER: 'mongo',
+      SOCKET_TRANSPORTS: 'websocket',
+    },
+  });
+
+  child.on('exit', (code) => {
+    console.log(`⚠️  Instance on port ${port} exited (code ${code})`);
+  });
+
+  return { port, child };
+});
+
+let next = 0;
+
+const balancer = net.createServer((client) => {
+  const { port } = instances[next];
+  next = (next + 1) % instances.length;
+
+  const upstream = net.connect(port, '127.0.0.1');
+  const close = () => {
+    client.destroy();
+    upstream.destroy();
+  };
+
+  client.on('error', close);
+  upstream.on('error', close);
+  client.pipe(upstream).pipe(client);
+});
+
+balancer.listen(PORT, () => {
+  console.log(`⚖️  Balancing port ${PORT} across ${CLUSTER_SIZE} instances (ports ${PORT + 1}-${PORT + CLUSTER_SIZE})`);
+});
+
+// Instances shut down gracefully on their own signal handlers
+const shutdown = () => {
+  balancer.close();
+  instances.forEach(({ child }) => {
+    if (child.exitCode === null) child.kill('SIGTERM');
+  });
+};
+
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
@@ -0,0 +1,49 @@
+// migrate-reactions.js - Convert reactions stored the old way, one emoji per user in a
+// map keyed by user id (or, before that, socket id), into the list of per-user entries
+// the Message model now uses. Entries keyed by socket ids can't be attributed and are
+// dropped. Safe to run more than once.
+//
+//   npm run migrate:reactions
+
+const mongoose = require('mongoose');
+const Message = require('../models/Message');
+const User = require('../models/User');
+require('dotenv').config();
+
+const OBJECT_ID = /^[0-9a-f]{24}$/i;
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/socketio-chat');
+
+  // Raw collection access: old documents don't fit the current schema
+  const messages = Message.collection.find({
+    reactions: { $exists: true, $not: { $type: 'array' } },
+  });
+
+  let migrated = 0;
+  for await (const message of messages) {
+    const entries = Object.entries(message.reactions || {}).filter(([key]) => OBJECT_ID.test(key));
+    const users = await User.find({ _id: { $in: entries.map(([key]) => key) } }).select('username');
+    const usernames = new Map(users.map((user) => [user._id.toString(), user.username]));
+
+    const reactions = entries
+      .filter(([key]) => usernames.has(key))
+      .map(([key, emoji]) => ({
+        emoji,
+        user: new mongoose.Types.ObjectId(key),
+        username: usernames.get(key),
+      }));
+
+    await Message.collection.updateOne({ _id: message._id }, { $set: { reactions } });
+    migrated += 1;
+  }
+
+  console.log(`✅ Migrated reactions on ${migrated} messages`);
+};
+
+migrate()
+  .catch((error) => {
+    console.error('❌ Error migrating reactions:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.connection.close());
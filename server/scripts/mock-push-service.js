@@ -0,0 +1,63 @@
+// mock-push-service.js - A stand-in push service for trying push notifications locally,
+// paired with PUSH_TRANSPORT=mock.
+//
+//   MOCK_PUSH_PORT=5055 npm run push:mock
+//
+// Register a subscription whose endpoint points here, e.g.
+//   POST /api/push/subscriptions
+//   { "subscription": { "endpoint": "http://localhost:5055/push/alice", "keys": { "p256dh": "x", "auth": "x" } } }
+// Every push is printed and kept in memory; GET /pushes lists them and DELETE /pushes
+// clears the list. Endpoints under /gone/ answer 410, like an expired subscription.
+
+const http = require('http');
+
+const PORT = parseInt(process.env.MOCK_PUSH_PORT, 10) || 5055;
+const MAX_KEPT = 100;
+
+const received = [];
+
+const sendJson = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(body === undefined ? undefined : JSON.stringify(body));
+};
+
+const server = http.createServer((req, res) => {
+  if (req.url === '/pushes') {
+    if (req.method === 'DELETE') {
+      received.length = 0;
+      return sendJson(res, 204);
+    }
+    return sendJson(res, 200, received);
+  }
+
+  if (req.method !== 'POST') {
+    return sendJson(res, 404, { error: 'Not Found' });
+  }
+
+  if (req.url.startsWith('/gone/')) {
+    console.log(`🗑️  ${req.url}: subscription gone`);
+    return sendJson(res, 410, { error: 'Subscription expired' });
+  }
+
+  let body = '';
+  req.setEncoding('utf8');
+  req.on('data', (chunk) => {
+    body += chunk;
+  });
+  req.on('end', () => {
+    try {
+      const { payload } = JSON.parse(body);
+      received.push({ endpoint: req.url, payload, receivedAt: new Date().toISOString() });
+      if (received.length > MAX_KEPT) received.shift();
+
+      console.log(`🔔 ${req.url}: ${payload.title} - ${payload.body}`);
+      sendJson(res, 201, { ok: true });
+    } catch (error) {
+      sendJson(res, 400, { error: 'Invalid JSON' });
+    }
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`📮 Mock push service listening on http://localhost:${PORT}`);
+});
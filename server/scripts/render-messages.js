@@ -0,0 +1,40 @@
+// render-messages.js - Render the Markdown of messages stored before messages were
+// rendered on the server, so old messages get formatting too. Messages that already
+// have their HTML are left alone, so it's safe to run more than once.
+//
+//   npm run migrate:markdown
+
+const mongoose = require('mongoose');
+const Message = require('../models/Message');
+const { renderMarkdown } = require('../utils/markdown');
+require('dotenv').config();
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/socketio-chat');
+
+  // Raw collection access: loaded through the model, old documents get the default ''
+  const messages = Message.collection.find({
+    html: { $exists: false },
+    message: { $type: 'string', $ne: '' },
+  });
+
+  let rendered = 0;
+  for await (const message of messages) {
+    const html = renderMarkdown(message.message, {
+      mentions: message.mentions,
+      groupMentions: message.groupMentions,
+    });
+
+    await Message.collection.updateOne({ _id: message._id }, { $set: { html } });
+    rendered += 1;
+  }
+
+  console.log(`✅ Rendered ${rendered} messages`);
+};
+
+migrate()
+  .catch((error) => {
+    console.error('❌ Error rendering messages:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.connection.close());
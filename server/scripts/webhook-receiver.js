@@ -0,0 +1,105 @@
+// webhook-receiver.js - A local receiver for trying outgoing webhooks, which also shows how
+// a receiver verifies their signatures.
+//
+//   WEBHOOK_SECRETS=<secret>[,<secret>...] WEBHOOK_RECEIVER_PORT=5056 npm run webhooks:receiver
+//
+// Point an outgoing webhook at http://localhost:5056/<anything>. Every call is printed
+// and kept in memory with whether its signature checked out; GET /deliveries lists them
+// and DELETE /deliveries clears the list. Paths under /fail/ answer 500, so the chat
+// server retries them, and paths under /reject/ answer 400, which it doesn't.
+
+const crypto = require('crypto');
+const http = require('http');
+
+const PORT = parseInt(process.env.WEBHOOK_RECEIVER_PORT, 10) || 5056;
+const SECRETS = (process.env.WEBHOOK_SECRETS || '').split(',').filter(Boolean);
+const MAX_KEPT = 100;
+// Calls signed longer ago than this are treated as replays
+const MAX_AGE_SECONDS = 5 * 60;
+
+const received = [];
+
+const sendJson = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(body === undefined ? undefined : JSON.stringify(body));
+};
+
+// Whether X-Webhook-Signature is the HMAC-SHA256 of "<timestamp>.<body>" under one of
+// the secrets, signed recently; null when no secrets are configured
+const checkSignature = (req, body) => {
+  if (SECRETS.length === 0) return null;
+
+  const timestamp = req.headers['x-webhook-timestamp'] || '';
+  const signature = Buffer.from(req.headers['x-webhook-signature'] || '');
+  if (Math.abs(Date.now() / 1000 - Number(timestamp)) > MAX_AGE_SECONDS) return false;
+
+  return SECRETS.some((secret) => {
+    const expected = Buffer.from(
+      `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`
+    );
+    return expected.length === signature.length && crypto.timingSafeEqual(expected, signature);
+  });
+};
+
+const server = http.createServer((req, res) => {
+  if (req.url === '/deliveries') {
+    if (req.method === 'DELETE') {
+      received.length = 0;
+      return sendJson(res, 204);
+    }
+    return sendJson(res, 200, received);
+  }
+
+  if (req.method !== 'POST') {
+    return sendJson(res, 404, { error: 'Not Found' });
+  }
+
+  let body = '';
+  req.setEncoding('utf8');
+  req.on('data', (chunk) => {
+    body += chunk;
+  });
+  req.on('end', () => {
+    const verified = checkSignature(req, body);
+    let payload;
+    try {
+      payload = JSON.parse(body);
+    } catch (error) {
+      return sendJson(res, 400, { error: 'Invalid JSON' });
+    }
+
+    received.push({
+      path: req.url,
+      delivery: req.headers['x-webhook-delivery'],
+      event: req.headers['x-webhook-event'],
+      verified,
+      payload,
+      receivedAt: new Date().toISOString(),
+    });
+    if (received.length > MAX_KEPT) received.shift();
+
+    const summary = payload.event === 'message.created'
+      ? `#${payload.room} ${payload.message.sender}: ${payload.message.message}`
+      : `${payload.event} for #${payload.room}`;
+    const check = { true: '✅', false: '❌ bad signature', null: '(unchecked)' }[verified];
+    console.log(`🪝 ${req.url} ${check} ${summary}`);
+
+    if (verified === false) {
+      return sendJson(res, 401, { error: 'Invalid signature' });
+    }
+    if (req.url.startsWith('/fail/')) {
+      return sendJson(res, 500, { error: 'Failing on purpose' });
+    }
+    if (req.url.startsWith('/reject/')) {
+      return sendJson(res, 400, { error: 'Rejecting on purpose' });
+    }
+    sendJson(res, 200, { ok: true });
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`📮 Webhook receiver listening on http://localhost:${PORT}`);
+  if (SECRETS.length === 0) {
+    console.log('⚠️  No WEBHOOK_SECRETS set, signatures are not checked');
+  }
+});
@@ -17,6 +17,117 @@ dotenv.config();
 const Message = require('./models/Message');
 const User = require('./models/User');
 const Room = require('./models/Room');
+const Conversation = require('./models/Conversation');
+
+// Import auth middleware and routes
+const { requireAuth, socketAuth } = require('./middleware/auth');
+const { rateLimit, rejectPenalized, socketRateLimit } = require('./middleware/rateLimit');
+const authRoutes = require('./routes/auth');
+const conversationRoutes = require('./routes/conversations');
+const messageRoutes = require('./routes/messages');
+const fileRoutes = require('./routes/files');
+const roomRoutes = require('./routes/rooms');
+const moderationRoutes = require('./routes/moderation');
+const mentionRoutes = require('./routes/mentions');
+const notificationRoutes = require('./routes/notifications');
+const pushRoutes = require('./routes/push');
+const webhookRoutes = require('./routes/webhooks');
+const hookRoutes = require('./routes/hooks');
+const {
+  editMessage,
+  deleteMessage,
+  postReply,
+  loadThread,
+  loadMissedMessages,
+  loadMessageContext,
+  loadRoomHistory,
+  loadConversationHistory,
+  canSeeMessage,
+  findByClientId,
+  createMessage,
+  broadcastRoomMessage,
+  previewMessage,
+} = require('./services/messages');
+const { createTypingTracker } = require('./services/typing');
+const { searchMessages } = require('./services/search');
+const { addReaction, removeReaction, reactionUpdate } = require('./services/reactions');
+const {
+  parseMentions,
+  resolveMentions,
+  deliverMentions,
+  forgetMentions,
+  listMentions,
+  markMentionsRead,
+  unreadMentionCount,
+  emitUnreadMentions,
+} = require('./services/mentions');
+const {
+  getPreferences,
+  updatePreferences,
+  shouldAlert,
+  usersToAlert,
+} = require('./services/notifications');
+const { pushIfOffline, directMessagePush } = require('./services/push');
+const {
+  socketTransports,
+  attachClusterAdapter,
+  logClusterSetup,
+} = require('./services/cluster');
+const { connectionId, startPresence, stopPresence } = require('./services/presence');
+const {
+  dispatchMessage,
+  startWebhookRetries,
+  stopWebhookRetries,
+} = require('./services/webhookDeliveries');
+const {
+  shareAttachment,
+  startChunkedUpload,
+  appendChunk,
+  finishChunkedUpload,
+  abortChunkedUploads,
+} = require('./services/uploads');
+const {
+  roomScope,
+  conversationScope,
+  scopeForMessage,
+  trackScope,
+  untrackScope,
+  markRead,
+  recordNewMessage,
+  getRoomUnreadCounts,
+  getUnreadCount,
+  getReadBy,
+} = require('./services/readCursors');
+const {
+  DEFAULT_ROOMS,
+  listVisibleRooms,
+  findAccessibleRoom,
+  createRoom,
+  inviteToRoom,
+  respondToInvite,
+  leaveRoom: leaveRoomMembership,
+  setMemberRole,
+  listInvites,
+} = require('./services/rooms');
+const {
+  kickUser,
+  muteUser,
+  banUser,
+  unmuteUser,
+  unbanUser,
+  setSlowMode,
+  assertNotBanned,
+  assertCanPost,
+} = require('./services/moderation');
+const { updateRoom, setRoomArchived, deleteRoom } = require('./services/roomLifecycle');
+const { renameUser } = require('./services/users');
+const { runCommand, availableCommands } = require('./commands');
+const { assertSlowMode } = require('./services/rateLimit');
+const { userRoom, messageAudience, emitToRoomViewers } = require('./utils/rooms');
+const { AppError, sendError } = require('./utils/errors');
+const { createEventBinder } = require('./utils/socketHandler');
+const { validateQuery } = require('./middleware/validate');
+const { restSchemas } = require('./validation/rest');
 
 // Initialize Express app
 const app = express();
@@ -27,8 +138,15 @@ const io = new Server(server, {
     methods: ['GET', 'POST'],
     credentials: true,
   },
+  transports: socketTransports(),
 });
 
+// Behind a load balancer or PaaS router, TRUST_PROXY makes req.ip the real client address
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', trustProxy === 'true' ? true : Number(trustProxy) || trustProxy);
+}
+
 // Middleware
 app.use(helmet()); // Add security headers
 app.use(morgan('combined')); // Logging
@@ -36,8 +154,17 @@ app.use(cors());
 app.use(express.json());
 app.use(express.static(path.join(__dirname, 'public')));
 
-// Store typing users in memory (real-time data)
-const typingUsers = {};
+// Reject socket handshakes that don't carry a valid token
+io.use(socketAuth);
+io.use(rejectPenalized);
+
+// Let REST routes broadcast to sockets
+app.set('io', io);
+
+// Typing indicators, tracked per room and broadcast only to that room
+const typing = createTypingTracker({
+  onChange: (roomId, users) => io.to(roomId).emit('typing_users', { roomId, users }),
+});
 
 // Database connection
 const connectDB = async () => {
@@ -56,12 +183,7 @@ const connectDB = async () => {
 // Initialize default rooms
 const initializeRooms = async () => {
   try {
-    const defaultRooms = [
-      { roomId: 'general', name: 'General' },
-      { roomId: 'random', name: 'Random' },
-    ];
-
-    for (const roomData of defaultRooms) {
+    for (const roomData of DEFAULT_ROOMS) {
       const existingRoom = await Room.findOne({ roomId: roomData.roomId });
       if (!existingRoom) {
         await Room.create(roomData);
@@ -73,377 +195,857 @@ const initializeRooms = async () => {
   }
 };
 
+// What every client may see of other users; `currentRoom` would reveal private rooms
+// and `socketIds` the servers behind them
+const PUBLIC_USER_FIELDS = '_id username isOnline lastSeen';
+
+// Broadcast the online users, one entry per user regardless of open connections
+const broadcastUserList = async () => {
+  const onlineUsers = await User.find({ isOnline: true }).select(PUBLIC_USER_FIELDS);
+  io.emit('user_list', onlineUsers);
+};
+
+// Tell everyone about users who went offline because a server instance stopped
+const announceOffline = async (users) => {
+  try {
+    users.forEach((user) => {
+      io.emit('user_left', { username: user.username, id: user._id });
+    });
+    await broadcastUserList();
+  } catch (error) {
+    console.error('Error announcing offline users:', error.message);
+  }
+};
+
+// Send each participant their own view of a conversation (unread counts differ per user)
+const emitConversationUpdate = async (conversation, participants = conversation.participants) => {
+  const scope = conversationScope(conversation._id);
+
+  for (const participant of participants) {
+    const unreadCount = await getUnreadCount(participant._id, scope);
+    io.to(userRoom(participant._id)).emit(
+      'conversation_updated',
+      conversation.toSummary(participant._id, unreadCount)
+    );
+  }
+};
+
+// Tell everyone who can see a room about a change to it: everyone for public
+// rooms, only members (in every tab) for private ones
+const emitRoomUpdate = (room) => emitToRoomViewers(io, room, 'room_updated', room);
+
+// Send a message's grouped reactions to everyone who can see it, and return them
+// for the acknowledgement
+const emitReactions = (message) => {
+  const update = reactionUpdate(message);
+  io.to(messageAudience(message)).emit('reactions_updated', update);
+  return update;
+};
+
+// Pull every connection of a user out of a room after a kick or ban, and stop
+// counting its unread messages for them
+const evictFromRoom = async (targetId, roomId) => {
+  io.in(userRoom(targetId)).socketsLeave(roomId);
+  typing.stop(roomId, targetId.toString());
+  await User.updateOne({ _id: targetId, currentRoom: roomId }, { currentRoom: 'general' });
+  await untrackScope(targetId, roomScope(roomId));
+  io.to(userRoom(targetId)).emit('unread_counts', await getRoomUnreadCounts(targetId));
+};
+
+// Tell a room about a moderation action
+const announceModeration = (roomId, message) => {
+  io.to(roomId).emit('notification', { type: 'moderation', message, roomId });
+};
+
+// Check whether a user has a connection other than `exceptSocketId` in a room
+const hasOtherSocketInRoom = async (userId, roomId, exceptSocketId) => {
+  const sockets = await io.in(roomId).fetchSockets();
+  return sockets.some((s) => s.id !== exceptSocketId && s.data.user?.id === userId);
+};
 
 // Socket.io connection handler
 io.on('connection', (socket) => {
-  console.log(`📱 User connected: ${socket.id}`);
-
-  // Handle user joining
-  socket.on('user_join', async (username) => {
-    try {
-      // Create or update user in database
-      const user = await User.findOneAndUpdate(
-        { socketId: socket.id },
-        {
-          socketId: socket.id,
-          username,
-          isOnline: true,
-          currentRoom: 'general',
-          lastSeen: new Date(),
-        },
-        { upsert: true, new: true }
-      );
+  // Identity is established by the auth middleware, never by the client
+  const { id: userId, username } = socket.data.user;
 
-      // Join default room
-      socket.join('general');
+  console.log(`📱 User connected: ${username} (${socket.id})`);
 
-      // Update room users
-      await Room.findOneAndUpdate(
-        { roomId: 'general' },
-        { $set: { [`users.${socket.id}`]: username } },
-        { new: true }
-      );
+  socket.join(userRoom(userId));
 
-      // Get all online users
-      const onlineUsers = await User.find({ isOnline: true });
+  // Every incoming event is charged against its rate limit first
+  socket.use(socketRateLimit(socket));
 
-      // Get all rooms
-      const rooms = await Room.find({});
+  // Handlers get validated payloads and answer through acknowledgements
+  const on = createEventBinder(socket);
 
-      io.emit('user_list', onlineUsers);
-      io.emit('user_joined', { username, id: socket.id });
-      socket.emit('room_list', rooms);
+  // Drop the user from a room's user list unless another of their connections is still in it
+  const releaseRoom = async (roomId) => {
+    if (!(await hasOtherSocketInRoom(userId, roomId, socket.id))) {
+      await Room.findOneAndUpdate(
+        { roomId },
+        { $unset: { [`users.${userId}`]: 1 } }
+      );
+    }
+  };
+
+  // Move this connection into a room, leaving the one it was viewing
+  const enterRoom = async (roomId) => {
+    const previousRoom = socket.data.currentRoom;
+    if (previousRoom && previousRoom !== roomId) {
+      socket.leave(previousRoom);
+      typing.stop(previousRoom, userId);
+      await releaseRoom(previousRoom);
+    }
 
+    socket.join(roomId);
+    socket.data.currentRoom = roomId;
+    socket.emit('typing_users', { roomId, users: await typing.list(roomId) });
+
+    // Joining a room starts its unread count for this user
+    await trackScope(userId, roomScope(roomId));
+
+    await Room.findOneAndUpdate(
+      { roomId },
+      { $set: { [`users.${userId}`]: username } }
+    );
+  };
+
+  // Handle user joining, or resuming a session after a reconnect
+  on('user_join', async ({ lastSeen }) => {
+    // The pre-update document tells us whether this is the user's first open connection
+    const previous = await User.findByIdAndUpdate(userId, {
+      $addToSet: { socketIds: connectionId(socket.id) },
+      isOnline: true,
+      lastSeen: new Date(),
+    });
+    const wasOnline = previous.socketIds.length > 0;
+
+    // Resume the room the user was last in, falling back to general
+    // (also when they have since lost access to it or been banned)
+    const lastRoom = await Room.findOne({ roomId: previous.currentRoom });
+    const canResume = lastRoom?.isAccessibleBy(userId) && !lastRoom.activeSanction('bans', userId);
+    const roomId = canResume ? lastRoom.roomId : 'general';
+    await enterRoom(roomId);
+
+    // Only the rooms this user can see
+    const rooms = await listVisibleRooms(userId);
+    const session = { userId, username, currentRoom: roomId };
+
+    socket.emit('session', session);
+    socket.emit('room_list', rooms);
+    socket.emit('room_invites', await listInvites(userId));
+    socket.emit('unread_counts', await getRoomUnreadCounts(userId));
+    socket.emit('mentions_unread', { count: await unreadMentionCount(userId) });
+    socket.emit('notification_preferences', await getPreferences(userId));
+    await broadcastUserList();
+
+    // Send what a reconnecting client missed in the rooms it is back in
+    await Promise.all(Object.entries(lastSeen)
+      .filter(([lastRoomId]) => socket.rooms.has(lastRoomId))
+      .map(async ([lastRoomId, messageId]) => {
+        socket.emit('missed_messages', await loadMissedMessages({
+          roomId: lastRoomId,
+          userId,
+          afterMessageId: messageId,
+        }));
+      }));
+
+    if (!wasOnline) {
+      io.emit('user_joined', { username, id: userId });
       console.log(`✅ ${username} joined the chat`);
-    } catch (error) {
-      console.error('Error in user_join:', error.message);
-      socket.emit('error', { message: 'Failed to join chat' });
+    } else {
+      console.log(`🔁 ${username} opened another connection`);
     }
-  });
 
-  // Handle chat messages
-  socket.on('send_message', async (messageData) => {
-    try {
-      const user = await User.findOne({ socketId: socket.id });
+    return session;
+  }, 'Failed to join chat');
+
+  // Send delivery confirmation; the client id lets the sender match its pending copy
+  const confirmDelivery = (message) => {
+    socket.emit('message_delivered', { messageId: message._id, clientId: message.clientId });
+    return { message };
+  };
+
+  // Post a message in a room and deliver it; `isAction` marks a /me action
+  const postRoomMessage = async ({
+    roomId,
+    message,
+    clientId,
+    isAction = false,
+  }) => {
+    const room = await findAccessibleRoom(roomId, userId);
+
+    const sent = await findByClientId(userId, clientId);
+    if (sent) return confirmDelivery(sent);
+
+    assertCanPost(room, userId);
+    await assertSlowMode(room, socket.data.user);
+
+    // Save message to database
+    const { message: savedMessage, created } = await createMessage({
+      sender: username,
+      senderId: userId,
+      message,
+      room: room.roomId,
+      ...await resolveMentions(message, room, userId),
+      isAction,
+      clientId,
+      delivered: true,
+      timestamp: new Date(),
+    });
+    if (!created) return confirmDelivery(savedMessage);
 
-      const messagePayload = {
-        sender: user?.username || 'Anonymous',
-        senderId: socket.id,
-        message: messageData.message,
-        room: messageData.room || 'general',
-        delivered: true,
-        timestamp: new Date(),
-      };
+    typing.stop(room.roomId, userId);
 
-      // Save message to database
-      const savedMessage = await Message.create(messagePayload);
+    const mentioned = await deliverMentions(io, savedMessage, room);
+    await broadcastRoomMessage(
+      io,
+      savedMessage,
+      isAction
+        ? `* ${savedMessage.sender} ${savedMessage.message}`
+        : `${savedMessage.sender}: ${savedMessage.message}`,
+      mentioned
+    );
 
-      // Update room message count
-      await Room.findOneAndUpdate(
-        { roomId: messageData.room || 'general' },
-        { $inc: { messageCount: 1 } }
-      );
+    return confirmDelivery(savedMessage);
+  };
 
-      // Emit to specific room if provided, otherwise to all
-      if (messageData.room) {
-        io.to(messageData.room).emit('receive_message', savedMessage);
-
-        // Send notification to users in the room
-        const roomUsers = await User.find({ currentRoom: messageData.room, socketId: { $ne: socket.id } });
-        roomUsers.forEach((user) => {
-          io.to(user.socketId).emit('new_message_notification', {
-            message: `${savedMessage.sender}: ${savedMessage.message}`,
-            sender: savedMessage.sender,
-            roomId: messageData.room,
+  // Handle chat messages
+  // Messages sent again with the same `clientId` are confirmed, not posted twice
+  on('send_message', async ({ message, room: roomId, parentId, clientId }) => {
+    // Replies go to the thread instead of the room timeline
+    if (parentId) {
+      const {
+        reply,
+        parent,
+        room,
+        created,
+      } = await postReply({
+        parentId,
+        user: socket.data.user,
+        text: message,
+        clientId,
+      });
+      if (!created) return confirmDelivery(reply);
+
+      io.to(parent.room).emit('thread_reply', reply);
+      io.to(parent.room).emit('message_updated', parent);
+      dispatchMessage(reply);
+
+      const mentioned = await deliverMentions(io, reply, room);
+
+      // Notify everyone else taking part in the thread, wherever they are, as long as
+      // they can still read the room
+      const participants = parent.threadParticipants
+        .filter((participantId) => ![userId, ...mentioned].includes(participantId.toString()))
+        .filter((participantId) => room.isAccessibleBy(participantId)
+          && !room.activeSanction('bans', participantId));
+      (await usersToAlert(participants, { roomId: parent.room }))
+        .forEach((participantId) => {
+          io.to(userRoom(participantId)).emit('new_message_notification', {
+            message: `${username} replied in a thread: ${reply.message}`,
+            sender: username,
+            roomId: parent.room,
+            parentId: parent._id,
           });
         });
-      } else {
-        io.emit('receive_message', savedMessage);
-      }
 
-      // Send delivery confirmation
-      socket.emit('message_delivered', { messageId: savedMessage._id });
-    } catch (error) {
-      console.error('Error sending message:', error.message);
-      socket.emit('error', { message: 'Failed to send message' });
+      return confirmDelivery(reply);
     }
-  });
+
+    return postRoomMessage({ roomId, message, clientId });
+  }, 'Failed to send message');
 
   // Handle room creation
-  socket.on('create_room', async (roomName) => {
-    try {
-      const roomId = roomName.toLowerCase().replace(/\s+/g, '-');
+  // Accepts a room name, or `{ name, isPrivate }`; the creator owns the room
+  on('create_room', async ({ name, isPrivate }) => {
+    const newRoom = await createRoom({ name, isPrivate, userId });
+    emitRoomUpdate(newRoom);
+
+    // Private rooms are announced only to their members
+    if (!newRoom.isPrivate) {
+      io.emit('notification', {
+        type: 'room_created',
+        message: `New room created: ${newRoom.name}`,
+        roomId: newRoom.roomId,
+      });
+    }
 
-      const existingRoom = await Room.findOne({ roomId });
-      if (!existingRoom) {
-        const newRoom = await Room.create({
-          roomId,
-          name: roomName,
-          createdBy: socket.id,
-        });
+    console.log(`✅ Room created: ${newRoom.name}${newRoom.isPrivate ? ' (private)' : ''}`);
+    return { room: newRoom };
+  }, 'Failed to create room');
 
-        const allRooms = await Room.find({});
-        io.emit('room_list', allRooms);
+  // Join a room, making it the one this connection views
+  const joinRoom = async (roomId) => {
+    const room = await findAccessibleRoom(roomId, userId);
+    assertNotBanned(room, userId);
 
-        io.emit('notification', {
-          type: 'room_created',
-          message: `New room created: ${roomName}`,
-          roomId: roomId,
-        });
+    // Leave the previous room and join the new one
+    await enterRoom(room.roomId);
 
-        console.log(`✅ Room created: ${roomName}`);
-      }
-    } catch (error) {
-      console.error('Error creating room:', error.message);
-      socket.emit('error', { message: 'Failed to create room' });
-    }
-  });
+    // Remember the room so the next session resumes there
+    await User.findByIdAndUpdate(userId, { currentRoom: room.roomId });
+
+    socket.emit('room_joined', { roomId: room.roomId, roomName: room.name });
+
+    // Notify room users about new member
+    io.to(room.roomId).emit('notification', {
+      type: 'user_joined_room',
+      message: `${username} joined the room`,
+      roomId: room.roomId,
+    });
+
+    console.log(`✅ ${username} joined room: ${room.roomId}`);
+    return room;
+  };
 
   // Handle joining a room
-  socket.on('join_room', async (roomId) => {
-    try {
-      // Leave current rooms
-      const userRooms = await Room.find({ [`users.${socket.id}`]: { $exists: true } });
-      for (const room of userRooms) {
-        socket.leave(room.roomId);
-        await Room.findOneAndUpdate(
-          { roomId: room.roomId },
-          { $unset: { [`users.${socket.id}`]: 1 } }
-        );
-      }
+  on('join_room', async (roomId) => ({ room: await joinRoom(roomId) }), 'Failed to join room');
 
-      // Update user's current room
-      await User.findOneAndUpdate(
-        { socketId: socket.id },
-        { currentRoom: roomId }
-      );
+  // Leave a room for good (private) or until joined again (public); connections
+  // viewing it move back to the default room
+  const leaveRoom = async (roomId) => {
+    const room = await leaveRoomMembership({ roomId, userId });
+    await untrackScope(userId, roomScope(room.roomId));
 
-      // Join new room
-      socket.join(roomId);
-      const room = await Room.findOne({ roomId });
+    if (room.isPrivate) {
+      await evictFromRoom(userId, room.roomId);
+      emitRoomUpdate(room);
+    }
 
-      if (room) {
-        await Room.findOneAndUpdate(
-          { roomId },
-          { $set: { [`users.${socket.id}`]: (await User.findOne({ socketId: socket.id }))?.username } }
-        );
+    io.to(userRoom(userId)).emit('room_left', { roomId: room.roomId, isPrivate: room.isPrivate });
+    io.to(room.roomId).emit('notification', {
+      type: 'user_left_room',
+      message: `${username} left the room`,
+      roomId: room.roomId,
+    });
 
-        socket.emit('room_joined', { roomId, roomName: room.name });
+    console.log(`👋 ${username} left room: ${room.roomId}`);
+    return room;
+  };
 
-        // Notify room users about new member
-        io.to(roomId).emit('notification', {
-          type: 'user_joined_room',
-          message: `User joined the room`,
-          roomId: roomId,
-        });
+  // Invite a user to a private room (room owners and admins only)
+  const inviteUser = async ({ roomId, inviteeId }) => {
+    const room = await inviteToRoom({ roomId, inviterId: userId, inviteeId });
 
-        console.log(`✅ User ${socket.id} joined room: ${roomId}`);
-      }
-    } catch (error) {
-      console.error('Error joining room:', error.message);
-      socket.emit('error', { message: 'Failed to join room' });
+    io.to(userRoom(inviteeId)).emit('room_invite', {
+      roomId: room.roomId,
+      name: room.name,
+      invitedBy: username,
+      createdAt: new Date(),
+    });
+    return room;
+  };
+
+  // Handle inviting a user to a private room
+  on('invite_to_room', async ({ roomId, userId: inviteeId }) => {
+    await inviteUser({ roomId, inviteeId });
+  }, 'Failed to send invitation');
+
+  // Handle accepting or declining an invitation
+  on('respond_to_invite', async ({ roomId, accept }) => {
+    const room = await respondToInvite({ roomId, userId, accept });
+
+    // Other tabs drop the invitation too
+    io.to(userRoom(userId)).emit('room_invites', await listInvites(userId));
+
+    if (accept) {
+      emitRoomUpdate(room);
+      io.to(room.roomId).emit('notification', {
+        type: 'user_joined_room',
+        message: `${username} accepted an invitation to the room`,
+        roomId: room.roomId,
+      });
     }
-  });
+
+    return { room };
+  }, 'Failed to respond to invitation');
+
+  // Handle promoting a member to room admin or back (room owner only)
+  on('set_member_role', async ({ roomId, userId: memberId, role }) => {
+    const room = await setMemberRole({ roomId, actorId: userId, targetId: memberId, role });
+    emitRoomUpdate(room);
+    return { room };
+  }, 'Failed to change member role');
 
   // Handle typing indicator
-  socket.on('typing', async (isTyping) => {
-    try {
-      const user = await User.findOne({ socketId: socket.id });
+  // Clients re-send `typing(true)` while typing; entries expire server-side otherwise
+  on('typing', async (isTyping) => {
+    const roomId = socket.data.currentRoom;
 
-      if (user) {
-        if (isTyping) {
-          typingUsers[socket.id] = user.username;
-        } else {
-          delete typingUsers[socket.id];
-        }
+    // A kick or ban takes the connection out of the room behind its back
+    if (!roomId || !socket.rooms.has(roomId)) return;
 
-        io.emit('typing_users', Object.values(typingUsers));
-      }
-    } catch (error) {
-      console.error('Error in typing handler:', error.message);
+    if (isTyping) {
+      typing.start(roomId, userId, username);
+    } else {
+      typing.stop(roomId, userId);
     }
-  });
-
-  // Handle private messages
-  socket.on('private_message', async ({ to, message }) => {
-    try {
-      const senderUser = await User.findOne({ socketId: socket.id });
+  }, 'Failed to update typing status');
 
-      const messageData = {
-        sender: senderUser?.username || 'Anonymous',
-        senderId: socket.id,
-        message,
-        recipient: to,
-        isPrivate: true,
-        delivered: true,
-        timestamp: new Date(),
-      };
+  // Send a direct message; `to` is the recipient's user id, and delivery goes to every
+  // connection they have open
+  const sendPrivateMessage = async ({ to, message, clientId }) => {
+    if (to === userId) {
+      throw new AppError(400, 'INVALID_RECIPIENT', "You can't message yourself");
+    }
 
-      const savedMessage = await Message.create(messageData);
+    const sent = await findByClientId(userId, clientId);
+    if (sent) return confirmDelivery(sent);
 
-      io.to(to).emit('private_message', savedMessage);
-      socket.emit('private_message', savedMessage);
+    const recipient = await User.findById(to);
+    if (!recipient) {
+      throw new AppError(404, 'USER_NOT_FOUND', 'Recipient not found');
+    }
 
-      // Send notification for private message
-      io.to(to).emit('new_message_notification', {
-        message: `Private message from ${senderUser?.username || 'Anonymous'}: ${message}`,
-        sender: senderUser?.username || 'Anonymous',
+    const conversation = await Conversation.between(userId, to);
+    const scope = conversationScope(conversation._id);
+    await Promise.all([trackScope(userId, scope), trackScope(to, scope)]);
+
+    const { message: savedMessage, created } = await createMessage({
+      sender: username,
+      senderId: userId,
+      message,
+      recipient: to,
+      conversation: conversation._id,
+      isPrivate: true,
+      clientId,
+      delivered: true,
+      timestamp: new Date(),
+    });
+    if (!created) return confirmDelivery(savedMessage);
+
+    // Sender's other tabs see the message too
+    io.to([userRoom(to), userRoom(userId)]).emit('private_message', savedMessage);
+
+    const updatedConversation = await Conversation.findByIdAndUpdate(
+      conversation._id,
+      {
+        lastMessage: message.slice(0, 100),
+        lastMessageAt: savedMessage.timestamp,
+      },
+      { new: true }
+    ).populate('participants', 'username isOnline lastSeen');
+
+    await recordNewMessage(savedMessage);
+    await emitConversationUpdate(updatedConversation);
+
+    // Send notification for private message, unless the recipient has it turned off.
+    // DMs set to "mentions" only notify when the recipient is @mentioned in them.
+    const mentioned = parseMentions(message).names
+      .some((candidates) => candidates.includes(recipient.username));
+    if (shouldAlert(await getPreferences(to), { userId }, { mentioned })) {
+      io.to(userRoom(to)).emit('new_message_notification', {
+        message: `Private message from ${username}: ${message}`,
+        sender: username,
+        senderId: userId,
         isPrivate: true,
+        mentioned,
       });
 
-      socket.emit('message_delivered', { messageId: savedMessage._id });
-    } catch (error) {
-      console.error('Error sending private message:', error.message);
-      socket.emit('error', { message: 'Failed to send private message' });
+      // Reaches the recipient even with every tab closed; sent in the background
+      pushIfOffline(to, directMessagePush(savedMessage));
     }
-  });
 
-  // Handle message reactions
-  socket.on('add_reaction', async ({ messageId, reaction }) => {
-    try {
-      const message = await Message.findByIdAndUpdate(
-        messageId,
-        { $set: { [`reactions.${socket.id}`]: reaction } },
-        { new: true }
-      );
+    return confirmDelivery(savedMessage);
+  };
 
-      io.emit('reaction_added', { messageId, reaction, userId: socket.id });
-    } catch (error) {
-      console.error('Error adding reaction:', error.message);
+  // Handle private messages
+  on('private_message', sendPrivateMessage, 'Failed to send private message');
+
+  // Handle loading direct-message history with another user
+  on('load_private_history', async ({ userId: otherUserId, before, after, limit }) => {
+    const history = await loadConversationHistory({ userId, otherUserId, before, after, limit });
+
+    // The request's cursors tell the client where the page goes
+    socket.emit('private_history_loaded', { before, after, ...history });
+    return history;
+  }, 'Failed to load private messages');
+
+  // Handle clearing the unread count of a conversation
+  on('mark_conversation_read', async ({ userId: otherUserId }) => {
+    const conversation = await Conversation.findOne({
+      participants: { $all: [userId, otherUserId] },
+    }).populate('participants', 'username isOnline lastSeen');
+
+    if (conversation) {
+      await markRead(userId, conversationScope(conversation._id));
+      await emitConversationUpdate(conversation, [{ _id: userId }]);
     }
-  });
+  }, 'Failed to mark conversation as read');
+
+  // Render composer text as it will show once sent
+  on('preview_message', async ({ message, room }) => ({
+    html: await previewMessage({ text: message, roomId: room, userId }),
+  }), 'Failed to preview message');
+
+  // Handle editing a message (author or moderator only)
+  on('edit_message', async ({ messageId, message, reason }) => {
+    const updatedMessage = await editMessage({
+      messageId,
+      user: socket.data.user,
+      text: message,
+      reason,
+    });
 
-  // Handle message read receipts
-  socket.on('message_read', async (messageId) => {
-    try {
-      await Message.findByIdAndUpdate(
-        messageId,
-        { read: true }
-      );
+    io.to(messageAudience(updatedMessage)).emit('message_updated', updatedMessage);
+    await deliverMentions(io, updatedMessage);
+    return { message: updatedMessage };
+  }, 'Failed to edit message');
+
+  // Handle deleting a message (author, or a moderator giving a reason)
+  on('delete_message', async ({ messageId, reason }) => {
+    const deletedMessage = await deleteMessage({
+      messageId,
+      user: socket.data.user,
+      reason,
+    });
 
-      socket.broadcast.emit('message_read_receipt', { messageId, userId: socket.id });
-    } catch (error) {
-      console.error('Error marking message as read:', error.message);
-    }
-  });
+    io.to(messageAudience(deletedMessage)).emit('message_deleted', deletedMessage);
+    await forgetMentions(io, deletedMessage);
+    return { message: deletedMessage };
+  }, 'Failed to delete message');
+
+  // Handle message reactions; everyone who can see the message gets its new totals
+  on('add_reaction', async ({ messageId, emoji }) => {
+    const message = await addReaction({ messageId, user: socket.data.user, emoji });
+    return emitReactions(message);
+  }, 'Failed to add reaction');
+
+  on('remove_reaction', async ({ messageId, emoji }) => {
+    const message = await removeReaction({ messageId, user: socket.data.user, emoji });
+    return emitReactions(message);
+  }, 'Failed to remove reaction');
+
+  // Moderation: room owners and admins, and site moderators, can kick, mute
+  // and ban users. Every action needs a reason and lands in the moderation log.
+  on('kick_user', async ({ roomId, userId: targetId, reason }) => {
+    const { room, target, reason: text } = await kickUser({
+      roomId,
+      actor: socket.data.user,
+      targetId,
+      reason,
+    });
 
-  // Handle file sharing
-  socket.on('share_file', async (fileData) => {
-    try {
-      const user = await User.findOne({ socketId: socket.id });
-
-      const messagePayload = {
-        sender: user?.username || 'Anonymous',
-        senderId: socket.id,
-        fileName: fileData.name,
-        fileUrl: fileData.url,
-        fileType: fileData.type,
-        isFile: true,
-        room: fileData.room || 'general',
-        delivered: true,
-        timestamp: new Date(),
-      };
-
-      const savedMessage = await Message.create(messagePayload);
-
-      io.emit('receive_message', savedMessage);
-
-      // Send notification for file share
-      Object.keys(io.sockets.sockets).forEach((userId) => {
-        if (userId !== socket.id) {
-          io.to(userId).emit('new_message_notification', {
-            message: `${user?.username || 'Anonymous'} shared a file: ${fileData.name}`,
-            sender: user?.username || 'Anonymous',
-            isFile: true,
-          });
-        }
-      });
+    await evictFromRoom(target._id, room.roomId);
+    io.to(userRoom(target._id)).emit('kicked', { roomId: room.roomId, reason: text, by: username });
+    io.to(userRoom(target._id)).emit('room_list', await listVisibleRooms(target._id));
+    if (room.isPrivate) emitRoomUpdate(room);
+
+    announceModeration(room.roomId, `${target.username} was removed from the room: ${text}`);
+  }, 'Failed to kick user');
+
+  on('mute_user', async ({ roomId, userId: targetId, reason, durationMinutes }) => {
+    const { room, target, reason: text, expiresAt } = await muteUser({
+      roomId,
+      actor: socket.data.user,
+      targetId,
+      reason,
+      durationMinutes,
+    });
 
-      socket.emit('message_delivered', { messageId: savedMessage._id });
-    } catch (error) {
-      console.error('Error sharing file:', error.message);
-      socket.emit('error', { message: 'Failed to share file' });
-    }
-  });
+    io.to(userRoom(target._id)).emit('muted', {
+      roomId: room.roomId,
+      reason: text,
+      expiresAt,
+      by: username,
+    });
+    announceModeration(room.roomId, `${target.username} was muted: ${text}`);
+    return { expiresAt };
+  }, 'Failed to mute user');
+
+  on('unmute_user', async ({ roomId, userId: targetId, reason }) => {
+    const { room, target } = await unmuteUser({
+      roomId,
+      actor: socket.data.user,
+      targetId,
+      reason,
+    });
 
-  // Handle message pagination
-  socket.on('load_messages', async ({ offset = 0, limit = 50, roomId = 'general' }) => {
-    try {
-      const query = roomId ? { room: roomId } : {};
-      const messages = await Message.find(query)
-        .sort({ timestamp: -1 })
-        .skip(offset)
-        .limit(limit);
+    io.to(userRoom(target._id)).emit('unmuted', { roomId: room.roomId, by: username });
+    announceModeration(room.roomId, `${target.username} can post again`);
+  }, 'Failed to unmute user');
+
+  on('ban_user', async ({ roomId, userId: targetId, reason, durationMinutes }) => {
+    const { room, target, reason: text, expiresAt } = await banUser({
+      roomId,
+      actor: socket.data.user,
+      targetId,
+      reason,
+      durationMinutes,
+    });
 
-      const totalCount = await Message.countDocuments(query);
+    await evictFromRoom(target._id, room.roomId);
+    io.to(userRoom(target._id)).emit('banned', {
+      roomId: room.roomId,
+      reason: text,
+      expiresAt,
+      by: username,
+    });
+    io.to(userRoom(target._id)).emit('room_list', await listVisibleRooms(target._id));
+    if (room.isPrivate) emitRoomUpdate(room);
+
+    announceModeration(room.roomId, `${target.username} was banned: ${text}`);
+    return { expiresAt };
+  }, 'Failed to ban user');
+
+  // Handle turning a room's slow mode on or off (`seconds: 0`)
+  on('set_slow_mode', async ({ roomId, seconds }) => {
+    const room = await setSlowMode({ roomId, actor: socket.data.user, seconds });
+
+    emitRoomUpdate(room);
+    announceModeration(room.roomId, room.slowModeSeconds
+      ? `Slow mode is on: one message every ${room.slowModeSeconds}s`
+      : 'Slow mode is off');
+    return { room };
+  }, 'Failed to change slow mode');
+
+  // Change a room's topic (room moderators only)
+  const changeTopic = ({ roomId, topic }) =>
+    updateRoom(io, { roomId, actor: socket.data.user, changes: { topic } });
+
+  // Handle changing a room's name, description or topic (room moderators only)
+  on('update_room', async ({ roomId, ...changes }) => ({
+    room: await updateRoom(io, { roomId, actor: socket.data.user, changes }),
+  }), 'Failed to update room');
+
+  // Handle archiving a room, making it read-only, or unarchiving it (room moderators only)
+  on('archive_room', async ({ roomId, archived }) => ({
+    room: await setRoomArchived(io, { roomId, actor: socket.data.user, archived }),
+  }), 'Failed to archive room');
+
+  // Handle deleting a room, with or without its messages (room owner or site admin)
+  on('delete_room', async ({ roomId, keepMessages }) => {
+    const room = await deleteRoom(io, { roomId, actor: socket.data.user, keepMessages });
+
+    console.log(`🗑️ ${username} deleted room: ${room.roomId}${keepMessages ? ' (messages kept)' : ''}`);
+    return { roomId: room.roomId };
+  }, 'Failed to delete room');
+
+  on('unban_user', async ({ roomId, userId: targetId, reason }) => {
+    const { room, target } = await unbanUser({
+      roomId,
+      actor: socket.data.user,
+      targetId,
+      reason,
+    });
 
-      socket.emit('messages_loaded', {
-        messages: messages.reverse(),
-        hasMore: offset + limit < totalCount,
-      });
-    } catch (error) {
-      console.error('Error loading messages:', error.message);
-      socket.emit('error', { message: 'Failed to load messages' });
+    io.to(userRoom(target._id)).emit('unbanned', { roomId: room.roomId, by: username });
+  }, 'Failed to unban user');
+
+  // Handle changes to notification preferences; every tab of the user gets the result
+  on('update_notification_preferences', async (changes) => {
+    const preferences = await updatePreferences(userId, changes);
+    io.to(userRoom(userId)).emit('notification_preferences', preferences);
+    return { preferences };
+  }, 'Failed to update notification preferences');
+
+  // Handle message read receipts: moves the reader's cursor up to this message
+  on('message_read', async (messageId) => {
+    const message = await Message.findById(messageId);
+    if (!message || !(await canSeeMessage(message, userId))) {
+      throw new AppError(404, 'MESSAGE_NOT_FOUND', 'Message not found');
     }
-  });
 
-  // Handle message search
-  socket.on('search_messages', async ({ query, roomId }) => {
-    try {
-      const searchFilter = {
-        $or: [
-          { message: { $regex: query, $options: 'i' } },
-          { sender: { $regex: query, $options: 'i' } },
-        ],
-      };
-
-      if (roomId) {
-        searchFilter.room = roomId;
-      }
+    // Thread replies sit outside the room timeline, so they don't move its cursor
+    if (message.parentId) return;
 
-      const searchResults = await Message.find(searchFilter)
-        .sort({ timestamp: -1 })
-        .limit(50);
+    const cursor = await markRead(userId, scopeForMessage(message), message.timestamp);
 
-      socket.emit('search_results', {
-        messages: searchResults,
-        query: query,
+    if (message.isPrivate) {
+      const conversation = await Conversation.findById(message.conversation)
+        .populate('participants', 'username isOnline lastSeen');
+      await emitConversationUpdate(conversation, [{ _id: userId }]);
+    } else {
+      io.to(userRoom(userId)).emit('unread_count_update', {
+        roomId: message.room,
+        count: cursor.unreadCount,
       });
-    } catch (error) {
-      console.error('Error searching messages:', error.message);
-      socket.emit('error', { message: 'Failed to search messages' });
+
+      // Reading the room also reads the mentions in it
+      await markMentionsRead({ userId, roomId: message.room, readAt: message.timestamp });
+      await emitUnreadMentions(io, userId);
     }
+
+    socket.to(messageAudience(message)).emit('message_read_receipt', {
+      messageId,
+      userId,
+      username,
+      readAt: cursor.lastReadAt,
+    });
+  }, 'Failed to mark message as read');
+
+  // Handle marking everything in a room as read
+  on('mark_room_read', async ({ roomId }) => {
+    await findAccessibleRoom(roomId, userId);
+    const cursor = await markRead(userId, roomScope(roomId));
+    io.to(userRoom(userId)).emit('unread_count_update', { roomId, count: cursor.unreadCount });
+
+    await markMentionsRead({ userId, roomId, readAt: cursor.lastReadAt });
+    await emitUnreadMentions(io, userId);
+  }, 'Failed to mark room as read');
+
+  // Handle loading a page of the user's mentions inbox, newest first
+  on('load_mentions', async ({ unreadOnly, cursor, limit }) => (
+    listMentions({ userId, unreadOnly, cursor, limit })
+  ), 'Failed to load mentions');
+
+  // Handle marking mentions as read: by id, a whole room, or (with neither) everything
+  on('mark_mentions_read', async ({ ids, roomId }) => {
+    const count = await markMentionsRead({ userId, ids, roomId });
+    io.to(userRoom(userId)).emit('mentions_unread', { count });
+    return { count };
+  }, 'Failed to mark mentions as read');
+
+  // Handle requests for the list of users who have read a message
+  on('get_read_receipts', async ({ messageId }) => {
+    const message = await Message.findById(messageId);
+    if (!message || !(await canSeeMessage(message, userId))) {
+      throw new AppError(404, 'MESSAGE_NOT_FOUND', 'Message not found');
+    }
+
+    const receipts = { messageId, readers: await getReadBy(message) };
+    socket.emit('read_receipts', receipts);
+    return receipts;
+  }, 'Failed to fetch read receipts');
+
+  // Handle file sharing
+  // `fileId` comes from an upload (POST /api/files or the chunked upload events)
+  on('share_file', async ({ fileId, room }) => {
+    const targetRoom = await findAccessibleRoom(room, userId);
+    assertCanPost(targetRoom, userId);
+    await assertSlowMode(targetRoom, socket.data.user);
+
+    const savedMessage = await shareAttachment({
+      fileId,
+      user: socket.data.user,
+      room: targetRoom.roomId,
+    });
+
+    await broadcastRoomMessage(io, savedMessage, `${username} shared a file: ${savedMessage.fileName}`);
+
+    return confirmDelivery(savedMessage);
+  }, 'Failed to share file');
+
+  // Handle chunked uploads: start, then chunks in order, then complete. Each step
+  // answers through its acknowledgement so the client can pace the next chunk.
+  on('upload_start', async ({ name, type, size }) => ({
+    uploadId: startChunkedUpload({ userId, socketId: socket.id, name, type, size }),
+  }), 'Failed to start upload');
+
+  on('upload_chunk', async ({ uploadId, index, data }) =>
+    appendChunk({ uploadId, userId, index, data }), 'Failed to upload chunk');
+
+  on('upload_complete', async ({ uploadId }) => ({
+    file: await finishChunkedUpload({ uploadId, userId }),
+  }), 'Failed to complete upload');
+
+  // Handle message pagination: the newest page, or one before, after or around a message
+  on('load_messages', async ({ roomId, before, after, around, limit }) => {
+    const page = await loadRoomHistory({ roomId, userId, before, after, around, limit });
+
+    socket.emit('messages_loaded', { before, after, around, ...page });
+    return page;
+  }, 'Failed to load messages');
+
+  // Handle loading a thread's replies
+  on('load_thread', async ({ messageId, before, after, limit }) => {
+    const thread = await loadThread({ messageId, userId, before, after, limit });
+
+    // Like timeline pages, the request's cursors tell the client where the page goes
+    socket.emit('thread_loaded', { before, after, ...thread });
+    return thread;
+  }, 'Failed to load thread');
+
+  // Search messages, sending the results to this connection too
+  const runSearch = async (filters) => {
+    const results = await searchMessages({ ...filters, userId });
+    socket.emit('search_results', { ...filters, ...results });
+    return results;
+  };
+
+  // Handle message search; a `cursor` continues earlier results
+  on('search_messages', runSearch, 'Failed to search messages');
+
+  // Change this user's name. Their other connections are told to reconnect under it;
+  // this one learns from the command's result.
+  const changeUsername = async (newName) => {
+    const user = await renameUser({ userId, username: newName });
+
+    socket.to(userRoom(userId)).emit('username_changed', { user });
+    await broadcastUserList();
+
+    console.log(`✏️ ${username} is now ${user.username}`);
+    return user;
+  };
+
+  // Slash commands run with what this connection can do, in the room they were typed in
+  const commandContext = (roomId) => ({
+    user: socket.data.user,
+    roomId,
+    actions: {
+      joinRoom,
+      leaveRoom,
+      postRoomMessage,
+      sendPrivateMessage,
+      inviteUser,
+      setTopic: changeTopic,
+      renameUser: changeUsername,
+      search: runSearch,
+    },
   });
 
+  // Handle a slash command typed in the composer; replies go only to the caller
+  on('run_command', async ({ input, room }) => (
+    runCommand(input, commandContext(room))
+  ), 'Failed to run command');
+
+  // Handle listing the commands usable in a room, for autocompletion
+  on('list_commands', async ({ room }) => ({
+    commands: await availableCommands(commandContext(room)),
+  }), 'Failed to list commands');
+
+  // Handle loading the messages around one, e.g. a search result being opened
+  on('load_message_context', async ({ messageId, limit }) => (
+    loadMessageContext({ messageId, userId, limit })
+  ), 'Failed to load message');
+
   // Handle disconnection
   socket.on('disconnect', async () => {
     try {
+      await User.findByIdAndUpdate(userId, {
+        $pull: { socketIds: connectionId(socket.id) },
+        lastSeen: new Date(),
+      });
+
+      if (socket.data.currentRoom) {
+        await releaseRoom(socket.data.currentRoom);
+      }
+
+      // Only go offline once the last connection has closed; the size check
+      // keeps a connection opened in the meantime from being marked offline
       const user = await User.findOneAndUpdate(
-        { socketId: socket.id },
-        { isOnline: false, lastSeen: new Date() }
+        { _id: userId, isOnline: true, socketIds: { $size: 0 } },
+        { isOnline: false }
       );
 
       if (user) {
-        console.log(`📱 ${user.username} left the chat`);
-
-        // Remove user from all rooms
-        await Room.updateMany(
-          { [`users.${socket.id}`]: { $exists: true } },
-          { $unset: { [`users.${socket.id}`]: 1 } }
-        );
+        console.log(`📱 ${username} left the chat`);
 
-        io.emit('user_left', { username: user.username, id: socket.id });
+        io.emit('user_left', { username, id: userId });
         io.emit('notification', {
           type: 'user_left',
-          message: `${user.username} left the chat`,
+          message: `${username} left the chat`,
         });
       }
 
-      delete typingUsers[socket.id];
+      if (socket.data.currentRoom) {
+        typing.stop(socket.data.currentRoom, userId);
+      }
+
+      abortChunkedUploads(socket.id);
 
-      const onlineUsers = await User.find({ isOnline: true });
-      io.emit('user_list', onlineUsers);
-      io.emit('typing_users', Object.values(typingUsers));
+      await broadcastUserList();
     } catch (error) {
       console.error('Error in disconnect handler:', error.message);
     }
@@ -457,6 +1059,44 @@ io.on('connection', (socket) => {
     
 // API Routes
 
+// File uploads and downloads. A page of history can show dozens of files, so these
+// have budgets of their own and are mounted ahead of the shared one.
+app.use('/api/files', fileRoutes);
+
+// Budget shared by the rest of the API, per user and per IP; busier routes add their
+// own below
+app.use('/api', rateLimit());
+
+// Authentication
+app.use('/api/auth', authRoutes);
+
+// Direct-message conversations
+app.use('/api/conversations', conversationRoutes);
+
+// Message history, edits and deletes
+app.use('/api/messages', messageRoutes);
+
+// Rooms and room invitations
+app.use('/api/rooms', roomRoutes);
+
+// Moderation audit log
+app.use('/api/moderation', moderationRoutes);
+
+// Mentions inbox
+app.use('/api/mentions', mentionRoutes);
+
+// Notification preferences
+app.use('/api/notifications', notificationRoutes);
+
+// Web Push subscriptions
+app.use('/api/push', pushRoutes);
+
+// Room webhooks and their delivery logs
+app.use('/api/webhooks', webhookRoutes);
+
+// Incoming webhooks, authenticated by the token in the URL
+app.use('/api/hooks', hookRoutes);
+
 // Health check endpoint
 app.get('/api/health', (req, res) => {
   res.json({
@@ -466,69 +1106,27 @@ app.get('/api/health', (req, res) => {
   });
 });
 
-// Get messages with pagination
-app.get('/api/messages', async (req, res) => {
-  try {
-    const { offset = 0, limit = 50, room = 'general' } = req.query;
-    const skip = parseInt(offset);
-    const take = parseInt(limit);
-
-    const messages = await Message.find({ room })
-      .sort({ timestamp: -1 })
-      .skip(skip)
-      .limit(take);
-
-    const totalCount = await Message.countDocuments({ room });
-
-    res.json({
-      messages: messages.reverse(),
-      hasMore: skip + take < totalCount,
-      total: totalCount,
-    });
-  } catch (error) {
-    console.error('Error fetching messages:', error.message);
-    res.status(500).json({ error: 'Failed to fetch messages' });
-  }
-});
-
 // Search messages
-app.get('/api/search', async (req, res) => {
+app.get('/api/search', requireAuth, rateLimit('rest:search'), validateQuery(restSchemas.search), async (req, res) => {
   try {
-    const { q, room } = req.query;
-
-    if (!q) {
-      return res.status(400).json({ error: 'Query parameter "q" is required' });
-    }
-
-    const searchFilter = {
-      $or: [
-        { message: { $regex: q, $options: 'i' } },
-        { sender: { $regex: q, $options: 'i' } },
-      ],
-    };
+    const { q, room, attachments, ...filters } = req.query;
 
-    if (room) {
-      searchFilter.room = room;
-    }
-
-    const searchResults = await Message.find(searchFilter)
-      .sort({ timestamp: -1 })
-      .limit(50);
-
-    res.json({
-      messages: searchResults,
+    res.json(await searchMessages({
+      ...filters,
       query: q,
-    });
+      roomId: room,
+      attachmentsOnly: attachments,
+      userId: req.user._id,
+    }));
   } catch (error) {
-    console.error('Error searching messages:', error.message);
-    res.status(500).json({ error: 'Failed to search messages' });
+    sendError(res, error, 'Failed to search messages');
   }
 });
 
 // Get online users
-app.get('/api/users', async (req, res) => {
+app.get('/api/users', requireAuth, async (req, res) => {
   try {
-    const users = await User.find({ isOnline: true });
+    const users = await User.find({ isOnline: true }).select(PUBLIC_USER_FIELDS);
     res.json(users);
   } catch (error) {
     console.error('Error fetching users:', error.message);
@@ -536,17 +1134,6 @@ app.get('/api/users', async (req, res) => {
   }
 });
 
-// Get all rooms
-app.get('/api/rooms', async (req, res) => {
-  try {
-    const rooms = await Room.find({});
-    res.json(rooms);
-  } catch (error) {
-    console.error('Error fetching rooms:', error.message);
-    res.status(500).json({ error: 'Failed to fetch rooms' });
-  }
-});
-
 // Root route
 app.get('/', (req, res) => {
   res.send('Socket.io Chat Server is running');
@@ -557,8 +1144,19 @@ app.use((req, res) => {
   res.status(404).json({ error: 'Not Found' });
 });
 
-// Error handling middleware
+// Error handling middleware. Bodies the parser rejects get the same answer as bodies
+// failing validation; other client errors keep their status.
 app.use((err, req, res, next) => {
+  if (err.type === 'entity.parse.failed') {
+    const message = 'Request body must be valid JSON';
+    return sendError(res, new AppError(400, 'VALIDATION_ERROR', message, {
+      issues: [{ path: '', message }],
+    }), 'Failed to validate request');
+  }
+  if (err.status >= 400 && err.status < 500 && err.expose) {
+    return sendError(res, new AppError(err.status, 'INVALID_REQUEST', err.message), 'Failed to read request');
+  }
+
   console.error('Unhandled error:', err.message);
   res.status(500).json({
     error: process.env.NODE_ENV === 'production' ? 'Internal server error' : err.message,
@@ -571,7 +1169,10 @@ const PORT = process.env.PORT || 5000;
 const startServer = async () => {
   try {
     await connectDB();
+    logClusterSetup(await attachClusterAdapter(io));
     await initializeRooms();
+    await announceOffline(await startPresence({ onUsersOffline: announceOffline }));
+    startWebhookRetries();
 
     server.listen(PORT, () => {
       console.log(`🚀 Server running on port ${PORT}`);
@@ -584,14 +1185,26 @@ const startServer = async () => {
 };
 
 // Handle graceful shutdown
+// Other instances keep serving, so hand this instance's users over before leaving
+const releaseInstance = async () => {
+  stopWebhookRetries();
+  try {
+    await announceOffline(await stopPresence());
+  } catch (error) {
+    console.error('Error releasing instance:', error.message);
+  }
+};
+
 process.on('SIGINT', async () => {
   console.log('\n🛑 Server shutting down gracefully...');
+  await releaseInstance();
   await mongoose.connection.close();
   process.exit(0);
 });
 
 process.on('SIGTERM', async () => {
   console.log('\n🛑 Server terminating...');
+  await releaseInstance();
   await mongoose.connection.close();
   process.exit(0);
 });
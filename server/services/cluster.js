@@ -0,0 +1,59 @@
+// cluster.js - Running several server instances behind a load balancer
+
+const os = require('os');
+const mongoose = require('mongoose');
+const { createAdapter } = require('@socket.io/mongo-adapter');
+
+// Names this process among the instances sharing the database. Set it to something
+// stable (e.g. the container name) so a restarted instance cleans up after its last run.
+const INSTANCE_ID = process.env.INSTANCE_ID || `${os.hostname()}-${process.pid}`;
+
+const ADAPTER_COLLECTION = 'socket.io-adapter-events';
+
+// Transports the server accepts: SOCKET_TRANSPORTS=websocket turns long-polling off
+const socketTransports = () =>
+  (process.env.SOCKET_TRANSPORTS || 'polling,websocket').split(',').map((name) => name.trim());
+
+// With SOCKET_ADAPTER=mongo, broadcasts and room operations reach the sockets of every
+// instance. The adapter follows a change stream, so MongoDB must be a replica set.
+// Returns whether the adapter was attached.
+const attachClusterAdapter = async (io) => {
+  if (process.env.SOCKET_ADAPTER !== 'mongo') return false;
+
+  const { db } = mongoose.connection;
+  try {
+    await db.createCollection(ADAPTER_COLLECTION, { capped: true, size: 1e6 });
+  } catch (error) {
+    // Another instance created it first
+    if (error.codeName !== 'NamespaceExists') throw error;
+  }
+
+  io.adapter(createAdapter(db.collection(ADAPTER_COLLECTION)));
+  return true;
+};
+
+// Long-polling spreads one Socket.io session over many HTTP requests, and all of them
+// must reach the instance holding the session. Clustered deployments need sticky
+// sessions at the load balancer, or websocket-only transport, where a session is one
+// connection.
+const logClusterSetup = (clustered) => {
+  if (!clustered) {
+    console.log(`🖥️  Single instance mode (${INSTANCE_ID}); set SOCKET_ADAPTER=mongo to run several`);
+    return;
+  }
+
+  console.log(`🔗 Cluster adapter enabled, instance ${INSTANCE_ID}`);
+  if (socketTransports().includes('polling')) {
+    console.warn(
+      '⚠️  Long-polling is on: the load balancer must use sticky sessions '
+      + '(e.g. nginx ip_hash), or set SOCKET_TRANSPORTS=websocket on servers and clients'
+    );
+  }
+};
+
+module.exports = {
+  INSTANCE_ID,
+  socketTransports,
+  attachClusterAdapter,
+  logClusterSetup,
+};
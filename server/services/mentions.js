@@ -0,0 +1,251 @@
+// mentions.js - @mentions: parsing, the mention inbox and targeted mention notifications
+
+const Mention = require('../models/Mention');
+const Room = require('../models/Room');
+const ReadCursor = require('../models/ReadCursor');
+const User = require('../models/User');
+const { userRoom } = require('../utils/rooms');
+const { encodeCursor, decodeCursor, olderThan } = require('../utils/cursor');
+const { accessibleRoomIds } = require('./rooms');
+const { roomScope } = require('./readCursors');
+const { usersToAlert } = require('./notifications');
+const { pushIfOffline, mentionPush } = require('./push');
+
+// Group mentions: @room reaches everyone in the room, @here those viewing it right now.
+// They take precedence over users who happen to be called "room" or "here".
+const GROUP_MENTIONS = ['room', 'here'];
+
+// Usernames looked up per message; anything past this is left as plain text
+const MAX_MENTIONS = 20;
+
+// "@name" not preceded by a word character, "@" or "." (so emails don't count)
+const MENTION_PATTERN = /(?<![\w@.])@([\w.-]+)/g;
+
+// Names mentioned in a text, in order and without repeats. A trailing "." or "-"
+// usually ends the sentence rather than the name, so both readings are kept and
+// whichever names a real user wins.
+const parseMentions = (text) => {
+  const names = [];
+  const groups = new Set();
+
+  for (const [, name] of (text || '').matchAll(MENTION_PATTERN)) {
+    const trimmed = name.replace(/[.-]+$/, '');
+    if (GROUP_MENTIONS.includes(trimmed.toLowerCase())) {
+      groups.add(trimmed.toLowerCase());
+    } else if (names.length < MAX_MENTIONS && !names.some((candidates) => candidates[0] === name)) {
+      names.push(trimmed && trimmed !== name ? [name, trimmed] : [name]);
+    }
+  }
+
+  return { names, groups: [...groups] };
+};
+
+// The Message fields for a room message's mentions: `mentions` lists users who can
+// read the room (never the sender), `groupMentions` any @room or @here
+const resolveMentions = async (text, room, senderId) => {
+  const { names, groups } = parseMentions(text);
+  if (names.length === 0) {
+    return { mentions: [], groupMentions: groups };
+  }
+
+  const users = await User.find({ username: { $in: names.flat() } }).select('username');
+  const byName = new Map(users.map((user) => [user.username, user]));
+
+  const mentions = [];
+  names.forEach((candidates) => {
+    const user = candidates.map((name) => byName.get(name)).find(Boolean);
+    if (!user || user._id.toString() === senderId.toString()) return;
+    if (!room.isAccessibleBy(user._id) || mentions.some((m) => m.user.equals(user._id))) return;
+
+    mentions.push({ user: user._id, username: user.username });
+  });
+
+  return { mentions, groupMentions: groups };
+};
+
+// Everyone a room message mentions, as userId -> kind. Named users come first, then
+// @room (the members of a private room, everyone who has joined a public one), then
+// @here (users viewing the room). The sender and users banned from the room are left out.
+const mentionedUsers = async (message, room) => {
+  const kinds = new Map();
+  const add = (userId, kind) => {
+    const id = userId.toString();
+    if (!kinds.has(id)) kinds.set(id, kind);
+  };
+
+  message.mentions.forEach(({ user }) => add(user, 'user'));
+
+  if (message.groupMentions.includes('room')) {
+    if (room.isPrivate) {
+      room.members.forEach((member) => add(member.user, 'room'));
+    } else {
+      const cursors = await ReadCursor.find({ scope: roomScope(room.roomId) }).select('user');
+      cursors.forEach((cursor) => add(cursor.user, 'room'));
+    }
+  }
+
+  if (message.groupMentions.includes('here')) {
+    const viewers = await User.find({ currentRoom: room.roomId, isOnline: true }).select('_id');
+    viewers.forEach((viewer) => add(viewer._id, 'here'));
+  }
+
+  kinds.delete(message.senderId.toString());
+  [...kinds.keys()]
+    .filter((id) => room.activeSanction('bans', id) || !room.isAccessibleBy(id))
+    .forEach((id) => kinds.delete(id));
+
+  return kinds;
+};
+
+// Unread mentions in the rooms a user can still read
+const unreadMentionCount = async (userId) => Mention.countDocuments({
+  user: userId,
+  read: false,
+  room: { $in: await accessibleRoomIds(userId) },
+});
+
+// Push a user's unread mention count to all their connections
+const emitUnreadMentions = async (io, userId) => {
+  io.to(userRoom(userId)).emit('mentions_unread', { count: await unreadMentionCount(userId) });
+};
+
+// Add a room message's mentions to the inboxes of the users it mentions and send them
+// a high-priority `mention` notification, wherever they are; it is `silent` for users
+// whose notification preferences hold it back. Users with no open connection get a push
+// notification instead, if their preferences allow. Users already in the
+// message's inbox entries (e.g. when an edit adds a name) aren't notified again.
+// `room` saves a lookup when the caller has it. Resolves to the ids of the users notified.
+const deliverMentions = async (io, message, room = null) => {
+  if (message.isPrivate || (!message.mentions.length && !message.groupMentions.length)) {
+    return [];
+  }
+
+  const messageRoom = room || await Room.findOne({ roomId: message.room });
+  if (!messageRoom) return [];
+
+  const kinds = await mentionedUsers(message, messageRoom);
+  if (kinds.size === 0) return [];
+
+  const userIds = [...kinds.keys()];
+  const result = await Mention.bulkWrite(userIds.map((userId) => ({
+    updateOne: {
+      filter: { user: userId, message: message._id },
+      update: {
+        $setOnInsert: {
+          room: message.room,
+          parentId: message.parentId,
+          sender: message.sender,
+          kind: kinds.get(userId),
+          timestamp: message.timestamp,
+        },
+      },
+      upsert: true,
+    },
+  })), { ordered: false });
+
+  // Only the entries this call created are new mentions. Each user gets theirs in the
+  // shape of an inbox entry.
+  const created = Object.entries(result.upsertedIds || {})
+    .map(([index, mentionId]) => ({ userId: userIds[index], mentionId }));
+  const alerted = new Set(await usersToAlert(
+    created.map(({ userId }) => userId),
+    { roomId: message.room },
+    { mentioned: true }
+  ));
+
+  await Promise.all(created.map(async ({ userId, mentionId }) => {
+    io.to(userRoom(userId)).emit('mention', {
+      _id: mentionId,
+      kind: kinds.get(userId),
+      priority: 'high',
+      silent: !alerted.has(userId),
+      read: false,
+      room: message.room,
+      parentId: message.parentId,
+      sender: message.sender,
+      timestamp: message.timestamp,
+      message,
+    });
+    await emitUnreadMentions(io, userId);
+
+    // In the background: push services can be slow, and failures are only logged
+    if (alerted.has(userId)) {
+      pushIfOffline(userId, mentionPush(message, kinds.get(userId)));
+    }
+  }));
+
+  return created.map(({ userId }) => userId);
+};
+
+// Remove a deleted message from every inbox, updating the counts of those who
+// hadn't read it yet
+const forgetMentions = async (io, message) => {
+  const unread = await Mention.find({ message: message._id, read: false }).select('user');
+  await Mention.deleteMany({ message: message._id });
+
+  await Promise.all(unread.map((mention) => emitUnreadMentions(io, mention.user)));
+};
+
+// Clear a deleted room out of every inbox, updating the counts of those with
+// unread mentions there
+const forgetRoomMentions = async (io, roomId) => {
+  const unread = await Mention.distinct('user', { room: roomId, read: false });
+  await Mention.deleteMany({ room: roomId });
+
+  await Promise.all(unread.map((userId) => emitUnreadMentions(io, userId)));
+};
+
+// A page of a user's mentions inbox, newest first, with the mentioning messages.
+// `cursor` continues from an earlier page.
+const listMentions = async ({ userId, unreadOnly = false, cursor, limit = 20 }) => {
+  const filter = {
+    user: userId,
+    room: { $in: await accessibleRoomIds(userId) },
+    ...(unreadOnly && { read: false }),
+    ...(cursor && olderThan(decodeCursor(cursor))),
+  };
+
+  const mentions = await Mention.find(filter)
+    .sort({ timestamp: -1, _id: -1 })
+    .limit(limit + 1)
+    .populate('message');
+
+  const page = mentions.slice(0, limit);
+  const hasMore = mentions.length > limit;
+
+  return {
+    mentions: page,
+    unreadCount: await unreadMentionCount(userId),
+    hasMore,
+    nextCursor: hasMore ? encodeCursor(page[page.length - 1]) : null,
+  };
+};
+
+// Mark mentions as read: the given `ids`, the room timeline of `roomId` up to
+// `readAt` (thread replies are read in their thread), or with neither, all of them.
+// Resolves to the user's new unread count.
+const markMentionsRead = async ({ userId, ids, roomId, readAt }) => {
+  const filter = { user: userId, read: false };
+  if (ids) {
+    filter._id = { $in: ids };
+  } else if (roomId) {
+    filter.room = roomId;
+    filter.parentId = null;
+    if (readAt) filter.timestamp = { $lte: readAt };
+  }
+
+  await Mention.updateMany(filter, { read: true });
+  return unreadMentionCount(userId);
+};
+
+module.exports = {
+  parseMentions,
+  resolveMentions,
+  deliverMentions,
+  forgetMentions,
+  forgetRoomMentions,
+  listMentions,
+  markMentionsRead,
+  unreadMentionCount,
+  emitUnreadMentions,
+};
@@ -0,0 +1,533 @@
+// messages.js - Message operations shared by socket handlers and REST routes
+
+const mongoose = require('mongoose');
+const Message = require('../models/Message');
+const Room = require('../models/Room');
+const Conversation = require('../models/Conversation');
+const User = require('../models/User');
+const { AppError } = require('../utils/errors');
+const {
+  encodeCursor,
+  decodeCursor,
+  olderThan,
+  newerThan,
+} = require('../utils/cursor');
+const { renderMarkdown } = require('../utils/markdown');
+const { signFileToken } = require('../middleware/auth');
+const { userRoom } = require('../utils/rooms');
+const { findAccessibleRoom } = require('./rooms');
+const {
+  canModerateRoom,
+  requireReason,
+  logAction,
+  assertNotBanned,
+  assertNotArchived,
+  assertCanPost,
+} = require('./moderation');
+const { assertSlowMode } = require('./rateLimit');
+const { resolveMentions } = require('./mentions');
+const { recordNewMessage } = require('./readCursors');
+const { usersToAlert } = require('./notifications');
+const { dispatchMessage } = require('./webhookDeliveries');
+
+const MODERATOR_ROLES = ['moderator', 'admin'];
+
+// Most messages replayed per room to a client catching up after a reconnect
+const CATCH_UP_LIMIT = parseInt(process.env.CATCH_UP_LIMIT, 10) || 200;
+
+// Messages loaded on each side of a message being jumped to
+const CONTEXT_LIMIT = 25;
+
+// Timelines are ordered by timestamp, then id, so pages stay put while messages arrive
+const NEWEST_FIRST = { timestamp: -1, _id: -1 };
+const OLDEST_FIRST = { timestamp: 1, _id: 1 };
+
+// Whether a user may see a message: a message in a room they can access, or a DM they take part in
+const canSeeMessage = async (message, userId) => {
+  if (message.isPrivate) {
+    return [message.senderId.toString(), message.recipient?.toString()].includes(userId.toString());
+  }
+
+  const room = await Room.findOne({ roomId: message.room });
+  return Boolean(room?.isAccessibleBy(userId));
+};
+
+// Signed download and thumbnail links to a shared file for one user, as paths on this
+// server
+const fileUrls = ({ fileId, hasThumbnail }, userId) => {
+  const token = signFileToken(fileId, userId);
+  const base = `/api/files/${fileId}`;
+
+  return {
+    url: `${base}/download?token=${token}`,
+    thumbnailUrl: hasThumbnail ? `${base}/thumbnail?token=${token}` : null,
+  };
+};
+
+// Messages as one user loads them: file messages carry their links (`fileUrls`), so
+// showing a page of history takes no request per file
+const withFileUrls = (messages, userId) => messages.map((message) => (
+  message.isFile && message.fileId
+    ? { ...message.toJSON(), fileUrls: fileUrls(message, userId) }
+    : message
+));
+
+// A message the sender already stored under this client id, if any
+const findByClientId = async (senderId, clientId) =>
+  (clientId ? Message.findOne({ senderId, clientId }) : null);
+
+// Create a message with its text rendered, or return the one already stored under its
+// client id when the same send arrives twice at once. `created` is false for such a
+// resend, which callers must not broadcast again.
+const createMessage = async (fields) => {
+  try {
+    const html = renderMarkdown(fields.message, {
+      mentions: fields.mentions,
+      groupMentions: fields.groupMentions,
+    });
+    return { message: await Message.create({ ...fields, html }), created: true };
+  } catch (error) {
+    if (error.code === 11000 && fields.clientId) {
+      const message = await findByClientId(fields.senderId, fields.clientId);
+      if (message) return { message, created: false };
+    }
+    throw error;
+  }
+};
+
+// Push each user's new unread count for the room a message was posted in
+const emitRoomUnreadCounts = (io, message, cursors) => {
+  cursors.forEach((cursor) => {
+    io.to(userRoom(cursor.user)).emit('unread_count_update', {
+      roomId: message.room,
+      count: cursor.unreadCount,
+    });
+  });
+};
+
+// Deliver a new room message to the room, bump unread counts and notify the room's users
+// whose notification preferences allow it. Users in `mentioned` already got a mention
+// notification and don't get another. The room's outgoing webhooks are called too.
+const broadcastRoomMessage = async (io, message, notificationText, mentioned = []) => {
+  io.to(message.room).emit('receive_message', message);
+
+  await Room.findOneAndUpdate(
+    { roomId: message.room },
+    { $inc: { messageCount: 1 } }
+  );
+
+  emitRoomUnreadCounts(io, message, await recordNewMessage(message));
+
+  const roomUsers = await User.find({
+    currentRoom: message.room,
+    isOnline: true,
+    _id: { $nin: [message.senderId, ...mentioned] },
+  });
+  const alerted = await usersToAlert(roomUsers.map((user) => user._id), { roomId: message.room });
+  alerted.forEach((alertedId) => {
+    io.to(userRoom(alertedId)).emit('new_message_notification', {
+      message: notificationText,
+      sender: message.sender,
+      roomId: message.room,
+      isFile: message.isFile,
+    });
+  });
+
+  // Receivers can be slow; the send doesn't wait for them
+  dispatchMessage(message);
+};
+
+// Load a message that hasn't been deleted
+const findLiveMessage = async (messageId) => {
+  if (!mongoose.isValidObjectId(messageId)) {
+    throw new AppError(400, 'INVALID_MESSAGE_ID', 'Invalid message id');
+  }
+
+  const message = await Message.findById(messageId);
+  if (!message) {
+    throw new AppError(404, 'MESSAGE_NOT_FOUND', 'Message not found');
+  }
+
+  if (message.isDeleted) {
+    throw new AppError(410, 'MESSAGE_DELETED', 'Message has been deleted');
+  }
+
+  return message;
+};
+
+// Load a message the given user is allowed to change
+const findModifiableMessage = async (messageId, user) => {
+  const message = await findLiveMessage(messageId);
+
+  const isAuthor = message.senderId.toString() === user.id;
+  if (!isAuthor && !MODERATOR_ROLES.includes(user.role)) {
+    throw new AppError(403, 'FORBIDDEN', 'You can only change your own messages');
+  }
+
+  return message;
+};
+
+// Replace a message's text, keeping the previous text in its edit history. Authors
+// must still have access to the room and not be banned from it; site moderators
+// editing someone else's message give a reason that goes to the moderation log.
+const editMessage = async ({ messageId, user, text, reason }) => {
+  if (typeof text !== 'string' || !text.trim()) {
+    throw new AppError(400, 'INVALID_MESSAGE', 'Message text is required');
+  }
+
+  const message = await findModifiableMessage(messageId, user);
+
+  if (message.isFile) {
+    throw new AppError(400, 'NOT_EDITABLE', 'File messages cannot be edited');
+  }
+
+  const isAuthor = message.senderId.toString() === user.id;
+  const moderationReason = isAuthor ? null : requireReason(reason);
+
+  const room = !message.isPrivate && await findAccessibleRoom(message.room, user.id);
+  if (room) {
+    assertNotArchived(room);
+    if (isAuthor) {
+      assertNotBanned(room, user.id);
+    }
+  }
+
+  if (message.message === text) {
+    return message;
+  }
+
+  const editedAt = new Date();
+  message.edits.push({ message: message.message, editedAt });
+  message.message = text;
+  message.editedAt = editedAt;
+
+  // Mentions follow the new text; callers deliver any that are new
+  if (room) {
+    Object.assign(message, await resolveMentions(text, room, message.senderId));
+  }
+  message.html = renderMarkdown(text, message);
+
+  await message.save();
+
+  if (moderationReason) {
+    await logAction({
+      action: 'edit_message',
+      room: message.isPrivate ? null : message.room,
+      actor: user.id,
+      target: message.senderId,
+      message: message._id,
+      reason: moderationReason,
+    });
+  }
+
+  return message;
+};
+
+// Turn a message into a tombstone: the document stays, its content goes.
+// Room moderators may delete other people's room messages, giving a reason
+// that goes to the moderation log.
+const deleteMessage = async ({ messageId, user, reason }) => {
+  const message = await findLiveMessage(messageId);
+
+  const isAuthor = message.senderId.toString() === user.id;
+  const room = !message.isPrivate && await Room.findOne({ roomId: message.room });
+  const mayModerate = room
+    ? room.isAccessibleBy(user.id) && canModerateRoom(room, user)
+    : MODERATOR_ROLES.includes(user.role);
+
+  // Archived rooms are read-only for authors; moderators can still remove messages
+  if (room && !mayModerate) {
+    assertNotArchived(room);
+  }
+
+  let moderationReason = null;
+  if (!isAuthor) {
+    if (!mayModerate) {
+      throw new AppError(403, 'FORBIDDEN', 'You can only change your own messages');
+    }
+    moderationReason = requireReason(reason);
+  }
+
+  message.message = '';
+  message.html = '';
+  message.edits = [];
+  message.reactions = [];
+  message.mentions = [];
+  message.groupMentions = [];
+  message.fileName = null;
+  message.fileId = null;
+  message.fileType = null;
+  message.fileSize = null;
+  message.hasThumbnail = false;
+  message.isDeleted = true;
+  message.deletedAt = new Date();
+  message.deletedBy = user.id;
+
+  await message.save();
+
+  if (moderationReason) {
+    await logAction({
+      action: 'delete_message',
+      room: message.isPrivate ? null : message.room,
+      actor: user.id,
+      target: message.senderId,
+      message: message._id,
+      reason: moderationReason,
+    });
+  }
+
+  return message;
+};
+
+// Load a top-level room message that can hold a thread, in a room the user can access
+const findThreadParent = async (parentId, userId) => {
+  if (!mongoose.isValidObjectId(parentId)) {
+    throw new AppError(400, 'INVALID_MESSAGE_ID', 'Invalid message id');
+  }
+
+  const parent = await Message.findById(parentId);
+  if (!parent) {
+    throw new AppError(404, 'MESSAGE_NOT_FOUND', 'Message not found');
+  }
+
+  if (parent.parentId || parent.isPrivate) {
+    throw new AppError(400, 'NOT_THREADABLE', 'Replies can only be added to room messages');
+  }
+
+  const room = await findAccessibleRoom(parent.room, userId);
+
+  return { parent, room };
+};
+
+// Render composer text as it would be stored: in a room, with its mentions, or in a DM
+// without `roomId`
+const previewMessage = async ({ text, roomId, userId }) => {
+  if (!roomId) return renderMarkdown(text);
+
+  const room = await findAccessibleRoom(roomId, userId);
+  return renderMarkdown(text, await resolveMentions(text, room, userId));
+};
+
+// Post a reply in a message's thread and update the parent's thread bookkeeping
+const postReply = async ({ parentId, user, text, clientId }) => {
+  const { parent, room } = await findThreadParent(parentId, user.id);
+
+  // A resent reply is answered with the stored one, without posting it again
+  const sent = await findByClientId(user.id, clientId);
+  if (sent) {
+    return { reply: sent, parent, created: false };
+  }
+
+  assertCanPost(room, user.id);
+  await assertSlowMode(room, user);
+
+  const { message: reply, created } = await createMessage({
+    sender: user.username,
+    senderId: user.id,
+    message: text,
+    room: parent.room,
+    parentId: parent._id,
+    ...await resolveMentions(text, room, user.id),
+    clientId,
+    delivered: true,
+    timestamp: new Date(),
+  });
+  if (!created) {
+    return { reply, parent, created };
+  }
+
+  const updatedParent = await Message.findByIdAndUpdate(
+    parent._id,
+    {
+      $inc: { replyCount: 1 },
+      $set: { lastReplyAt: reply.timestamp },
+      $addToSet: { threadParticipants: { $each: [parent.senderId, reply.senderId] } },
+    },
+    { new: true }
+  );
+
+  return { reply, parent: updatedParent, room, created };
+};
+
+// Room messages posted after `afterMessageId`, oldest first, for a client catching up
+// after a reconnect. `hasMore` means there were more than `limit` and the oldest of
+// them were left out.
+const loadMissedMessages = async ({ roomId, userId, afterMessageId, limit = CATCH_UP_LIMIT }) => {
+  const room = await findAccessibleRoom(roomId, userId);
+
+  const lastSeen = await Message.findOne({ _id: afterMessageId, room: room.roomId });
+  if (!lastSeen) {
+    return { roomId: room.roomId, messages: [], hasMore: false };
+  }
+
+  // Messages stamped in the same millisecond as the last seen one are included;
+  // the client drops any it already has
+  const messages = await Message.find({
+    room: room.roomId,
+    isPrivate: false,
+    parentId: null,
+    timestamp: { $gte: lastSeen.timestamp },
+    _id: { $ne: lastSeen._id },
+  })
+    .sort({ timestamp: -1 })
+    .limit(limit + 1);
+
+  return {
+    roomId: room.roomId,
+    messages: withFileUrls(messages.slice(0, limit).reverse(), userId),
+    hasMore: messages.length > limit,
+  };
+};
+
+// One page of a timeline (the messages matching `scope`), oldest first, as `userId`
+// loads it. With no cursor it is the newest `limit` messages; `before` and `after` are
+// cursors from an earlier page, and `around` is a message to centre on with `limit` on
+// each side. `beforeCursor` and `afterCursor` continue the page in either direction.
+const loadTimelinePage = async (scope, { userId, before, after, around, limit = 50 }) => {
+  const older = (position, count) => Message.find({ ...scope, ...olderThan(position) })
+    .sort(NEWEST_FIRST)
+    .limit(count + 1);
+  const newer = (position, count) => Message.find({ ...scope, ...newerThan(position) })
+    .sort(OLDEST_FIRST)
+    .limit(count + 1);
+
+  let messages;
+  let hasMoreBefore;
+  let hasMoreAfter;
+
+  if (around) {
+    const [previous, next] = await Promise.all([older(around, limit), newer(around, limit)]);
+    messages = [...previous.slice(0, limit).reverse(), around, ...next.slice(0, limit)];
+    hasMoreBefore = previous.length > limit;
+    hasMoreAfter = next.length > limit;
+  } else if (after) {
+    const next = await newer(decodeCursor(after), limit);
+    messages = next.slice(0, limit);
+    hasMoreBefore = true;
+    hasMoreAfter = next.length > limit;
+  } else {
+    const previous = before
+      ? await older(decodeCursor(before), limit)
+      : await Message.find(scope).sort(NEWEST_FIRST).limit(limit + 1);
+    messages = previous.slice(0, limit).reverse();
+    hasMoreBefore = previous.length > limit;
+    hasMoreAfter = Boolean(before);
+  }
+
+  // An empty page hands back the cursor it was asked for, to try again later
+  const fallback = before || after || null;
+
+  return {
+    messages: withFileUrls(messages, userId),
+    hasMoreBefore,
+    hasMoreAfter,
+    beforeCursor: messages.length ? encodeCursor(messages[0]) : fallback,
+    afterCursor: messages.length ? encodeCursor(messages[messages.length - 1]) : fallback,
+  };
+};
+
+// Top-level messages of a room, excluding DMs (which carry a room too) and thread replies
+const roomTimeline = (roomId) => ({ room: roomId, isPrivate: false, parentId: null });
+
+// A page of a room's history; `around` is the id of a message in the room to centre on
+const loadRoomHistory = async ({ roomId, userId, before, after, around, limit }) => {
+  const room = await findAccessibleRoom(roomId, userId);
+  const scope = roomTimeline(room.roomId);
+
+  let anchor;
+  if (around) {
+    anchor = await Message.findOne({ ...scope, _id: around });
+    if (!anchor) {
+      throw new AppError(404, 'MESSAGE_NOT_FOUND', 'Message not found');
+    }
+  }
+
+  return {
+    roomId: room.roomId,
+    ...await loadTimelinePage(scope, { userId, before, after, around: anchor, limit }),
+  };
+};
+
+// A page of the DM conversation between two users; empty if they have never talked
+const loadConversationHistory = async ({ userId, otherUserId, before, after, limit }) => {
+  const conversation = await Conversation.findOne({
+    participants: { $all: [userId, otherUserId] },
+  });
+
+  if (!conversation) {
+    return {
+      userId: otherUserId,
+      messages: [],
+      hasMoreBefore: false,
+      hasMoreAfter: false,
+      beforeCursor: null,
+      afterCursor: null,
+    };
+  }
+
+  return {
+    userId: otherUserId,
+    ...await loadTimelinePage({ conversation: conversation._id }, { userId, before, after, limit }),
+  };
+};
+
+// The room timeline or DM conversation around one message, for jumping to it from a
+// search result. A thread reply is shown around its parent, with `threadId` naming the
+// thread to open. `userId` in the result is the other participant of a DM.
+const loadMessageContext = async ({ messageId, userId, limit = CONTEXT_LIMIT }) => {
+  const message = await findLiveMessage(messageId);
+  if (!(await canSeeMessage(message, userId))) {
+    throw new AppError(404, 'MESSAGE_NOT_FOUND', 'Message not found');
+  }
+
+  const anchor = message.parentId ? await Message.findById(message.parentId) : message;
+  const scope = anchor.isPrivate
+    ? { conversation: anchor.conversation }
+    : roomTimeline(anchor.room);
+
+  const partnerId = anchor.senderId.toString() === userId.toString()
+    ? anchor.recipient
+    : anchor.senderId;
+
+  return {
+    messageId: message._id,
+    threadId: message.parentId,
+    roomId: anchor.isPrivate ? null : anchor.room,
+    userId: anchor.isPrivate ? partnerId : null,
+    ...await loadTimelinePage(scope, { userId, around: anchor, limit }),
+  };
+};
+
+// A page of a thread's replies, oldest first, paged like a timeline: the newest
+// `limit` replies, or those next to a `before` or `after` cursor
+const loadThread = async ({ messageId, userId, before, after, limit }) => {
+  const { parent } = await findThreadParent(messageId, userId);
+  const { messages, ...page } = await loadTimelinePage(
+    { parentId: parent._id },
+    { userId, before, after, limit }
+  );
+
+  return {
+    parent,
+    replies: messages,
+    ...page,
+  };
+};
+
+module.exports = {
+  editMessage,
+  deleteMessage,
+  postReply,
+  loadThread,
+  loadMissedMessages,
+  loadMessageContext,
+  loadRoomHistory,
+  loadConversationHistory,
+  findByClientId,
+  createMessage,
+  broadcastRoomMessage,
+  previewMessage,
+  canSeeMessage,
+  findLiveMessage,
+  fileUrls,
+};
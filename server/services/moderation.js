@@ -0,0 +1,264 @@
+// moderation.js - Kicks, mutes, bans and the moderation audit log
+
+const mongoose = require('mongoose');
+const Room = require('../models/Room');
+const User = require('../models/User');
+const ModerationLog = require('../models/ModerationLog');
+const { AppError } = require('../utils/errors');
+const { findAccessibleRoom } = require('./rooms');
+
+const STAFF_ROLES = ['moderator', 'admin'];
+const ROOM_MANAGER_ROLES = ['owner', 'admin'];
+const MAX_REASON_LENGTH = 500;
+const MAX_SLOW_MODE_SECONDS = 6 * 60 * 60;
+
+// Site moderators and admins moderate every room; owners and admins their own
+const canModerateRoom = (room, user) =>
+  STAFF_ROLES.includes(user.role)
+  || ROOM_MANAGER_ROLES.includes(room.memberOf(user.id)?.role);
+
+const requireReason = (reason) => {
+  if (typeof reason !== 'string' || !reason.trim()) {
+    throw new AppError(400, 'REASON_REQUIRED', 'A reason is required');
+  }
+  return reason.trim().slice(0, MAX_REASON_LENGTH);
+};
+
+// Optional duration in minutes; anything else means "until lifted"
+const expiryFrom = (durationMinutes) => {
+  if (durationMinutes === undefined || durationMinutes === null) return null;
+
+  const minutes = Number(durationMinutes);
+  if (!Number.isFinite(minutes) || minutes <= 0) {
+    throw new AppError(400, 'INVALID_DURATION', 'Duration must be a positive number of minutes');
+  }
+  return new Date(Date.now() + minutes * 60 * 1000);
+};
+
+// Load a room the actor moderates and the user they want to act on
+const loadModerationTarget = async ({ roomId, actor, targetId }) => {
+  const room = await findAccessibleRoom(roomId, actor.id);
+
+  if (!canModerateRoom(room, actor)) {
+    throw new AppError(403, 'FORBIDDEN', 'Only moderators can do that');
+  }
+
+  if (!mongoose.isValidObjectId(targetId)) {
+    throw new AppError(400, 'INVALID_USER_ID', 'Invalid user id');
+  }
+
+  if (targetId.toString() === actor.id) {
+    throw new AppError(400, 'INVALID_TARGET', "You can't moderate yourself");
+  }
+
+  const target = await User.findById(targetId);
+  if (!target) {
+    throw new AppError(404, 'USER_NOT_FOUND', 'User not found');
+  }
+
+  // Owners and site staff are out of reach of room moderators; room admins
+  // are out of reach of each other
+  const targetRole = room.memberOf(target._id)?.role;
+  const actorIsStaff = STAFF_ROLES.includes(actor.role);
+  if (
+    targetRole === 'owner'
+    || (STAFF_ROLES.includes(target.role) && actor.role !== 'admin')
+    || (targetRole === 'admin' && !actorIsStaff && room.memberOf(actor.id)?.role !== 'owner')
+  ) {
+    throw new AppError(403, 'FORBIDDEN', "You can't moderate this user");
+  }
+
+  return { room, target };
+};
+
+const logAction = (entry) => ModerationLog.create(entry);
+
+// Remove a user from a room. They can come back to a public room; a private
+// room's membership is revoked.
+const kickUser = async ({ roomId, actor, targetId, reason }) => {
+  const text = requireReason(reason);
+  const { room, target } = await loadModerationTarget({ roomId, actor, targetId });
+
+  const updatedRoom = await Room.findByIdAndUpdate(
+    room._id,
+    {
+      $pull: { members: { user: target._id } },
+      $unset: { [`users.${target._id}`]: 1 },
+    },
+    { new: true }
+  );
+
+  await logAction({ action: 'kick', room: room.roomId, actor: actor.id, target: target._id, reason: text });
+
+  return { room: updatedRoom, target, reason: text };
+};
+
+// Keep a user from posting in a room, for `durationMinutes` or until unmuted
+const muteUser = async ({ roomId, actor, targetId, reason, durationMinutes }) => {
+  const text = requireReason(reason);
+  const expiresAt = expiryFrom(durationMinutes);
+  const { room, target } = await loadModerationTarget({ roomId, actor, targetId });
+
+  // Replace any earlier mute
+  await Room.findByIdAndUpdate(room._id, { $pull: { mutes: { user: target._id } } });
+  const updatedRoom = await Room.findByIdAndUpdate(
+    room._id,
+    { $push: { mutes: { user: target._id, reason: text, by: actor.id, expiresAt } } },
+    { new: true }
+  );
+
+  await logAction({ action: 'mute', room: room.roomId, actor: actor.id, target: target._id, reason: text, expiresAt });
+
+  return { room: updatedRoom, target, reason: text, expiresAt };
+};
+
+// Remove a user from a room and keep them out, for `durationMinutes` or until unbanned
+const banUser = async ({ roomId, actor, targetId, reason, durationMinutes }) => {
+  const text = requireReason(reason);
+  const expiresAt = expiryFrom(durationMinutes);
+  const { room, target } = await loadModerationTarget({ roomId, actor, targetId });
+
+  await Room.findByIdAndUpdate(room._id, { $pull: { bans: { user: target._id } } });
+  const updatedRoom = await Room.findByIdAndUpdate(
+    room._id,
+    {
+      $push: { bans: { user: target._id, reason: text, by: actor.id, expiresAt } },
+      $pull: { members: { user: target._id }, invites: { user: target._id } },
+      $unset: { [`users.${target._id}`]: 1 },
+    },
+    { new: true }
+  );
+
+  await logAction({ action: 'ban', room: room.roomId, actor: actor.id, target: target._id, reason: text, expiresAt });
+
+  return { room: updatedRoom, target, reason: text, expiresAt };
+};
+
+// Lift a mute or ban early (`action` is "unmute" or "unban")
+const liftSanction = async ({ action, roomId, actor, targetId, reason }) => {
+  const text = requireReason(reason);
+  const list = action === 'unban' ? 'bans' : 'mutes';
+  const { room, target } = await loadModerationTarget({ roomId, actor, targetId });
+
+  if (!room.activeSanction(list, target._id)) {
+    throw new AppError(404, 'NOT_SANCTIONED', `User is not ${action === 'unban' ? 'banned' : 'muted'}`);
+  }
+
+  const updatedRoom = await Room.findByIdAndUpdate(
+    room._id,
+    { $pull: { [list]: { user: target._id } } },
+    { new: true }
+  );
+
+  await logAction({ action, room: room.roomId, actor: actor.id, target: target._id, reason: text });
+
+  return { room: updatedRoom, target, reason: text };
+};
+
+const unmuteUser = (options) => liftSanction({ ...options, action: 'unmute' });
+const unbanUser = (options) => liftSanction({ ...options, action: 'unban' });
+
+// Refuse entry to a room the user is banned from
+const assertNotBanned = (room, userId) => {
+  const ban = room.activeSanction('bans', userId);
+  if (ban) {
+    throw new AppError(403, 'BANNED', ban.expiresAt
+      ? `You are banned from this room until ${ban.expiresAt.toISOString()}`
+      : 'You are banned from this room');
+  }
+};
+
+// Refuse changes to the messages of an archived room
+const assertNotArchived = (room) => {
+  if (room.archivedAt) {
+    throw new AppError(403, 'ROOM_ARCHIVED', 'This room is archived and read-only');
+  }
+};
+
+// Refuse posts, files and reactions in archived rooms and from banned or muted users
+const assertCanPost = (room, userId) => {
+  assertNotArchived(room);
+  assertNotBanned(room, userId);
+
+  const mute = room.activeSanction('mutes', userId);
+  if (mute) {
+    throw new AppError(403, 'MUTED', mute.expiresAt
+      ? `You are muted in this room until ${mute.expiresAt.toISOString()}`
+      : 'You are muted in this room');
+  }
+};
+
+// Turn a room's slow mode on (seconds between posts per user) or off (0)
+const setSlowMode = async ({ roomId, actor, seconds }) => {
+  const room = await findAccessibleRoom(roomId, actor.id);
+
+  if (!canModerateRoom(room, actor)) {
+    throw new AppError(403, 'FORBIDDEN', 'Only moderators can do that');
+  }
+
+  const value = Number(seconds);
+  if (!Number.isInteger(value) || value < 0 || value > MAX_SLOW_MODE_SECONDS) {
+    throw new AppError(400, 'INVALID_SLOW_MODE', `Slow mode must be 0-${MAX_SLOW_MODE_SECONDS} seconds`);
+  }
+
+  return Room.findByIdAndUpdate(room._id, { slowModeSeconds: value }, { new: true });
+};
+
+// Page through the audit log, newest first. Site staff see every room; room
+// owners and admins only the room they manage.
+const listModerationLog = async ({ user, roomId, targetId, action, before, limit = 50 }) => {
+  const filter = {};
+
+  if (roomId) {
+    const room = await findAccessibleRoom(roomId, user.id);
+    if (!canModerateRoom(room, user)) {
+      throw new AppError(403, 'FORBIDDEN', 'Only moderators can read the moderation log');
+    }
+    filter.room = room.roomId;
+  } else if (!STAFF_ROLES.includes(user.role)) {
+    throw new AppError(403, 'FORBIDDEN', 'Only site moderators can read the whole moderation log');
+  }
+
+  if (targetId) {
+    if (!mongoose.isValidObjectId(targetId)) {
+      throw new AppError(400, 'INVALID_USER_ID', 'Invalid user id');
+    }
+    filter.target = targetId;
+  }
+
+  if (action) {
+    filter.action = action;
+  }
+
+  if (before) {
+    const date = new Date(before);
+    if (Number.isNaN(date.getTime())) {
+      throw new AppError(400, 'INVALID_DATE', '"before" must be a date');
+    }
+    filter.createdAt = { $lt: date };
+  }
+
+  const take = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 100);
+
+  return ModerationLog.find(filter)
+    .sort({ createdAt: -1 })
+    .limit(take)
+    .populate('actor target', 'username');
+};
+
+module.exports = {
+  MAX_SLOW_MODE_SECONDS,
+  canModerateRoom,
+  requireReason,
+  kickUser,
+  muteUser,
+  banUser,
+  unmuteUser,
+  unbanUser,
+  setSlowMode,
+  assertNotBanned,
+  assertNotArchived,
+  assertCanPost,
+  logAction,
+  listModerationLog,
+};
@@ -0,0 +1,114 @@
+// notifications.js - Notification preferences and deciding who gets alerted about a message
+
+const NotificationPreference = require('../models/NotificationPreference');
+
+// What users who never changed their settings get
+const defaultPreferences = (userId) => new NotificationPreference({ user: userId });
+
+const getPreferences = async (userId) =>
+  (await NotificationPreference.findOne({ user: userId })) || defaultPreferences(userId);
+
+// Replace entries of `list` keyed by `key` with `levels` ({ [id]: level }); "all" is the
+// default, so it just drops the entry
+const setLevels = (list, key, levels) => {
+  Object.entries(levels).forEach(([id, level]) => {
+    const index = list.findIndex((entry) => entry[key].toString() === id);
+    if (index !== -1) list.splice(index, 1);
+    if (level !== 'all') list.push({ [key]: id, level });
+  });
+};
+
+// Apply a partial update: `sound`, any `doNotDisturb` fields, and levels for `rooms`
+// (by roomId) and `conversations` (by the other user's id)
+const updatePreferences = async (userId, { sound, doNotDisturb, rooms = {}, conversations = {} }) => {
+  const preferences = await NotificationPreference.findOneAndUpdate(
+    { user: userId },
+    { $setOnInsert: { user: userId } },
+    { upsert: true, new: true }
+  );
+
+  if (sound !== undefined) {
+    preferences.sound = sound;
+  }
+  Object.entries(doNotDisturb || {}).forEach(([field, value]) => {
+    preferences.set(`doNotDisturb.${field}`, value);
+  });
+  setLevels(preferences.rooms, 'roomId', rooms);
+  setLevels(preferences.conversations, 'user', conversations);
+
+  return preferences.save();
+};
+
+// Drop every user's level for a room that was deleted
+const forgetRoomPreferences = (roomId) =>
+  NotificationPreference.updateMany({ 'rooms.roomId': roomId }, { $pull: { rooms: { roomId } } });
+
+// The level for a room (`{ roomId }`) or a DM with a user (`{ userId }`)
+const levelFor = (preferences, { roomId, userId }) => {
+  const entry = roomId
+    ? preferences.rooms.find((room) => room.roomId === roomId)
+    : preferences.conversations.find((conversation) => conversation.user.toString() === userId.toString());
+  return entry?.level || 'all';
+};
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Minutes past midnight on the clock of a time zone
+const minutesIn = (timeZone, date) => {
+  const parts = new Intl.DateTimeFormat('en-GB', {
+    timeZone,
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23',
+  }).formatToParts(date);
+  const value = (type) => Number(parts.find((part) => part.type === type).value);
+  return value('hour') * 60 + value('minute');
+};
+
+// Whether a user's quiet hours are on at `now`
+const inDoNotDisturb = ({ doNotDisturb }, now = new Date()) => {
+  if (!doNotDisturb?.enabled) return false;
+
+  const start = toMinutes(doNotDisturb.start);
+  const end = toMinutes(doNotDisturb.end);
+  if (start === end) return true;
+
+  const current = minutesIn(doNotDisturb.timeZone, now);
+  return start < end
+    ? current >= start && current < end
+    : current >= start || current < end;
+};
+
+// Whether a user should be alerted about a message in `place` (`{ roomId }` or `{ userId }`
+// of a DM partner). Quiet hours hold everything back; "mentions" lets only mentions through.
+const shouldAlert = (preferences, place, { mentioned = false } = {}) => {
+  if (inDoNotDisturb(preferences)) return false;
+
+  const level = levelFor(preferences, place);
+  return level === 'all' || (level === 'mentions' && mentioned);
+};
+
+// The users among `userIds` to alert about a message in `place`
+const usersToAlert = async (userIds, place, options) => {
+  if (userIds.length === 0) return [];
+
+  const stored = await NotificationPreference.find({ user: { $in: userIds } });
+  const byUser = new Map(stored.map((preferences) => [preferences.user.toString(), preferences]));
+
+  return userIds.filter((userId) => shouldAlert(
+    byUser.get(userId.toString()) || defaultPreferences(userId),
+    place,
+    options
+  ));
+};
+
+module.exports = {
+  getPreferences,
+  updatePreferences,
+  forgetRoomPreferences,
+  shouldAlert,
+  usersToAlert,
+};
@@ -0,0 +1,111 @@
+// presence.js - Online status kept consistent across server instances
+
+const User = require('../models/User');
+const Room = require('../models/Room');
+const ServerInstance = require('../models/ServerInstance');
+const { INSTANCE_ID } = require('./cluster');
+const { escapeRegex } = require('../utils/text');
+
+const HEARTBEAT_MS = parseInt(process.env.INSTANCE_HEARTBEAT_MS, 10) || 10 * 1000;
+// An instance that missed this many heartbeats is considered gone
+const STALE_AFTER_MS = HEARTBEAT_MS * 3;
+
+let heartbeatTimer = null;
+
+// Connection ids are prefixed with the instance holding them, so the connections of
+// an instance that stops can be cleared without touching anyone else's
+const connectionId = (socketId) => `${INSTANCE_ID}#${socketId}`;
+
+// Take users whose last connection is gone offline, and out of every room's user list.
+// Returns those users.
+const markDisconnectedOffline = async () => {
+  const users = await User.find({ isOnline: true, socketIds: { $size: 0 } }, 'username');
+  if (users.length === 0) return [];
+
+  const ids = users.map((user) => user._id);
+  await User.updateMany(
+    { _id: { $in: ids }, socketIds: { $size: 0 } },
+    { isOnline: false, lastSeen: new Date() }
+  );
+
+  const unset = {};
+  ids.forEach((id) => {
+    unset[`users.${id}`] = 1;
+  });
+  await Room.updateMany({}, { $unset: unset });
+
+  return users;
+};
+
+// Drop every connection an instance held; returns the users that went offline
+const clearInstanceConnections = async (instanceId) => {
+  const pattern = new RegExp(`^${escapeRegex(instanceId)}#`);
+  await User.updateMany({ socketIds: pattern }, { $pull: { socketIds: pattern } });
+  return markDisconnectedOffline();
+};
+
+// Clear up after instances whose heartbeat stopped. Each dead instance is claimed by
+// exactly one live one. Returns the users that went offline.
+const sweepStaleInstances = async () => {
+  const stale = await ServerInstance.find({
+    heartbeatAt: { $lt: new Date(Date.now() - STALE_AFTER_MS) },
+  });
+
+  const offline = [];
+  for (const instance of stale) {
+    const claimed = await ServerInstance.findOneAndDelete({
+      _id: instance._id,
+      heartbeatAt: instance.heartbeatAt,
+    });
+    if (claimed) {
+      console.log(`🧹 Clearing connections of stopped instance ${instance.instanceId}`);
+      offline.push(...(await clearInstanceConnections(instance.instanceId)));
+    }
+  }
+  return offline;
+};
+
+const heartbeat = () =>
+  ServerInstance.updateOne(
+    { instanceId: INSTANCE_ID },
+    { heartbeatAt: new Date() },
+    { upsert: true }
+  );
+
+// Register this instance and keep its heartbeat going. Connections left by an earlier
+// run under the same id, and ids from before connections named their instance, are
+// cleared first; returns the users this took offline. `onUsersOffline(users)` runs
+// whenever a later sweep takes users offline.
+const startPresence = async ({ onUsersOffline }) => {
+  await User.updateMany({ 'socketIds.0': { $exists: true } }, { $pull: { socketIds: { $not: /#/ } } });
+  const offline = await clearInstanceConnections(INSTANCE_ID);
+  await heartbeat();
+
+  heartbeatTimer = setInterval(async () => {
+    try {
+      await heartbeat();
+      const offline = await sweepStaleInstances();
+      if (offline.length > 0) {
+        onUsersOffline(offline);
+      }
+    } catch (error) {
+      console.error('Error in instance heartbeat:', error.message);
+    }
+  }, HEARTBEAT_MS);
+  heartbeatTimer.unref?.();
+
+  return offline;
+};
+
+// Deregister on shutdown; returns the users that went offline with this instance
+const stopPresence = async () => {
+  clearInterval(heartbeatTimer);
+  await ServerInstance.deleteOne({ instanceId: INSTANCE_ID });
+  return clearInstanceConnections(INSTANCE_ID);
+};
+
+module.exports = {
+  connectionId,
+  startPresence,
+  stopPresence,
+};
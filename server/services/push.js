@@ -0,0 +1,112 @@
+// push.js - Web Push subscriptions and pushing notifications to users who are offline
+
+const PushSubscription = require('../models/PushSubscription');
+const User = require('../models/User');
+const transport = require('../push');
+const { AppError } = require('../utils/errors');
+
+// Push services cap payloads at about 4KB; message previews are cut well below that
+const PREVIEW_LENGTH = 200;
+
+const preview = (text) =>
+  (text.length > PREVIEW_LENGTH ? `${text.slice(0, PREVIEW_LENGTH - 1)}…` : text);
+
+// What clients need to subscribe: whether push is on, and the VAPID key to subscribe with
+const pushConfig = () => ({
+  enabled: Boolean(transport),
+  publicKey: transport?.publicKey || null,
+});
+
+// Store a browser's subscription for a user. A browser has one subscription per
+// endpoint, so subscribing again (or as another user) replaces it.
+const saveSubscription = async ({ userId, subscription, userAgent = '' }) => {
+  if (!transport) {
+    throw new AppError(503, 'PUSH_DISABLED', 'Push notifications are not enabled on this server');
+  }
+  // The server will call this URL, so it must not lead into its own network
+  if (!(await transport.allowsEndpoint(subscription.endpoint))) {
+    throw new AppError(400, 'INVALID_SUBSCRIPTION', 'Unsupported push endpoint');
+  }
+
+  return PushSubscription.findOneAndUpdate(
+    { endpoint: subscription.endpoint },
+    {
+      user: userId,
+      keys: subscription.keys,
+      expirationTime: subscription.expirationTime || null,
+      userAgent: userAgent.slice(0, 255),
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+const removeSubscription = ({ userId, endpoint }) =>
+  PushSubscription.deleteOne({ user: userId, endpoint });
+
+// Push to every subscription of a user. Subscriptions the push service reports as gone
+// are dropped; other failures are logged, never thrown, so a push can't fail a send.
+const pushToUser = async (userId, payload) => {
+  if (!transport) return;
+
+  try {
+    const subscriptions = await PushSubscription.find({ user: userId });
+
+    await Promise.all(subscriptions.map(async (subscription) => {
+      try {
+        await transport.send(subscription.toWebPush(), payload);
+        subscription.lastPushedAt = new Date();
+        await subscription.save();
+      } catch (error) {
+        if ([404, 410].includes(error.statusCode)) {
+          await PushSubscription.deleteOne({ _id: subscription._id });
+        } else {
+          console.error('Error sending push notification:', error.message);
+        }
+      }
+    }));
+  } catch (error) {
+    console.error('Error pushing to user:', error.message);
+  }
+};
+
+// Push only to users with no open connection; the others see the notification live
+const pushIfOffline = async (userId, payload) => {
+  if (!transport) return;
+
+  try {
+    if (await User.exists({ _id: userId, isOnline: true })) return;
+    await pushToUser(userId, payload);
+  } catch (error) {
+    console.error('Error checking push recipient:', error.message);
+  }
+};
+
+// Payload for a mention; `tag` makes a later push about the same message replace it
+const mentionPush = (message, kind) => ({
+  type: 'mention',
+  title: `${message.sender} mentioned ${kind === 'user' ? 'you' : `@${kind}`} in #${message.room}`,
+  body: preview(message.message),
+  tag: `message-${message._id}`,
+  messageId: message._id,
+  roomId: message.room,
+});
+
+// Payload for a direct message; DMs from the same person replace each other
+const directMessagePush = (message) => ({
+  type: 'private_message',
+  title: `Message from ${message.sender}`,
+  body: preview(message.message),
+  tag: `dm-${message.senderId}`,
+  messageId: message._id,
+  senderId: message.senderId,
+});
+
+module.exports = {
+  pushConfig,
+  saveSubscription,
+  removeSubscription,
+  pushToUser,
+  pushIfOffline,
+  mentionPush,
+  directMessagePush,
+};
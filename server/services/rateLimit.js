@@ -0,0 +1,218 @@
+// rateLimit.js - Token-bucket rate limits, repeat-offender tracking and room slow mode
+
+const Message = require('../models/Message');
+const { AppError } = require('../utils/errors');
+const { canModerateRoom, MAX_SLOW_MODE_SECONDS } = require('./moderation');
+
+// Each budget allows a burst of `capacity` calls, refilled at `perSecond` calls per second.
+// Socket events without their own budget share `socket`; REST routes without one share `rest`.
+const DEFAULT_LIMITS = {
+  send_message: { capacity: 10, perSecond: 1 },
+  private_message: { capacity: 10, perSecond: 1 },
+  run_command: { capacity: 5, perSecond: 0.5 },
+  create_room: { capacity: 3, perSecond: 1 / 60 },
+  search_messages: { capacity: 5, perSecond: 0.2 },
+  typing: { capacity: 20, perSecond: 2 },
+  add_reaction: { capacity: 20, perSecond: 2 },
+  remove_reaction: { capacity: 20, perSecond: 2 },
+  upload_chunk: { capacity: 200, perSecond: 50 },
+  socket: { capacity: 30, perSecond: 5 },
+  'rest:auth': { capacity: 5, perSecond: 5 / 60 },
+  'rest:search': { capacity: 5, perSecond: 0.2 },
+  'rest:upload': { capacity: 5, perSecond: 0.1 },
+  'rest:files': { capacity: 100, perSecond: 5 },
+  'rest:hook': { capacity: 10, perSecond: 1 },
+  rest: { capacity: 60, perSecond: 1 },
+};
+
+// RATE_LIMITS overrides individual budgets, e.g. {"send_message":{"capacity":5,"perSecond":0.5}}
+const parseOverrides = () => {
+  if (!process.env.RATE_LIMITS) return {};
+
+  try {
+    return JSON.parse(process.env.RATE_LIMITS);
+  } catch (error) {
+    console.error('Error parsing RATE_LIMITS, using defaults:', error.message);
+    return {};
+  }
+};
+
+// Overrides are merged over the defaults field by field, so one can change just
+// `capacity` or `perSecond`; a budget without defaults starts from `socket` or `rest`.
+// Fields that aren't positive numbers are ignored.
+const mergeLimits = (overrides) => {
+  const limits = { ...DEFAULT_LIMITS };
+
+  Object.entries(overrides).forEach(([name, override]) => {
+    const merged = { ...(DEFAULT_LIMITS[name] || DEFAULT_LIMITS[name.startsWith('rest') ? 'rest' : 'socket']) };
+    ['capacity', 'perSecond'].forEach((field) => {
+      if (override?.[field] === undefined) return;
+
+      const value = Number(override[field]);
+      if (Number.isFinite(value) && value > 0) {
+        merged[field] = value;
+      } else {
+        console.error(`Error in RATE_LIMITS: ${name}.${field} must be a positive number, using ${merged[field]}`);
+      }
+    });
+    limits[name] = merged;
+  });
+
+  return limits;
+};
+
+const LIMITS = mergeLimits(parseOverrides());
+
+// Many users can share an address (offices, mobile carriers), so per-IP budgets are
+// larger when calls are also charged per user. Calls without a user (logins, incoming
+// webhooks) only have the IP budget, which is then the declared one.
+const IP_MULTIPLIER = Number(process.env.RATE_LIMIT_IP_MULTIPLIER) || 5;
+
+// This many rejected calls within the window gets a user disconnected for the penalty period
+const MAX_STRIKES = parseInt(process.env.RATE_LIMIT_MAX_STRIKES, 10) || 20;
+const STRIKE_WINDOW_MS = parseInt(process.env.RATE_LIMIT_STRIKE_WINDOW_MS, 10) || 60 * 1000;
+const PENALTY_MS = parseInt(process.env.RATE_LIMIT_PENALTY_MS, 10) || 60 * 1000;
+
+// Budgets and penalties are kept per server instance: with several instances, each
+// enforces them for the connections and requests it serves.
+// "<limit>|<key>" -> { tokens, updatedAt }
+const buckets = new Map();
+// key -> { count, windowStart }
+const strikes = new Map();
+// key -> penalty end timestamp
+const penalties = new Map();
+// "<roomId>|<userId>" -> timestamp of the user's last post in a slow-mode room
+const lastPosts = new Map();
+
+// Budget name for a socket event
+const limitForEvent = (event) => (LIMITS[event] && !event.startsWith('rest') ? event : 'socket');
+
+// Refill a bucket up to now; `waitMs` is 0 when it has a token, otherwise the ms until it will
+const refill = (limitName, key, scale = 1) => {
+  const limit = LIMITS[limitName];
+  const capacity = limit.capacity * scale;
+  const perSecond = limit.perSecond * scale;
+  const now = Date.now();
+  const bucketKey = `${limitName}|${key}`;
+
+  const bucket = buckets.get(bucketKey) || { tokens: capacity, updatedAt: now };
+  bucket.tokens = Math.min(capacity, bucket.tokens + ((now - bucket.updatedAt) / 1000) * perSecond);
+  bucket.updatedAt = now;
+  buckets.set(bucketKey, bucket);
+
+  return {
+    bucket,
+    waitMs: bucket.tokens < 1 ? Math.ceil(((1 - bucket.tokens) / perSecond) * 1000) : 0,
+  };
+};
+
+// Count a rejected call against a key, penalizing it once it has too many
+const recordStrike = (key) => {
+  const now = Date.now();
+  const entry = strikes.get(key);
+
+  if (!entry || now - entry.windowStart > STRIKE_WINDOW_MS) {
+    strikes.set(key, { count: 1, windowStart: now });
+    return;
+  }
+
+  entry.count += 1;
+  if (entry.count >= MAX_STRIKES) {
+    strikes.delete(key);
+    penalties.set(key, now + PENALTY_MS);
+  }
+};
+
+// Remaining penalty for a key in ms, or 0
+const penaltyFor = (key) => {
+  const until = penalties.get(key);
+  if (!until) return 0;
+
+  const remaining = until - Date.now();
+  if (remaining <= 0) {
+    penalties.delete(key);
+    return 0;
+  }
+  return remaining;
+};
+
+// Charge one call against a budget, per user (when known) and per IP.
+// Throws a 429 AppError carrying `retryAfterMs` when either is exhausted; a rejected
+// call takes nothing from either, so a throttled user doesn't drain their IP's budget.
+const consume = (limitName, { userId, ip }) => {
+  const userKey = userId && `user:${userId}`;
+  const ipKey = ip && `ip:${ip}`;
+
+  const checks = [
+    userKey && refill(limitName, userKey),
+    ipKey && refill(limitName, ipKey, userKey ? IP_MULTIPLIER : 1),
+  ].filter(Boolean);
+  const retryAfterMs = Math.max(0, ...checks.map((check) => check.waitMs));
+
+  if (retryAfterMs > 0) {
+    recordStrike(userKey || ipKey);
+    throw new AppError(429, 'RATE_LIMITED', 'Too many requests, please slow down', {
+      limit: limitName,
+      retryAfterMs,
+    });
+  }
+
+  checks.forEach(({ bucket }) => {
+    bucket.tokens -= 1;
+  });
+};
+
+// Enforce a room's slow mode: one post per `slowModeSeconds` per user.
+// Moderators of the room are exempt. Posts made through other server instances are
+// found in the database; `lastPosts` covers posts still being saved on this one.
+const assertSlowMode = async (room, user) => {
+  if (!room.slowModeSeconds || canModerateRoom(room, user)) return;
+
+  const lastMessage = await Message.findOne({ room: room.roomId, senderId: user.id })
+    .sort({ timestamp: -1 })
+    .select('timestamp');
+
+  const key = `${room.roomId}|${user.id}`;
+  const now = Date.now();
+  const lastPostAt = Math.max(lastPosts.get(key) || 0, lastMessage?.timestamp.getTime() || 0);
+  const elapsed = now - lastPostAt;
+  const intervalMs = room.slowModeSeconds * 1000;
+
+  if (elapsed < intervalMs) {
+    throw new AppError(429, 'SLOW_MODE', `Slow mode is on: you can post once every ${room.slowModeSeconds}s`, {
+      retryAfterMs: intervalMs - elapsed,
+    });
+  }
+
+  lastPosts.set(key, now);
+};
+
+// Forget idle state so the maps don't grow without bound
+const sweep = () => {
+  const now = Date.now();
+
+  buckets.forEach((bucket, bucketKey) => {
+    const limit = LIMITS[bucketKey.slice(0, bucketKey.indexOf('|'))];
+    if (now - bucket.updatedAt > (limit.capacity / limit.perSecond) * 1000) {
+      buckets.delete(bucketKey);
+    }
+  });
+  strikes.forEach((entry, key) => {
+    if (now - entry.windowStart > STRIKE_WINDOW_MS) strikes.delete(key);
+  });
+  penalties.forEach((until, key) => {
+    if (until <= now) penalties.delete(key);
+  });
+  lastPosts.forEach((postedAt, key) => {
+    if (now - postedAt > MAX_SLOW_MODE_SECONDS * 1000) lastPosts.delete(key);
+  });
+};
+
+setInterval(sweep, 60 * 1000).unref?.();
+
+module.exports = {
+  limitForEvent,
+  consume,
+  penaltyFor,
+  assertSlowMode,
+};
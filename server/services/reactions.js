@@ -0,0 +1,76 @@
+// reactions.js - Emoji reactions on messages; each user can add several different ones
+
+const Message = require('../models/Message');
+const { AppError } = require('../utils/errors');
+const { canSeeMessage, findLiveMessage } = require('./messages');
+const { findAccessibleRoom } = require('./rooms');
+const { assertCanPost } = require('./moderation');
+
+// Different emoji one user may put on a single message
+const MAX_REACTIONS_PER_USER = 20;
+
+// Load a message the user may react to. Muted and banned users can't change
+// reactions in the room.
+const findReactableMessage = async (messageId, userId) => {
+  const message = await findLiveMessage(messageId);
+  if (!(await canSeeMessage(message, userId))) {
+    throw new AppError(404, 'MESSAGE_NOT_FOUND', 'Message not found');
+  }
+
+  if (!message.isPrivate) {
+    assertCanPost(await findAccessibleRoom(message.room, userId), userId);
+  }
+
+  return message;
+};
+
+// Add an emoji to a message; adding one the user already put there changes nothing.
+// Resolves with the updated message.
+const addReaction = async ({ messageId, user, emoji }) => {
+  const message = await findReactableMessage(messageId, user.id);
+
+  const own = message.reactions.filter((reaction) => reaction.user.toString() === user.id);
+  if (own.some((reaction) => reaction.emoji === emoji)) {
+    return message;
+  }
+  if (own.length >= MAX_REACTIONS_PER_USER) {
+    throw new AppError(
+      400,
+      'TOO_MANY_REACTIONS',
+      `You can add at most ${MAX_REACTIONS_PER_USER} reactions to a message`
+    );
+  }
+
+  // The filter keeps two concurrent adds of the same emoji from both landing
+  const updated = await Message.findOneAndUpdate(
+    { _id: message._id, reactions: { $not: { $elemMatch: { emoji, user: user.id } } } },
+    { $push: { reactions: { emoji, user: user.id, username: user.username } } },
+    { new: true }
+  );
+
+  return updated || Message.findById(message._id);
+};
+
+// Take one of the user's emoji off a message. Resolves with the updated message.
+const removeReaction = async ({ messageId, user, emoji }) => {
+  const message = await findReactableMessage(messageId, user.id);
+
+  return Message.findByIdAndUpdate(
+    message._id,
+    { $pull: { reactions: { emoji, user: user.id } } },
+    { new: true }
+  );
+};
+
+// What clients are sent after a message's reactions change
+const reactionUpdate = (message) => ({
+  messageId: message._id,
+  reactions: message.toJSON().reactions,
+});
+
+module.exports = {
+  addReaction,
+  removeReaction,
+  reactionUpdate,
+  MAX_REACTIONS_PER_USER,
+};
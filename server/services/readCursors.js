@@ -0,0 +1,105 @@
+// readCursors.js - Per-user read positions and the unread counts derived from them
+
+const Message = require('../models/Message');
+const ReadCursor = require('../models/ReadCursor');
+
+const roomScope = (roomId) => `room:${roomId}`;
+const conversationScope = (conversationId) => `dm:${conversationId}`;
+
+const scopeForMessage = (message) =>
+  message.isPrivate ? conversationScope(message.conversation) : roomScope(message.room);
+
+// Messages that count towards a scope's unread count (thread replies don't)
+const scopeFilter = (scope) => {
+  const [kind, id] = scope.split(/:(.*)/);
+  return kind === 'dm'
+    ? { conversation: id }
+    : { room: id, isPrivate: false, parentId: null };
+};
+
+// Start tracking a scope for a user; history before this moment counts as read
+const trackScope = (userId, scope) =>
+  ReadCursor.updateOne(
+    { user: userId, scope },
+    { $setOnInsert: { lastReadAt: new Date(), unreadCount: 0 } },
+    { upsert: true }
+  );
+
+// Stop tracking a scope for a user, e.g. a room they left
+const untrackScope = (userId, scope) => ReadCursor.deleteOne({ user: userId, scope });
+
+// Stop tracking a scope for everyone, e.g. a deleted room
+const forgetScope = (scope) => ReadCursor.deleteMany({ scope });
+
+// Move a user's cursor forward to `readAt` (never backwards) and recount what's left
+const markRead = async (userId, scope, readAt = new Date()) => {
+  const cursor = await ReadCursor.findOneAndUpdate(
+    { user: userId, scope },
+    { $max: { lastReadAt: readAt } },
+    { upsert: true, new: true }
+  );
+
+  cursor.unreadCount = await Message.countDocuments({
+    ...scopeFilter(scope),
+    timestamp: { $gt: cursor.lastReadAt },
+    senderId: { $ne: userId },
+    isDeleted: false,
+  });
+
+  return cursor.save();
+};
+
+// Count a new message as unread for everyone tracking its scope except the sender.
+// Resolves to the updated cursors so callers can push the new counts.
+const recordNewMessage = async (message) => {
+  const scope = scopeForMessage(message);
+  const filter = { scope, user: { $ne: message.senderId } };
+
+  await ReadCursor.updateMany(filter, { $inc: { unreadCount: 1 } });
+  return ReadCursor.find(filter).select('user unreadCount');
+};
+
+// Unread counts for every room a user tracks, keyed by roomId
+const getRoomUnreadCounts = async (userId) => {
+  const cursors = await ReadCursor.find({ user: userId, scope: /^room:/ });
+
+  return cursors.reduce((counts, cursor) => {
+    counts[cursor.scope.slice('room:'.length)] = cursor.unreadCount;
+    return counts;
+  }, {});
+};
+
+// Unread count of a single scope for a user
+const getUnreadCount = async (userId, scope) => {
+  const cursor = await ReadCursor.findOne({ user: userId, scope });
+  return cursor ? cursor.unreadCount : 0;
+};
+
+// Everyone other than the sender whose cursor has passed a message
+const getReadBy = async (message) => {
+  const cursors = await ReadCursor.find({
+    scope: scopeForMessage(message),
+    lastReadAt: { $gte: message.timestamp },
+    user: { $ne: message.senderId },
+  }).populate('user', 'username');
+
+  return cursors.map((cursor) => ({
+    userId: cursor.user._id,
+    username: cursor.user.username,
+    readAt: cursor.lastReadAt,
+  }));
+};
+
+module.exports = {
+  roomScope,
+  conversationScope,
+  scopeForMessage,
+  trackScope,
+  untrackScope,
+  forgetScope,
+  markRead,
+  recordNewMessage,
+  getRoomUnreadCounts,
+  getUnreadCount,
+  getReadBy,
+};
@@ -0,0 +1,147 @@
+// roomLifecycle.js - Changing a room's name, description and topic, archiving it, and
+// deleting it, with everyone who can see the room told about each change
+
+const Room = require('../models/Room');
+const User = require('../models/User');
+const Message = require('../models/Message');
+const { AppError } = require('../utils/errors');
+const { emitToRoomViewers } = require('../utils/rooms');
+const { findAccessibleRoom, assertRoomNameFree, isDefaultRoom } = require('./rooms');
+const { canModerateRoom } = require('./moderation');
+const { forgetRoomMentions } = require('./mentions');
+const { forgetRoomPreferences } = require('./notifications');
+const { roomScope, forgetScope } = require('./readCursors');
+const { deleteRoomAttachments } = require('./uploads');
+const { deleteRoomWebhooks } = require('./webhooks');
+
+// Load a room whose settings the user may change: its owner and admins, and site staff
+const findConfigurableRoom = async (roomId, user) => {
+  const room = await findAccessibleRoom(roomId, user.id);
+
+  if (!canModerateRoom(room, user)) {
+    throw new AppError(403, 'FORBIDDEN', 'Only room owners, admins and moderators can change a room');
+  }
+
+  return room;
+};
+
+const announce = (io, room, type, message) => {
+  io.to(room.roomId).emit('notification', { type, message, roomId: room.roomId });
+};
+
+// What the room is told about each kind of change
+const changeNotices = {
+  name: (room, by) => ['room_renamed', `${by} renamed the room to ${room.name}`],
+  description: (room, by) => ['room_described', room.description
+    ? `${by} changed the room description`
+    : `${by} cleared the room description`],
+  topic: (room, by) => ['topic_changed', room.topic
+    ? `${by} set the topic: ${room.topic}`
+    : `${by} cleared the topic`],
+};
+
+// Change any of a room's name, description and topic; empty strings clear the last
+// two. The room keeps its id, so links and history stay put.
+const updateRoom = async (io, { roomId, actor, changes }) => {
+  const room = await findConfigurableRoom(roomId, actor);
+
+  const update = {};
+  Object.entries(changes).forEach(([field, value]) => {
+    if (value !== undefined && value.trim() !== room[field]) {
+      update[field] = value.trim();
+    }
+  });
+  if (Object.keys(update).length === 0) {
+    return room;
+  }
+
+  if (update.name) {
+    await assertRoomNameFree(update.name, room._id);
+  }
+
+  const updated = await Room.findByIdAndUpdate(room._id, update, { new: true });
+
+  emitToRoomViewers(io, updated, 'room_updated', updated);
+  Object.keys(update).forEach((field) => {
+    announce(io, updated, ...changeNotices[field](updated, actor.username));
+  });
+
+  return updated;
+};
+
+// Make a room read-only (`archived: true`) or open it again. Everyone keeps reading
+// it; nobody posts, edits or reacts until it is unarchived.
+const setRoomArchived = async (io, { roomId, actor, archived }) => {
+  const room = await findConfigurableRoom(roomId, actor);
+
+  if (archived && room.roomId === 'general') {
+    throw new AppError(400, 'CANNOT_ARCHIVE', "The general room can't be archived");
+  }
+  if (Boolean(room.archivedAt) === archived) {
+    return room;
+  }
+
+  const updated = await Room.findByIdAndUpdate(
+    room._id,
+    archived
+      ? { archivedAt: new Date(), archivedBy: actor.id }
+      : { archivedAt: null, archivedBy: null },
+    { new: true }
+  );
+
+  emitToRoomViewers(io, updated, 'room_updated', updated);
+  announce(io, updated, archived ? 'room_archived' : 'room_unarchived', archived
+    ? `${actor.username} archived the room; it is now read-only`
+    : `${actor.username} unarchived the room`);
+
+  return updated;
+};
+
+// Delete a room (its owner or a site admin). Everyone viewing it is moved out and told
+// with `room_deleted`. Its webhooks, read positions, notification levels and mentions
+// go with it; `keepMessages` keeps its messages and files in the database, out of
+// everyone's reach, instead of deleting them too.
+const deleteRoom = async (io, { roomId, actor, keepMessages = false }) => {
+  const room = await findAccessibleRoom(roomId, actor.id);
+
+  if (room.memberOf(actor.id)?.role !== 'owner' && actor.role !== 'admin') {
+    throw new AppError(403, 'FORBIDDEN', 'Only the room owner or a site admin can delete a room');
+  }
+  if (isDefaultRoom(room.roomId)) {
+    throw new AppError(400, 'CANNOT_DELETE', `The ${room.name} room can't be deleted`);
+  }
+
+  // Tell viewers while the member list still says who they are
+  emitToRoomViewers(io, room, 'room_deleted', { roomId: room.roomId, name: room.name, by: actor.username });
+  io.in(room.roomId).socketsLeave(room.roomId);
+  await User.updateMany({ currentRoom: room.roomId }, { currentRoom: 'general' });
+
+  await deleteRoomWebhooks(room.roomId);
+  await forgetScope(roomScope(room.roomId));
+  await forgetRoomPreferences(room.roomId);
+  await forgetRoomMentions(io, room.roomId);
+
+  if (keepMessages) {
+    await Room.updateOne(
+      { _id: room._id },
+      {
+        deletedAt: new Date(),
+        deletedBy: actor.id,
+        users: {},
+        invites: [],
+      }
+    );
+  } else {
+    await deleteRoomAttachments(room.roomId);
+    await Message.deleteMany({ room: room.roomId, isPrivate: false });
+    await Room.deleteOne({ _id: room._id });
+  }
+
+  return room;
+};
+
+module.exports = {
+  updateRoom,
+  setRoomArchived,
+  deleteRoom,
+};
@@ -0,0 +1,256 @@
+// rooms.js - Room access, membership, invitations and member roles
+
+const mongoose = require('mongoose');
+const Room = require('../models/Room');
+const User = require('../models/User');
+const { AppError } = require('../utils/errors');
+const { escapeRegex } = require('../utils/text');
+
+const MANAGER_ROLES = ['owner', 'admin'];
+
+// Created at startup; everyone can fall back to them, so they can't be deleted
+const DEFAULT_ROOMS = [
+  { roomId: 'general', name: 'General' },
+  { roomId: 'random', name: 'Random' },
+];
+
+const isDefaultRoom = (roomId) => DEFAULT_ROOMS.some((room) => room.roomId === roomId);
+
+// Rooms a user can see: every public room plus the private rooms they belong to
+const visibleRoomsFilter = (userId) => ({
+  deletedAt: null,
+  $or: [{ isPrivate: false }, { 'members.user': userId }],
+});
+
+const listVisibleRooms = (userId) => Room.find(visibleRoomsFilter(userId));
+
+// Room ids are slugs of the name: "Dev Talk!" is "dev-talk". A room keeps its id
+// when renamed.
+const roomIdFor = (name) => name
+  .trim()
+  .toLowerCase()
+  .replace(/\s+/g, '-')
+  .replace(/[^\p{L}\p{N}_-]/gu, '')
+  .replace(/-{2,}/g, '-')
+  .replace(/^-|-$/g, '');
+
+// Check that a name is usable for a room (other than `exceptId`): its slug must not be
+// another room's id, and no other live room may already go by it
+const assertRoomNameFree = async (name, exceptId = null) => {
+  const roomId = roomIdFor(name);
+  if (!roomId) {
+    throw new AppError(400, 'INVALID_ROOM_NAME', 'Room names need at least one letter or digit');
+  }
+
+  const taken = await Room.exists({
+    ...(exceptId && { _id: { $ne: exceptId } }),
+    $or: [
+      { roomId },
+      { name: new RegExp(`^${escapeRegex(name.trim())}$`, 'i'), deletedAt: null },
+    ],
+  });
+  if (taken) {
+    throw new AppError(409, 'ROOM_EXISTS', `A room called "${name.trim()}" already exists`);
+  }
+
+  return roomId;
+};
+
+// The id of the room a user typed, as "#Dev Talk", "Dev Talk" or "dev-talk". Names
+// win over slugs, since renamed rooms keep their old id.
+const resolveRoomId = async (name) => {
+  const typed = name.replace(/^#/, '').trim();
+  const room = await Room.findOne({
+    name: new RegExp(`^${escapeRegex(typed)}$`, 'i'),
+    deletedAt: null,
+  }).select('roomId');
+
+  return room ? room.roomId : roomIdFor(typed);
+};
+
+const isRoomManager = (room, userId) => MANAGER_ROLES.includes(room.memberOf(userId)?.role);
+
+// Ids of every room a user can read
+const accessibleRoomIds = async (userId) => {
+  const rooms = await Room.find(visibleRoomsFilter(userId)).select('roomId');
+  return rooms.map((room) => room.roomId);
+};
+
+// Load a room the user may read and post in. Private rooms the user isn't in
+// look exactly like missing ones, so their existence doesn't leak.
+const findAccessibleRoom = async (roomId, userId) => {
+  const room = typeof roomId === 'string' && await Room.findOne({ roomId });
+
+  if (!room || !room.isAccessibleBy(userId)) {
+    throw new AppError(404, 'ROOM_NOT_FOUND', 'Room not found');
+  }
+
+  return room;
+};
+
+// Load a room the user manages (owner or admin)
+const findManagedRoom = async (roomId, userId) => {
+  const room = await findAccessibleRoom(roomId, userId);
+
+  if (!isRoomManager(room, userId)) {
+    throw new AppError(403, 'FORBIDDEN', 'Only room owners and admins can do that');
+  }
+
+  return room;
+};
+
+// Create a room owned by its creator; the id is a slug of the name
+const createRoom = async ({ name, isPrivate = false, userId }) => {
+  if (typeof name !== 'string' || !name.trim()) {
+    throw new AppError(400, 'INVALID_ROOM_NAME', 'Room name is required');
+  }
+
+  const roomId = await assertRoomNameFree(name);
+
+  try {
+    return await Room.create({
+      roomId,
+      name: name.trim(),
+      isPrivate: Boolean(isPrivate),
+      members: [{ user: userId, role: 'owner' }],
+      createdBy: userId,
+    });
+  } catch (error) {
+    // Someone else took the id in the meantime
+    if (error.code === 11000) {
+      throw new AppError(409, 'ROOM_EXISTS', `A room called "${name.trim()}" already exists`);
+    }
+    throw error;
+  }
+};
+
+// Invite a user into a private room
+const inviteToRoom = async ({ roomId, inviterId, inviteeId }) => {
+  const room = await findManagedRoom(roomId, inviterId);
+
+  if (!room.isPrivate) {
+    throw new AppError(400, 'ROOM_NOT_PRIVATE', 'Public rooms are open to everyone');
+  }
+
+  if (!mongoose.isValidObjectId(inviteeId) || !(await User.exists({ _id: inviteeId }))) {
+    throw new AppError(404, 'USER_NOT_FOUND', 'User not found');
+  }
+
+  if (room.memberOf(inviteeId)) {
+    throw new AppError(409, 'ALREADY_MEMBER', 'User is already a member');
+  }
+
+  if (room.activeSanction('bans', inviteeId)) {
+    throw new AppError(409, 'USER_BANNED', 'User is banned from this room');
+  }
+
+  const updated = await Room.findOneAndUpdate(
+    { _id: room._id, 'invites.user': { $ne: inviteeId } },
+    { $push: { invites: { user: inviteeId, invitedBy: inviterId } } },
+    { new: true }
+  );
+
+  if (!updated) {
+    throw new AppError(409, 'ALREADY_INVITED', 'User has already been invited');
+  }
+
+  return updated;
+};
+
+// Accept or decline a pending invitation
+const respondToInvite = async ({ roomId, userId, accept }) => {
+  const room = await Room.findOne({ roomId, 'invites.user': userId });
+  if (!room) {
+    throw new AppError(404, 'INVITE_NOT_FOUND', 'Invitation not found');
+  }
+
+  const update = { $pull: { invites: { user: userId } } };
+  if (accept) {
+    update.$push = { members: { user: userId, role: 'member' } };
+  }
+
+  return Room.findByIdAndUpdate(room._id, update, { new: true });
+};
+
+// Leave a room. Members of a private room give up their membership, which the owner
+// can't; public rooms stay open to rejoin. Everyone stays in the default room.
+const leaveRoom = async ({ roomId, userId }) => {
+  const room = await findAccessibleRoom(roomId, userId);
+
+  if (room.roomId === 'general') {
+    throw new AppError(400, 'CANNOT_LEAVE', "The general room can't be left");
+  }
+
+  if (!room.isPrivate) {
+    return room;
+  }
+
+  if (room.memberOf(userId)?.role === 'owner') {
+    throw new AppError(400, 'OWNER_CANNOT_LEAVE', "Room owners can't leave their room");
+  }
+
+  return Room.findByIdAndUpdate(room._id, { $pull: { members: { user: userId } } }, { new: true });
+};
+
+// Make a member an admin or back; only the owner can change roles
+const setMemberRole = async ({ roomId, actorId, targetId, role }) => {
+  if (!['admin', 'member'].includes(role)) {
+    throw new AppError(400, 'INVALID_ROLE', 'Role must be "admin" or "member"');
+  }
+
+  const room = await findAccessibleRoom(roomId, actorId);
+  if (room.memberOf(actorId)?.role !== 'owner') {
+    throw new AppError(403, 'FORBIDDEN', 'Only the room owner can change roles');
+  }
+
+  const target = mongoose.isValidObjectId(targetId) && room.memberOf(targetId);
+  if (!target) {
+    throw new AppError(404, 'MEMBER_NOT_FOUND', 'User is not a member of this room');
+  }
+
+  if (target.role === 'owner') {
+    throw new AppError(400, 'INVALID_ROLE', "The owner's role can't be changed");
+  }
+
+  return Room.findOneAndUpdate(
+    { _id: room._id, 'members.user': targetId },
+    { $set: { 'members.$.role': role } },
+    { new: true }
+  );
+};
+
+// Pending invitations for a user, with the room and inviter names
+const listInvites = async (userId) => {
+  const rooms = await Room.find({ 'invites.user': userId })
+    .populate('invites.invitedBy', 'username');
+
+  return rooms.map((room) => {
+    const invite = room.invites.find((entry) => entry.user.toString() === userId.toString());
+    return {
+      roomId: room.roomId,
+      name: room.name,
+      invitedBy: invite.invitedBy?.username || null,
+      createdAt: invite.createdAt,
+    };
+  });
+};
+
+module.exports = {
+  DEFAULT_ROOMS,
+  isDefaultRoom,
+  visibleRoomsFilter,
+  listVisibleRooms,
+  roomIdFor,
+  assertRoomNameFree,
+  resolveRoomId,
+  isRoomManager,
+  accessibleRoomIds,
+  findAccessibleRoom,
+  findManagedRoom,
+  createRoom,
+  inviteToRoom,
+  respondToInvite,
+  leaveRoom,
+  setMemberRole,
+  listInvites,
+};
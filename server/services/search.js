@@ -0,0 +1,125 @@
+// search.js - Full-text message search over the rooms and conversations a user can read
+
+const Message = require('../models/Message');
+const { escapeRegex } = require('../utils/text');
+const { encodeCursor, decodeCursor, olderThan } = require('../utils/cursor');
+const { accessibleRoomIds, findAccessibleRoom } = require('./rooms');
+
+// Characters of context kept before the first match in a snippet; the snippet is
+// three times as long
+const SNIPPET_RADIUS = 60;
+
+// Words and "quoted phrases" of a search, leaving out -negated ones
+const searchTerms = (query) =>
+  [...query.matchAll(/(-?)"([^"]+)"|(-?)(\S+)/g)]
+    .filter((match) => !match[1] && !match[3])
+    .map((match) => (match[2] || match[4]).replace(/"/g, '').trim())
+    .filter(Boolean);
+
+// Pattern finding the search terms at the start of words. Terms are escaped, so user
+// input is never interpreted as a regular expression.
+const highlighter = (query) => {
+  const terms = searchTerms(query).sort((a, b) => b.length - a.length);
+  if (terms.length === 0) return null;
+
+  return new RegExp(`(?<![\\p{L}\\p{N}])(?:${terms.map(escapeRegex).join('|')})`, 'giu');
+};
+
+// A short excerpt around the first match, split into `{ text, match }` segments so
+// clients can highlight matches without rendering HTML from the server
+const buildSnippet = (text, pattern) => {
+  if (!text) return [];
+
+  const firstMatch = pattern ? Math.max(text.search(pattern), 0) : 0;
+  const start = Math.max(firstMatch - SNIPPET_RADIUS, 0);
+  const end = Math.min(start + SNIPPET_RADIUS * 3, text.length);
+  const excerpt = text.slice(start, end);
+
+  const segments = [];
+  let position = 0;
+  if (pattern) {
+    for (const match of excerpt.matchAll(pattern)) {
+      if (match.index > position) {
+        segments.push({ text: excerpt.slice(position, match.index), match: false });
+      }
+      segments.push({ text: match[0], match: true });
+      position = match.index + match[0].length;
+    }
+  }
+  if (position < excerpt.length) {
+    segments.push({ text: excerpt.slice(position), match: false });
+  }
+
+  if (start > 0) segments.unshift({ text: '…', match: false });
+  if (end < text.length) segments.push({ text: '…', match: false });
+
+  return segments;
+};
+
+// Search the text index, newest first. Results cover public rooms the user can read and
+// their own DMs; `roomId` narrows to one room and `scope` to rooms or DMs only. `sender`
+// is a username. Each result carries a highlighted `snippet`, and `nextCursor` fetches
+// the next page.
+const searchMessages = async ({
+  userId,
+  query,
+  roomId,
+  sender,
+  after,
+  before,
+  attachmentsOnly = false,
+  scope = 'all',
+  cursor,
+  limit = 20,
+}) => {
+  const places = [];
+  if (roomId) {
+    const room = await findAccessibleRoom(roomId, userId);
+    places.push({ isPrivate: false, room: room.roomId });
+  } else {
+    if (scope !== 'dms') {
+      places.push({ isPrivate: false, room: { $in: await accessibleRoomIds(userId) } });
+    }
+    if (scope !== 'rooms') {
+      places.push({ isPrivate: true, senderId: userId }, { isPrivate: true, recipient: userId });
+    }
+  }
+
+  const conditions = [{ $or: places }];
+  if (sender) {
+    conditions.push({ sender });
+  }
+  if (after || before) {
+    conditions.push({ timestamp: { ...(after && { $gte: after }), ...(before && { $lt: before }) } });
+  }
+  if (attachmentsOnly) {
+    conditions.push({ isFile: true });
+  }
+  if (cursor) {
+    conditions.push(olderThan(decodeCursor(cursor)));
+  }
+
+  const messages = await Message.find({
+    $text: { $search: query },
+    isDeleted: false,
+    $and: conditions,
+  })
+    .sort({ timestamp: -1, _id: -1 })
+    .limit(limit + 1);
+
+  const page = messages.slice(0, limit);
+  const pattern = highlighter(query);
+  const hasMore = messages.length > limit;
+
+  return {
+    query,
+    messages: page.map((message) => ({
+      ...message.toJSON(),
+      snippet: buildSnippet(message.message || message.fileName, pattern),
+    })),
+    hasMore,
+    nextCursor: hasMore ? encodeCursor(page[page.length - 1]) : null,
+  };
+};
+
+module.exports = { searchMessages };
@@ -0,0 +1,81 @@
+// typing.js - Per-room typing indicators that expire on their own
+
+const TypingStatus = require('../models/TypingStatus');
+
+const TYPING_TIMEOUT_MS = parseInt(process.env.TYPING_TIMEOUT_MS, 10) || 5000;
+
+// Track who is typing in each room. Entries live in MongoDB so every server instance
+// sees the same list. A user's entry is dropped after `timeoutMs` unless it is
+// refreshed, so a crashed client can't leave a stale indicator.
+// `onChange(roomId, usernames)` runs whenever this instance changes a room's list.
+const createTypingTracker = ({ onChange, timeoutMs = TYPING_TIMEOUT_MS }) => {
+  // "<roomId>|<userId>" -> expiry timer of an entry refreshed through this instance
+  const timers = new Map();
+
+  const list = async (roomId) => {
+    const entries = await TypingStatus.find({ room: roomId, expiresAt: { $gt: new Date() } })
+      .sort({ _id: 1 });
+    return entries.map((entry) => entry.username);
+  };
+
+  const clearTimer = (roomId, userId) => {
+    const key = `${roomId}|${userId}`;
+    clearTimeout(timers.get(key));
+    timers.delete(key);
+  };
+
+  // Remove an entry; with `onlyIfExpired`, leave it if it was refreshed in the meantime
+  // (possibly through another instance)
+  const remove = async (roomId, userId, onlyIfExpired = false) => {
+    try {
+      const filter = { room: roomId, user: userId };
+      if (onlyIfExpired) {
+        filter.expiresAt = { $lte: new Date() };
+      }
+
+      const { deletedCount } = await TypingStatus.deleteOne(filter);
+      if (deletedCount > 0) {
+        onChange(roomId, await list(roomId));
+      }
+    } catch (error) {
+      console.error('Error clearing typing status:', error.message);
+    }
+  };
+
+  const stop = async (roomId, userId) => {
+    clearTimer(roomId, userId);
+    await remove(roomId, userId);
+  };
+
+  const start = async (roomId, userId, username) => {
+    // Taken before the timer is set, so the timer never fires ahead of the stored expiry
+    const now = new Date();
+
+    clearTimer(roomId, userId);
+    const timer = setTimeout(() => {
+      timers.delete(`${roomId}|${userId}`);
+      remove(roomId, userId, true);
+    }, timeoutMs);
+    timer.unref?.();
+    timers.set(`${roomId}|${userId}`, timer);
+
+    try {
+      const previous = await TypingStatus.findOneAndUpdate(
+        { room: roomId, user: userId },
+        { username, expiresAt: new Date(now.getTime() + timeoutMs) },
+        { upsert: true }
+      );
+
+      // Refreshing a live entry doesn't change what anyone sees
+      if (!previous || previous.expiresAt <= now) {
+        onChange(roomId, await list(roomId));
+      }
+    } catch (error) {
+      console.error('Error updating typing status:', error.message);
+    }
+  };
+
+  return { start, stop, list };
+};
+
+module.exports = { createTypingTracker };
@@ -0,0 +1,301 @@
+// uploads.js - Upload validation, storage, thumbnails and chunked socket uploads
+
+const crypto = require('crypto');
+const path = require('path');
+const mongoose = require('mongoose');
+const sharp = require('sharp');
+const Attachment = require('../models/Attachment');
+const Message = require('../models/Message');
+const storage = require('../storage');
+const { AppError } = require('../utils/errors');
+const { canSeeMessage } = require('./messages');
+
+const MAX_UPLOAD_BYTES = parseInt(process.env.MAX_UPLOAD_BYTES, 10) || 10 * 1024 * 1024;
+const ALLOWED_MIME_TYPES = (
+  process.env.ALLOWED_MIME_TYPES
+  || 'image/png,image/jpeg,image/gif,image/webp,application/pdf,text/plain,application/zip'
+).split(',').map((type) => type.trim());
+const THUMBNAIL_SIZE = 320;
+const CHUNKED_UPLOAD_TIMEOUT_MS = 5 * 60 * 1000;
+// Unfinished chunked uploads are held in memory, so both how many one user may have
+// open and how many bytes they may announce in total on this instance are capped
+const MAX_CHUNKED_UPLOADS_PER_USER = parseInt(process.env.MAX_CHUNKED_UPLOADS_PER_USER, 10) || 3;
+const MAX_CHUNKED_UPLOAD_BYTES = parseInt(process.env.MAX_CHUNKED_UPLOAD_BYTES, 10) || 100 * 1024 * 1024;
+
+// Leading bytes of the binary types we accept, so a renamed file can't pass as another type
+const SIGNATURES = {
+  'image/png': [[0, [0x89, 0x50, 0x4e, 0x47]]],
+  'image/jpeg': [[0, [0xff, 0xd8, 0xff]]],
+  'image/gif': [[0, [0x47, 0x49, 0x46, 0x38]]],
+  'image/webp': [[0, [0x52, 0x49, 0x46, 0x46]], [8, [0x57, 0x45, 0x42, 0x50]]],
+  'application/pdf': [[0, [0x25, 0x50, 0x44, 0x46]]],
+  'application/zip': [[0, [0x50, 0x4b, 0x03, 0x04]]],
+};
+
+// Check name, type and size before accepting any bytes
+const validateUpload = ({ name, type, size }) => {
+  if (typeof name !== 'string' || !name.trim()) {
+    throw new AppError(400, 'INVALID_FILE', 'File name is required');
+  }
+
+  if (!ALLOWED_MIME_TYPES.includes(type)) {
+    throw new AppError(415, 'FILE_TYPE_NOT_ALLOWED', `Files of type "${type}" are not allowed`);
+  }
+
+  if (!Number.isInteger(size) || size <= 0) {
+    throw new AppError(400, 'INVALID_FILE', 'File is empty');
+  }
+
+  if (size > MAX_UPLOAD_BYTES) {
+    throw new AppError(413, 'FILE_TOO_LARGE', `Files must be at most ${MAX_UPLOAD_BYTES} bytes`);
+  }
+};
+
+// Make sure the bytes match the declared type
+const checkContent = (buffer, type) => {
+  const signature = SIGNATURES[type];
+  if (!signature) return;
+
+  const matches = signature.every(([offset, bytes]) =>
+    bytes.every((byte, i) => buffer[offset + i] === byte));
+
+  if (!matches) {
+    throw new AppError(415, 'FILE_TYPE_MISMATCH', `File content is not ${type}`);
+  }
+};
+
+// Render a small WebP preview; a failure here shouldn't fail the upload
+const createThumbnail = async (buffer) => {
+  try {
+    return await sharp(buffer, { animated: false })
+      .rotate()
+      .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+      .webp()
+      .toBuffer();
+  } catch (error) {
+    console.error('Error creating thumbnail:', error.message);
+    return null;
+  }
+};
+
+// Validate, store and record a complete upload
+const storeUpload = async ({ userId, name, type, buffer }) => {
+  validateUpload({ name, type, size: buffer.length });
+  checkContent(buffer, type);
+
+  const id = new mongoose.Types.ObjectId();
+  const originalName = path.basename(name).slice(0, 255);
+  const extension = path.extname(originalName).toLowerCase().replace(/[^.a-z0-9]/g, '');
+  const storageKey = `files/${id}${extension}`;
+
+  await storage.put(storageKey, buffer, type);
+
+  let thumbnailKey = null;
+  if (type.startsWith('image/')) {
+    const thumbnail = await createThumbnail(buffer);
+    if (thumbnail) {
+      thumbnailKey = `thumbnails/${id}.webp`;
+      await storage.put(thumbnailKey, thumbnail, 'image/webp');
+    }
+  }
+
+  return Attachment.create({
+    _id: id,
+    uploader: userId,
+    originalName,
+    mimeType: type,
+    size: buffer.length,
+    storageKey,
+    thumbnailKey,
+  });
+};
+
+// Load an attachment a user may download: their own upload, or one shared where they can see it
+const findAccessibleAttachment = async (fileId, userId) => {
+  if (!mongoose.isValidObjectId(fileId)) {
+    throw new AppError(400, 'INVALID_FILE_ID', 'Invalid file id');
+  }
+
+  const attachment = await Attachment.findById(fileId);
+  if (!attachment) {
+    throw new AppError(404, 'FILE_NOT_FOUND', 'File not found');
+  }
+
+  if (attachment.uploader.toString() === userId.toString()) {
+    return attachment;
+  }
+
+  const message = attachment.message && await Message.findById(attachment.message);
+  if (!message || message.isDeleted || !(await canSeeMessage(message, userId))) {
+    throw new AppError(404, 'FILE_NOT_FOUND', 'File not found');
+  }
+
+  return attachment;
+};
+
+// Post an uploaded file to a room as a message. The file is claimed for the message
+// first, so two shares at once can't both post it.
+const shareAttachment = async ({ fileId, user, room }) => {
+  if (!mongoose.isValidObjectId(fileId)) {
+    throw new AppError(400, 'INVALID_FILE_ID', 'Invalid file id');
+  }
+
+  const messageId = new mongoose.Types.ObjectId();
+  const attachment = await Attachment.findOneAndUpdate(
+    { _id: fileId, uploader: user.id, message: null },
+    { message: messageId },
+    { new: true }
+  );
+
+  if (!attachment) {
+    if (await Attachment.exists({ _id: fileId, uploader: user.id })) {
+      throw new AppError(409, 'FILE_ALREADY_SHARED', 'File has already been shared');
+    }
+    throw new AppError(404, 'FILE_NOT_FOUND', 'File not found');
+  }
+
+  try {
+    return await Message.create({
+      _id: messageId,
+      sender: user.username,
+      senderId: user.id,
+      fileId: attachment._id,
+      fileName: attachment.originalName,
+      fileType: attachment.mimeType,
+      fileSize: attachment.size,
+      hasThumbnail: Boolean(attachment.thumbnailKey),
+      isFile: true,
+      room,
+      delivered: true,
+      timestamp: new Date(),
+    });
+  } catch (error) {
+    // Let the file be shared again
+    await Attachment.updateOne({ _id: attachment._id, message: messageId }, { message: null });
+    throw error;
+  }
+};
+
+// Remove the files shared in a room from storage, when the room is deleted with its messages
+const deleteRoomAttachments = async (roomId) => {
+  const messageIds = await Message.find({ room: roomId, isFile: true }).distinct('_id');
+  const attachments = await Attachment.find({ message: { $in: messageIds } });
+
+  await Promise.all(attachments.flatMap((attachment) => [attachment.storageKey, attachment.thumbnailKey])
+    .filter(Boolean)
+    .map((key) => storage.remove(key)));
+  await Attachment.deleteMany({ _id: { $in: attachments.map((attachment) => attachment._id) } });
+};
+
+// uploadId -> { userId, socketId, name, type, size, chunks, received, timer }
+const chunkedUploads = new Map();
+
+const discardChunkedUpload = (uploadId) => {
+  const upload = chunkedUploads.get(uploadId);
+  if (upload) {
+    clearTimeout(upload.timer);
+    chunkedUploads.delete(uploadId);
+  }
+};
+
+// Begin a chunked upload over a socket; chunks are buffered until it completes. Its
+// announced size counts against the memory budget from the start.
+const startChunkedUpload = ({ userId, socketId, name, type, size }) => {
+  validateUpload({ name, type, size });
+
+  let userUploads = 0;
+  let reservedBytes = 0;
+  chunkedUploads.forEach((upload) => {
+    if (upload.userId === userId) userUploads += 1;
+    reservedBytes += upload.size;
+  });
+
+  if (userUploads >= MAX_CHUNKED_UPLOADS_PER_USER) {
+    throw new AppError(429, 'TOO_MANY_UPLOADS', `Finish an upload first; at most ${MAX_CHUNKED_UPLOADS_PER_USER} can be open at once`);
+  }
+  if (reservedBytes + size > MAX_CHUNKED_UPLOAD_BYTES) {
+    throw new AppError(503, 'UPLOADS_BUSY', 'Too many uploads in progress, try again shortly');
+  }
+
+  const uploadId = crypto.randomUUID();
+  const timer = setTimeout(() => discardChunkedUpload(uploadId), CHUNKED_UPLOAD_TIMEOUT_MS);
+  timer.unref?.();
+
+  chunkedUploads.set(uploadId, {
+    userId,
+    socketId,
+    name,
+    type,
+    size,
+    chunks: [],
+    received: 0,
+    timer,
+  });
+
+  return uploadId;
+};
+
+const findChunkedUpload = (uploadId, userId) => {
+  const upload = chunkedUploads.get(uploadId);
+  if (!upload || upload.userId !== userId) {
+    throw new AppError(404, 'UPLOAD_NOT_FOUND', 'Upload not found or expired');
+  }
+  return upload;
+};
+
+// Append the next chunk; chunks must arrive in order
+const appendChunk = ({ uploadId, userId, index, data }) => {
+  const upload = findChunkedUpload(uploadId, userId);
+
+  if (index !== upload.chunks.length) {
+    throw new AppError(400, 'CHUNK_OUT_OF_ORDER', `Expected chunk ${upload.chunks.length}`);
+  }
+
+  if (!Buffer.isBuffer(data) || upload.received + data.length > upload.size) {
+    discardChunkedUpload(uploadId);
+    throw new AppError(413, 'FILE_TOO_LARGE', 'Upload is larger than announced');
+  }
+
+  upload.chunks.push(data);
+  upload.received += data.length;
+
+  return { received: upload.received, size: upload.size };
+};
+
+// Assemble the chunks and store them like any other upload
+const finishChunkedUpload = async ({ uploadId, userId }) => {
+  const upload = findChunkedUpload(uploadId, userId);
+  discardChunkedUpload(uploadId);
+
+  if (upload.received !== upload.size) {
+    throw new AppError(400, 'UPLOAD_INCOMPLETE', 'Upload is missing chunks');
+  }
+
+  return storeUpload({
+    userId,
+    name: upload.name,
+    type: upload.type,
+    buffer: Buffer.concat(upload.chunks),
+  });
+};
+
+// Drop unfinished uploads when the socket that started them goes away
+const abortChunkedUploads = (socketId) => {
+  chunkedUploads.forEach((upload, uploadId) => {
+    if (upload.socketId === socketId) {
+      discardChunkedUpload(uploadId);
+    }
+  });
+};
+
+module.exports = {
+  MAX_UPLOAD_BYTES,
+  storeUpload,
+  findAccessibleAttachment,
+  shareAttachment,
+  deleteRoomAttachments,
+  startChunkedUpload,
+  appendChunk,
+  finishChunkedUpload,
+  abortChunkedUploads,
+};
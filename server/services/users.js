@@ -0,0 +1,23 @@
+// users.js - Changes to user accounts
+
+const User = require('../models/User');
+const { AppError } = require('../utils/errors');
+
+// Change a user's name. Messages keep the name they were sent under.
+const renameUser = async ({ userId, username }) => {
+  if (await User.exists({ username, _id: { $ne: userId } })) {
+    throw new AppError(409, 'USERNAME_TAKEN', 'Username is already taken');
+  }
+
+  try {
+    return await User.findByIdAndUpdate(userId, { username }, { new: true });
+  } catch (error) {
+    // Someone else took the name in the meantime
+    if (error.code === 11000) {
+      throw new AppError(409, 'USERNAME_TAKEN', 'Username is already taken');
+    }
+    throw error;
+  }
+};
+
+module.exports = { renameUser };
@@ -0,0 +1,263 @@
+// webhookDeliveries.js - Outgoing webhooks: signed calls for room messages, retried with
+// backoff and logged per delivery
+
+const crypto = require('crypto');
+const { Agent, fetch } = require('undici');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { AppError } = require('../utils/errors');
+const { parseHostList, checkUrlHost, publicLookup } = require('../utils/network');
+
+const TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 5000;
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 5;
+// The first retry waits this long, doubling after each failed attempt
+const RETRY_BASE_MS = parseInt(process.env.WEBHOOK_RETRY_BASE_MS, 10) || 30 * 1000;
+// How often each instance looks for retries that are due
+const POLL_MS = parseInt(process.env.WEBHOOK_POLL_MS, 10) || 10 * 1000;
+const LOG_DAYS = parseInt(process.env.WEBHOOK_LOG_DAYS, 10) || 14;
+// Hosts (names or IP addresses) webhooks may call even though they are internal,
+// e.g. "localhost" for the bundled receiver
+const ALLOWED_HOSTS = parseHostList(process.env.WEBHOOK_ALLOWED_HOSTS);
+
+// An attempt still unfinished after this long (e.g. its instance stopped) is made again
+const LEASE_MS = TIMEOUT_MS + 30 * 1000;
+
+// Answers worth trying again; other 4xx mean the receiver turned the call down
+const RETRYABLE_STATUSES = [408, 425, 429];
+
+const isRetryable = (status) => status >= 500 || RETRYABLE_STATUSES.includes(status);
+
+// Calls connect only to the public addresses a receiver's name resolves to at that
+// moment, so a name can't pass the check and then point inside
+const dispatcher = new Agent({ connect: { lookup: publicLookup(ALLOWED_HOSTS) } });
+
+// Check that a webhook URL's host resolves only to public addresses, unless it is in
+// WEBHOOK_ALLOWED_HOSTS; room owners must not be able to make the server call into its
+// own network. Checked when a URL is set and again before every attempt.
+const assertPublicUrl = async (url) => {
+  const host = await checkUrlHost(url, ALLOWED_HOSTS);
+
+  if (host === 'unresolvable') {
+    throw new AppError(400, 'WEBHOOK_URL_UNRESOLVABLE', `Can't resolve ${new URL(url).hostname}`);
+  }
+  if (host === 'internal') {
+    throw new AppError(400, 'WEBHOOK_URL_FORBIDDEN', 'Webhooks can only call public addresses');
+  }
+};
+
+let pollTimer = null;
+let polling = false;
+
+// Receivers check X-Webhook-Signature: the HMAC-SHA256 of "<timestamp>.<body>" under the
+// webhook's secret, with the timestamp from X-Webhook-Timestamp
+const signPayload = (secret, timestamp, body) =>
+  crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+// The trigger word a message starts with, '' for a webhook that takes every message,
+// or null when it doesn't match
+const matchTrigger = (webhook, text) => {
+  if (webhook.triggerWords.length === 0) return '';
+
+  const [firstWord = ''] = (text || '').trim().split(/\s+/, 1);
+  return webhook.triggerWords.find((word) => word.toLowerCase() === firstWord.toLowerCase()) ?? null;
+};
+
+// What receivers get for a new message
+const messagePayload = (webhook, message, triggerWord) => ({
+  event: 'message.created',
+  webhookId: webhook._id,
+  room: message.room,
+  triggerWord: triggerWord || null,
+  message: {
+    _id: message._id,
+    sender: message.sender,
+    senderId: message.senderId,
+    message: message.message,
+    html: message.html,
+    parentId: message.parentId,
+    isAction: message.isAction,
+    isFile: message.isFile,
+    fileName: message.fileName,
+    timestamp: message.timestamp,
+  },
+});
+
+const logExpiry = () => new Date(Date.now() + LOG_DAYS * 24 * 60 * 60 * 1000);
+
+// Record an attempt's outcome: delivered, pending with the next retry scheduled, or
+// failed for good
+const finishAttempt = async (delivery, webhook, retry, startedAt) => {
+  delivery.durationMs = Date.now() - startedAt;
+
+  if (!delivery.error) {
+    delivery.status = 'delivered';
+    delivery.deliveredAt = new Date();
+    await Webhook.updateOne({ _id: webhook._id }, { lastUsedAt: delivery.deliveredAt });
+  } else if (retry && delivery.attempts < MAX_ATTEMPTS) {
+    delivery.status = 'pending';
+    delivery.nextAttemptAt = new Date(Date.now() + RETRY_BASE_MS * 2 ** (delivery.attempts - 1));
+  } else {
+    delivery.status = 'failed';
+    console.error(`Error delivering webhook ${webhook._id} (${webhook.url}):`, delivery.error);
+  }
+
+  return delivery.save();
+};
+
+// Make one attempt at a delivery and record its outcome
+const attemptDelivery = async (delivery) => {
+  const webhook = await Webhook.findById(delivery.webhook);
+  if (!webhook?.active) {
+    delivery.status = 'failed';
+    delivery.error = webhook ? 'Webhook is disabled' : 'Webhook was deleted';
+    return delivery.save();
+  }
+
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  const startedAt = Date.now();
+  let retry = false;
+
+  delivery.attempts += 1;
+  try {
+    await assertPublicUrl(webhook.url);
+  } catch (error) {
+    // A name that stops resolving may come back; one that now points inside never should
+    delivery.responseStatus = null;
+    delivery.error = error.message;
+    return finishAttempt(delivery, webhook, error.code === 'WEBHOOK_URL_UNRESOLVABLE', startedAt);
+  }
+
+  try {
+    const response = await fetch(webhook.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'socketio-chat-webhooks',
+        'X-Webhook-Id': webhook._id.toString(),
+        'X-Webhook-Delivery': delivery._id.toString(),
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Timestamp': timestamp,
+        'X-Webhook-Signature': `sha256=${signPayload(webhook.secret, timestamp, body)}`,
+      },
+      body,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(TIMEOUT_MS),
+      dispatcher,
+    });
+
+    // Only the status is kept; the answer itself is never stored or shown
+    await response.body?.cancel();
+    delivery.responseStatus = response.status;
+    delivery.error = response.ok ? null : `Receiver answered ${response.status}`;
+    retry = !response.ok && isRetryable(response.status);
+  } catch (error) {
+    delivery.responseStatus = null;
+    delivery.error = error.name === 'TimeoutError'
+      ? `No answer within ${TIMEOUT_MS}ms`
+      : error.cause?.message || error.message;
+    // The name came to point inside between the check and the call
+    retry = error.cause?.code !== 'EADDRNOTPUBLIC';
+  }
+
+  return finishAttempt(delivery, webhook, retry, startedAt);
+};
+
+// Log deliveries and make their first attempts right away. Each starts out claimed by
+// this instance, so the retry poll can't pick it up at the same time.
+const deliver = async (webhooks, event, payloadFor) => {
+  const deliveries = await WebhookDelivery.insertMany(webhooks.map((webhook) => {
+    const payload = payloadFor(webhook);
+    return {
+      webhook: webhook._id,
+      room: webhook.room,
+      event,
+      message: payload.message?._id || null,
+      payload,
+      nextAttemptAt: new Date(Date.now() + LEASE_MS),
+      expiresAt: logExpiry(),
+    };
+  }));
+
+  return Promise.all(deliveries.map(attemptDelivery));
+};
+
+// Send a new room message to the room's outgoing webhooks that match it. Messages
+// posted through webhooks aren't sent out again, so integrations can't set each other
+// off in a loop. Failures are logged, never thrown, so a webhook can't fail a send.
+const dispatchMessage = async (message) => {
+  if (message.isPrivate || message.webhook) return;
+
+  try {
+    const webhooks = await Webhook.find({ room: message.room, type: 'outgoing', active: true });
+    const triggers = new Map(webhooks.map((webhook) => [webhook, matchTrigger(webhook, message.message)]));
+    const matching = webhooks.filter((webhook) => triggers.get(webhook) !== null);
+    if (matching.length === 0) return;
+
+    await deliver(matching, 'message.created', (webhook) => (
+      messagePayload(webhook, message, triggers.get(webhook))
+    ));
+  } catch (error) {
+    console.error('Error dispatching webhooks:', error.message);
+  }
+};
+
+// Send a `ping` to check that a receiver is reachable and verifies signatures
+const pingWebhook = async (webhook) => {
+  const [delivery] = await deliver([webhook], 'ping', () => ({
+    event: 'ping',
+    webhookId: webhook._id,
+    room: webhook.room,
+  }));
+  return delivery;
+};
+
+// Send a logged delivery of a webhook again, as a new delivery with the same payload
+const redeliver = async (webhook, delivery) => {
+  const [copy] = await deliver([webhook], delivery.event, () => delivery.payload);
+  return copy;
+};
+
+// Take the next due retry, moving its due time past the attempt so no other instance
+// makes the same one
+const claimDueDelivery = () =>
+  WebhookDelivery.findOneAndUpdate(
+    { status: 'pending', nextAttemptAt: { $lte: new Date() } },
+    { nextAttemptAt: new Date(Date.now() + LEASE_MS) },
+    { sort: { nextAttemptAt: 1 }, new: true }
+  );
+
+const retryDueDeliveries = async () => {
+  if (polling) return;
+
+  polling = true;
+  try {
+    for (let delivery = await claimDueDelivery(); delivery; delivery = await claimDueDelivery()) {
+      await attemptDelivery(delivery);
+    }
+  } catch (error) {
+    console.error('Error retrying webhook deliveries:', error.message);
+  } finally {
+    polling = false;
+  }
+};
+
+// Retry failed deliveries as they fall due, on every instance
+const startWebhookRetries = () => {
+  pollTimer = setInterval(retryDueDeliveries, POLL_MS);
+  pollTimer.unref?.();
+};
+
+const stopWebhookRetries = () => {
+  clearInterval(pollTimer);
+};
+
+module.exports = {
+  signPayload,
+  assertPublicUrl,
+  dispatchMessage,
+  pingWebhook,
+  redeliver,
+  startWebhookRetries,
+  stopWebhookRetries,
+};
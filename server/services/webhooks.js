@@ -0,0 +1,225 @@
+// webhooks.js - Room integrations: managing incoming and outgoing webhooks, and posting
+// the messages that arrive through incoming ones
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Room = require('../models/Room');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { AppError } = require('../utils/errors');
+const { findAccessibleRoom } = require('./rooms');
+const { canModerateRoom, assertNotArchived } = require('./moderation');
+const { createMessage, broadcastRoomMessage } = require('./messages');
+const { resolveMentions, deliverMentions } = require('./mentions');
+const { assertPublicUrl, pingWebhook, redeliver } = require('./webhookDeliveries');
+
+// Incoming tokens and outgoing secrets: 32 random bytes, URL-safe
+const newCredential = () => crypto.randomBytes(32).toString('base64url');
+
+// Incoming tokens are stored hashed, like passwords, and looked up by their hash
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Load a room whose webhooks the user may manage: its owner and admins, and site staff
+const findManageableRoom = async (roomId, user) => {
+  const room = await findAccessibleRoom(roomId, user.id);
+
+  if (!canModerateRoom(room, user)) {
+    throw new AppError(403, 'FORBIDDEN', 'Only room owners, admins and moderators can manage webhooks');
+  }
+
+  return room;
+};
+
+// Load a webhook in a room the user manages
+const findManageableWebhook = async (webhookId, user) => {
+  const webhook = mongoose.isValidObjectId(webhookId) && await Webhook.findById(webhookId);
+  if (!webhook) {
+    throw new AppError(404, 'WEBHOOK_NOT_FOUND', 'Webhook not found');
+  }
+
+  await findManageableRoom(webhook.room, user);
+  return webhook;
+};
+
+// A webhook with its new credential, which is only ever returned here
+const withCredential = (webhook, credential) => (
+  webhook.type === 'incoming' ? { webhook, token: credential } : { webhook, secret: credential }
+);
+
+const listWebhooks = async ({ roomId, user }) => {
+  const room = await findManageableRoom(roomId, user);
+  return Webhook.find({ room: room.roomId }).sort({ createdAt: 1 });
+};
+
+// Add a webhook to a room. Returns it with its token (incoming) or signing secret (outgoing).
+const createWebhook = async ({
+  roomId,
+  user,
+  type,
+  name,
+  url,
+  triggerWords = [],
+}) => {
+  const room = await findManageableRoom(roomId, user);
+  if (type === 'outgoing') {
+    await assertPublicUrl(url);
+  }
+  const credential = newCredential();
+
+  const webhook = await Webhook.create({
+    type,
+    room: room.roomId,
+    name,
+    createdBy: user.id,
+    ...(type === 'incoming'
+      ? { tokenHash: hashToken(credential) }
+      : { url, secret: credential, triggerWords }),
+  });
+
+  return withCredential(webhook, credential);
+};
+
+// Change a webhook's name, whether it is active, and for outgoing ones its URL and triggers
+const updateWebhook = async ({ webhookId, user, changes }) => {
+  const webhook = await findManageableWebhook(webhookId, user);
+
+  if (webhook.type === 'incoming' && (changes.url !== undefined || changes.triggerWords !== undefined)) {
+    throw new AppError(400, 'INVALID_WEBHOOK_CHANGE', 'Only outgoing webhooks have a URL and trigger words');
+  }
+  if (changes.url !== undefined) {
+    await assertPublicUrl(changes.url);
+  }
+
+  Object.assign(webhook, changes);
+  return webhook.save();
+};
+
+// Replace a webhook's token or secret, e.g. after it leaked; the old one stops working
+const rotateWebhookCredential = async ({ webhookId, user }) => {
+  const webhook = await findManageableWebhook(webhookId, user);
+  const credential = newCredential();
+
+  if (webhook.type === 'incoming') {
+    webhook.tokenHash = hashToken(credential);
+  } else {
+    webhook.secret = credential;
+  }
+
+  return withCredential(await webhook.save(), credential);
+};
+
+// Remove a webhook along with its delivery log
+const deleteWebhook = async ({ webhookId, user }) => {
+  const webhook = await findManageableWebhook(webhookId, user);
+
+  await WebhookDelivery.deleteMany({ webhook: webhook._id });
+  await Webhook.deleteOne({ _id: webhook._id });
+  return webhook;
+};
+
+// An outgoing webhook's delivery log, newest first
+const listDeliveries = async ({
+  webhookId,
+  user,
+  status,
+  before,
+  limit = 50,
+}) => {
+  const webhook = await findManageableWebhook(webhookId, user);
+
+  const filter = { webhook: webhook._id };
+  if (status) {
+    filter.status = status;
+  }
+  if (before) {
+    filter.createdAt = { $lt: before };
+  }
+
+  return WebhookDelivery.find(filter).sort({ createdAt: -1 }).limit(limit);
+};
+
+const findOutgoingWebhook = async (webhookId, user) => {
+  const webhook = await findManageableWebhook(webhookId, user);
+  if (webhook.type !== 'outgoing') {
+    throw new AppError(400, 'NOT_OUTGOING', 'Only outgoing webhooks make deliveries');
+  }
+  return webhook;
+};
+
+// Send an outgoing webhook a `ping`; returns the delivery with its outcome
+const testWebhook = async ({ webhookId, user }) => {
+  const webhook = await findOutgoingWebhook(webhookId, user);
+  if (!webhook.active) {
+    throw new AppError(409, 'WEBHOOK_DISABLED', 'Webhook is disabled');
+  }
+  return pingWebhook(webhook);
+};
+
+// Send one of an outgoing webhook's logged deliveries again
+const redeliverDelivery = async ({ webhookId, deliveryId, user }) => {
+  const webhook = await findOutgoingWebhook(webhookId, user);
+  if (!webhook.active) {
+    throw new AppError(409, 'WEBHOOK_DISABLED', 'Webhook is disabled');
+  }
+
+  const delivery = mongoose.isValidObjectId(deliveryId)
+    && await WebhookDelivery.findOne({ _id: deliveryId, webhook: webhook._id });
+  if (!delivery) {
+    throw new AppError(404, 'DELIVERY_NOT_FOUND', 'Delivery not found');
+  }
+
+  return redeliver(webhook, delivery);
+};
+
+// Post a message through an incoming webhook's token, as the integration. `username`
+// replaces the webhook's name on this message, e.g. to tell several jobs apart.
+// Integrations aren't members, so mutes, bans and slow mode don't apply; archiving does.
+const postWebhookMessage = async (io, { token, text, username }) => {
+  const webhook = await Webhook.findOne({ tokenHash: hashToken(token), type: 'incoming' });
+  if (!webhook?.active) {
+    throw new AppError(404, 'WEBHOOK_NOT_FOUND', 'Webhook not found');
+  }
+
+  const room = await Room.findOne({ roomId: webhook.room });
+  if (!room) {
+    throw new AppError(404, 'ROOM_NOT_FOUND', 'Room not found');
+  }
+  assertNotArchived(room);
+
+  const { message } = await createMessage({
+    sender: username || webhook.name,
+    senderId: webhook._id,
+    webhook: webhook._id,
+    message: text,
+    room: room.roomId,
+    ...await resolveMentions(text, room, webhook._id),
+    delivered: true,
+    timestamp: new Date(),
+  });
+
+  await Webhook.updateOne({ _id: webhook._id }, { lastUsedAt: message.timestamp });
+
+  const mentioned = await deliverMentions(io, message, room);
+  await broadcastRoomMessage(io, message, `${message.sender}: ${message.message}`, mentioned);
+
+  return message;
+};
+
+// Remove every webhook of a room and their delivery logs, when the room is deleted
+const deleteRoomWebhooks = async (roomId) => {
+  await WebhookDelivery.deleteMany({ room: roomId });
+  await Webhook.deleteMany({ room: roomId });
+};
+
+module.exports = {
+  listWebhooks,
+  createWebhook,
+  updateWebhook,
+  rotateWebhookCredential,
+  deleteWebhook,
+  listDeliveries,
+  testWebhook,
+  redeliverDelivery,
+  postWebhookMessage,
+  deleteRoomWebhooks,
+};
@@ -0,0 +1,36 @@
+// index.js - Picks the file storage backend from the environment
+//
+// Every backend exposes the same interface:
+//   put(key, buffer, contentType) -> Promise<void>
+//   get(key)                      -> Promise<Readable>
+//   remove(key)                   -> Promise<void>
+
+const path = require('path');
+const { createLocalStorage } = require('./local');
+const { createS3Storage } = require('./s3');
+
+const createStorage = () => {
+  const driver = process.env.STORAGE_DRIVER || 'local';
+
+  switch (driver) {
+    case 'local':
+      return createLocalStorage({
+        root: process.env.UPLOAD_DIR || path.join(__dirname, '..', 'uploads'),
+      });
+    case 's3':
+      if (!process.env.S3_BUCKET) {
+        throw new Error('S3_BUCKET must be set when STORAGE_DRIVER=s3');
+      }
+      return createS3Storage({
+        bucket: process.env.S3_BUCKET,
+        endpoint: process.env.S3_ENDPOINT,
+        region: process.env.S3_REGION,
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      });
+    default:
+      throw new Error(`Unknown STORAGE_DRIVER: ${driver}`);
+  }
+};
+
+module.exports = createStorage();
@@ -0,0 +1,45 @@
+// s3.js - Storage backend for S3 or any S3-compatible service (MinIO, LocalStack, ...)
+
+const createS3Storage = ({ bucket, endpoint, region, accessKeyId, secretAccessKey }) => {
+  // Loaded lazily so deployments on local disk don't pay for the SDK
+  const {
+    S3Client,
+    PutObjectCommand,
+    GetObjectCommand,
+    DeleteObjectCommand,
+  } = require('@aws-sdk/client-s3');
+
+  const client = new S3Client({
+    region: region || 'us-east-1',
+    endpoint: endpoint || undefined,
+    // Self-hosted stand-ins don't do virtual-hosted bucket names
+    forcePathStyle: Boolean(endpoint),
+    credentials: accessKeyId
+      ? { accessKeyId, secretAccessKey }
+      : undefined,
+  });
+
+  return {
+    name: 's3',
+
+    async put(key, buffer, contentType) {
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Body: buffer,
+        ContentType: contentType,
+      }));
+    },
+
+    async get(key) {
+      const response = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+      return response.Body;
+    },
+
+    async remove(key) {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    },
+  };
+};
+
+module.exports = { createS3Storage };
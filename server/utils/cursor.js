@@ -0,0 +1,36 @@
+// cursor.js - Opaque pagination cursors over (timestamp, _id), the order messages are listed in
+
+const mongoose = require('mongoose');
+const { AppError } = require('./errors');
+
+// "<ms since epoch>_<id>" in base64url, so clients treat it as a token
+const encodeCursor = (message) =>
+  Buffer.from(`${new Date(message.timestamp).getTime()}_${message._id}`).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  const [time, id] = Buffer.from(cursor, 'base64url').toString().split('_');
+  const timestamp = new Date(Number(time));
+
+  if (!time || Number.isNaN(timestamp.getTime()) || !mongoose.isValidObjectId(id)) {
+    throw new AppError(400, 'INVALID_CURSOR', 'Invalid pagination cursor');
+  }
+
+  return { timestamp, _id: new mongoose.Types.ObjectId(id) };
+};
+
+// Filters for messages strictly before or after a position; the id breaks ties
+// between messages stamped in the same millisecond
+const olderThan = ({ timestamp, _id }) => ({
+  $or: [{ timestamp: { $lt: timestamp } }, { timestamp, _id: { $lt: _id } }],
+});
+
+const newerThan = ({ timestamp, _id }) => ({
+  $or: [{ timestamp: { $gt: timestamp } }, { timestamp, _id: { $gt: _id } }],
+});
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  olderThan,
+  newerThan,
+};
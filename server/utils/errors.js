@@ -0,0 +1,44 @@
+// errors.js - Error type shared by REST routes and socket handlers
+
+// An expected failure with an HTTP status and a machine-readable code.
+// `details` (e.g. `{ retryAfterMs }`) is passed on to the client as-is.
+class AppError extends Error {
+  constructor(status, code, message, details = {}) {
+    super(message);
+    this.name = 'AppError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// Respond with an AppError's status and code, or a generic 500 for anything unexpected
+const sendError = (res, error, fallback) => {
+  if (error instanceof AppError) {
+    return res.status(error.status).json({ ...error.details, error: error.message, code: error.code });
+  }
+  console.error(`${fallback}:`, error.message);
+  res.status(500).json({ error: fallback });
+};
+
+// Socket.io counterpart of sendError, reported through the `error` event
+const emitSocketError = (socket, error, fallback) => {
+  if (error instanceof AppError) {
+    return socket.emit('error', { ...error.details, message: error.message, code: error.code });
+  }
+  console.error(`${fallback}:`, error.message);
+  socket.emit('error', { message: fallback });
+};
+
+// Report a failure through a Socket.io acknowledgement callback
+const ackError = (ack, error, fallback) => {
+  if (typeof ack !== 'function') return;
+
+  if (error instanceof AppError) {
+    return ack({ error: { ...error.details, code: error.code, message: error.message } });
+  }
+  console.error(`${fallback}:`, error.message);
+  ack({ error: { code: 'INTERNAL_ERROR', message: fallback } });
+};
+
+module.exports = { AppError, sendError, emitSocketError, ackError };
@@ -0,0 +1,88 @@
+// markdown.js - Renders message text as a safe subset of Markdown: emphasis, inline
+// code, fenced code blocks with syntax highlighting, lists, quotes and links
+
+const { Marked } = require('marked');
+const hljs = require('highlight.js/lib/common');
+const sanitizeHtml = require('sanitize-html');
+const { escapeHtml } = require('./text');
+
+// Everything the renderer may produce; whatever else gets through is stripped
+const SANITIZE_OPTIONS = {
+  allowedTags: ['p', 'br', 'strong', 'em', 'del', 'code', 'pre', 'blockquote', 'ul', 'ol', 'li', 'a', 'span', 'hr'],
+  allowedAttributes: {
+    a: ['href', 'target', 'rel'],
+    ol: ['start'],
+    code: ['class'],
+    span: ['class', 'data-mention'],
+  },
+  allowedClasses: {
+    code: ['hljs', 'language-*'],
+    // highlight.js adds scope suffixes such as "hljs-title function_"
+    span: ['mention', 'hljs-*', '*_'],
+  },
+  allowedSchemes: ['http', 'https', 'mailto'],
+  allowProtocolRelative: false,
+  transformTags: {
+    a: sanitizeHtml.simpleTransform('a', { target: '_blank', rel: 'noopener noreferrer nofollow' }),
+  },
+};
+
+// @names turn into mention chips, but only those the server resolved for the message
+const mentionExtension = (names) => ({
+  name: 'mention',
+  level: 'inline',
+  start: (src) => src.match(/(?<![\w@.])@[\w.-]/)?.index,
+  tokenizer(src, tokens) {
+    // Same rule as parseMentions: "@" right after a word or address isn't a mention
+    const previous = tokens[tokens.length - 1];
+    const match = /^@([\w.-]+)/.exec(src);
+    if (!match || /[\w@.]$/.test(previous?.raw || '')) return undefined;
+
+    // "@alice." at the end of a sentence is still @alice
+    let name = match[1];
+    while (name && !names.has(name)) {
+      if (!/[.-]$/.test(name)) return undefined;
+      name = name.slice(0, -1);
+    }
+    return name ? { type: 'mention', raw: `@${name}`, name } : undefined;
+  },
+  renderer: ({ name }) => `<span class="mention" data-mention="${name}">@${name}</span>`,
+});
+
+// Outside the subset, Markdown shows as the text it was written as
+const renderer = {
+  code({ text, lang }) {
+    const language = (lang || '').trim().split(/\s+/)[0];
+    if (language && hljs.getLanguage(language)) {
+      const { value } = hljs.highlight(text, { language, ignoreIllegals: true });
+      return `<pre><code class="hljs language-${language}">${value}</code></pre>\n`;
+    }
+    return `<pre><code class="hljs">${escapeHtml(text)}</code></pre>\n`;
+  },
+  heading({ tokens, depth }) {
+    return `<p>${'#'.repeat(depth)} ${this.parser.parseInline(tokens)}</p>\n`;
+  },
+  html({ text, block }) {
+    return block ? `<p>${escapeHtml(text)}</p>\n` : escapeHtml(text);
+  },
+  image({ href, text }) {
+    return `<a href="${escapeHtml(href)}">${escapeHtml(text || href)}</a>`;
+  },
+  table({ raw }) {
+    return `<p>${escapeHtml(raw.trim()).replace(/\n/g, '<br>')}</p>\n`;
+  },
+};
+
+// Render message text to sanitized HTML. `mentions` ([{ username }]) and
+// `groupMentions` are what the server resolved for the message.
+const renderMarkdown = (text, { mentions = [], groupMentions = [] } = {}) => {
+  if (!text) return '';
+
+  const names = new Set([...mentions.map((mention) => mention.username), ...groupMentions]);
+  const markdown = new Marked({ gfm: true, breaks: true, renderer });
+  markdown.use({ extensions: [mentionExtension(names)] });
+
+  return sanitizeHtml(markdown.parse(text), SANITIZE_OPTIONS).trim();
+};
+
+module.exports = { renderMarkdown };
@@ -0,0 +1,75 @@
+// network.js - Keeps the calls the server makes to URLs users give it (push endpoints,
+// webhooks) away from its own network
+
+const dns = require('dns');
+const net = require('net');
+
+// Loopback, private, link-local (cloud metadata), shared, multicast and reserved ranges
+const internalAddresses = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+  ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4],
+].forEach(([address, prefix]) => internalAddresses.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+].forEach(([address, prefix]) => internalAddresses.addSubnet(address, prefix, 'ipv6'));
+
+// BlockList also matches IPv4-mapped IPv6 addresses ("::ffff:127.0.0.1") against the
+// IPv4 ranges
+const isInternalAddress = (address) =>
+  internalAddresses.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+
+// Hosts from a comma-separated setting such as WEBHOOK_ALLOWED_HOSTS
+const parseHostList = (value = '') => value
+  .split(',')
+  .map((host) => host.trim().toLowerCase())
+  .filter(Boolean);
+
+// A URL's host without the brackets around IPv6 addresses
+const hostOf = (url) => new URL(url).hostname.replace(/^\[|\]$/g, '').toLowerCase();
+
+// Whether a URL may be called: 'public' when its host resolves only to public addresses
+// (or is one of `allowedHosts`), 'internal' when any address is internal, and
+// 'unresolvable' when it doesn't resolve
+const checkUrlHost = async (url, allowedHosts = []) => {
+  const host = hostOf(url);
+  if (allowedHosts.includes(host)) return 'public';
+
+  let addresses;
+  try {
+    addresses = net.isIP(host)
+      ? [{ address: host }]
+      : await dns.promises.lookup(host, { all: true, verbatim: true });
+  } catch (error) {
+    return 'unresolvable';
+  }
+
+  return addresses.some(({ address }) => isInternalAddress(address)) ? 'internal' : 'public';
+};
+
+// A `lookup` for outgoing connections that refuses internal addresses, so what gets
+// connected to is what was checked: a name can resolve to something else between a
+// check and the connection. Connections to IP addresses skip lookups; check those
+// with `checkUrlHost` first.
+const publicLookup = (allowedHosts = []) => (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    const allowed = allowedHosts.includes(hostname.toLowerCase());
+    if (!allowed && addresses.some(({ address }) => isInternalAddress(address))) {
+      const refused = new Error(`${hostname} resolves to an internal address`);
+      refused.code = 'EADDRNOTPUBLIC';
+      return callback(refused);
+    }
+
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+module.exports = {
+  parseHostList,
+  checkUrlHost,
+  publicLookup,
+};
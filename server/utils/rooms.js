@@ -0,0 +1,19 @@
+// rooms.js - Names of the Socket.io rooms used for targeted broadcasts
+
+// Every connection of a user joins this room, so emits reach all their tabs and devices
+const userRoom = (userId) => `user:${userId}`;
+
+// Rooms that should hear about changes to a message: its chat room, or both DM participants
+const messageAudience = (message) =>
+  message.isPrivate
+    ? [userRoom(message.senderId), userRoom(message.recipient)]
+    : [message.room];
+
+// Send an event to everyone who can see a room: everyone for public rooms, only
+// members (in every tab) for private ones
+const emitToRoomViewers = (io, room, event, payload) => {
+  const audience = room.isPrivate ? io.to(room.members.map((member) => userRoom(member.user))) : io;
+  audience.emit(event, payload);
+};
+
+module.exports = { userRoom, messageAudience, emitToRoomViewers };
@@ -0,0 +1,34 @@
+// socketHandler.js - Validated, acknowledged Socket.io event handlers
+
+const { validate } = require('../validation');
+const { socketEventSchemas } = require('../validation/socketEvents');
+const { emitSocketError, ackError } = require('./errors');
+
+// Build `on(event, handler, fallback)` for a socket. The payload is checked against
+// the event's declared schema before `handler` sees it. Whatever the handler returns
+// goes back through the acknowledgement as `{ ok: true, ...result }`; failures go back
+// as `{ error: { code, message } }`, or as an `error` event when the client sent no
+// acknowledgement callback.
+const createEventBinder = (socket) => (event, handler, fallback) => {
+  const schema = socketEventSchemas[event];
+  if (!schema) {
+    throw new Error(`No schema declared for socket event "${event}"`);
+  }
+
+  socket.on(event, async (...args) => {
+    const ack = typeof args[args.length - 1] === 'function' ? args.pop() : null;
+
+    try {
+      const result = await handler(validate(schema, args[0]));
+      ack?.({ ok: true, ...result });
+    } catch (error) {
+      if (ack) {
+        ackError(ack, error, fallback);
+      } else {
+        emitSocketError(socket, error, fallback);
+      }
+    }
+  });
+};
+
+module.exports = { createEventBinder };
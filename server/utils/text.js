@@ -0,0 +1,17 @@
+// text.js - Helpers for turning user text into safe query and display pieces
+
+// Escape a string so it matches itself literally inside a RegExp
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const HTML_ENTITIES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;',
+};
+
+// Escape a string so it shows as itself inside HTML
+const escapeHtml = (text) => text.replace(/[&<>"']/g, (char) => HTML_ENTITIES[char]);
+
+module.exports = { escapeRegex, escapeHtml };
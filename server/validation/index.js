@@ -0,0 +1,122 @@
+// index.js - Payload validation against declared schemas, and shared field types
+
+const mongoose = require('mongoose');
+const { z } = require('zod');
+const { AppError } = require('../utils/errors');
+
+const MAX_MESSAGE_LENGTH = parseInt(process.env.MAX_MESSAGE_LENGTH, 10) || 4000;
+
+// Field types reused across socket and REST schemas
+const fields = {
+  objectId: z.string().refine(mongoose.isValidObjectId, 'Must be a valid id'),
+  roomId: z.string().trim().min(1).max(64),
+  messageText: z.string().trim().min(1, 'Message text is required').max(
+    MAX_MESSAGE_LENGTH,
+    `Messages must be at most ${MAX_MESSAGE_LENGTH} characters`
+  ),
+  reason: z.string().trim().min(1, 'A reason is required').max(500),
+  clientId: z.string().regex(/^[\w-]{1,64}$/, 'Must be up to 64 letters, digits, dashes or underscores'),
+  limit: z.coerce.number().int().min(1).max(100).default(50),
+  cursor: z.string().min(1).max(100),
+  username: z.string().trim().min(1).max(32),
+  // A username being chosen, at registration or with /nick
+  newUsername: z.string().regex(
+    /^[a-zA-Z0-9_.-]{3,32}$/,
+    'Username must be 3-32 characters of letters, numbers, "_", "." or "-"'
+  ),
+  roomName: z.string().trim().min(1, 'Room name is required').max(50),
+  roomDescription: z.string().trim().max(500, 'Descriptions must be at most 500 characters'),
+  roomTopic: z.string().trim().max(250, 'Topics must be at most 250 characters'),
+  searchQuery: z.string().trim().min(1, 'Search query is required').max(100),
+  emoji: z.string().trim().min(1).max(32).regex(/^\S+$/u, 'A reaction is a single emoji or code'),
+};
+
+const isTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-GB', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const notificationLevel = z.enum(['all', 'mentions', 'muted']);
+const clockTime = z.string().regex(/^([01]\d|2[0-3]):[0-5]\d$/, 'Must be a time as HH:MM');
+
+// A partial update of notification preferences, shared by the socket event and REST route.
+// Levels are keyed by roomId (`rooms`) or the other user's id (`conversations`).
+const notificationPreferenceChanges = z.object({
+  sound: z.boolean().optional(),
+  doNotDisturb: z.object({
+    enabled: z.boolean().optional(),
+    start: clockTime.optional(),
+    end: clockTime.optional(),
+    timeZone: z.string().refine(isTimeZone, 'Must be an IANA time zone').optional(),
+  }).optional(),
+  rooms: z.record(fields.roomId, notificationLevel)
+    .refine((levels) => Object.keys(levels).length <= 100, 'Too many rooms')
+    .optional(),
+  conversations: z.record(fields.objectId, notificationLevel)
+    .refine((levels) => Object.keys(levels).length <= 100, 'Too many conversations')
+    .optional(),
+});
+
+// A change to any of a room's name, description and topic, shared by the socket event
+// and REST route; empty strings clear the description or topic
+const roomChanges = z.object({
+  name: fields.roomName.optional(),
+  description: fields.roomDescription.optional(),
+  topic: fields.roomTopic.optional(),
+});
+
+// Refinement for filters with an `after`/`before` date range
+const orderedDateRange = [
+  ({ after, before }) => !after || !before || after < before,
+  { message: '"after" must be earlier than "before"', path: ['before'] },
+];
+
+// Refinement for history requests, which page from at most one position
+const singlePosition = [
+  ({ before, after, around }) => [before, after, around].filter(Boolean).length <= 1,
+  { message: 'Use only one of "before", "after" and "around"' },
+];
+
+// Refinement for marking mentions read, either by id or by room
+const mentionSelection = [
+  ({ ids, roomId }) => !ids || !roomId,
+  { message: 'Use either "ids" or "roomId"' },
+];
+
+// Parse a payload, returning the cleaned value or throwing a 400 AppError whose
+// `issues` list each failing field
+const validate = (schema, payload) => {
+  const result = schema.safeParse(payload);
+  if (result.success) {
+    return result.data;
+  }
+
+  const issues = result.error.issues.map((issue) => ({
+    path: issue.path.join('.'),
+    message: issue.message,
+  }));
+  const [first] = issues;
+
+  throw new AppError(
+    400,
+    'VALIDATION_ERROR',
+    first.path ? `${first.path}: ${first.message}` : first.message,
+    { issues }
+  );
+};
+
+module.exports = {
+  z,
+  fields,
+  orderedDateRange,
+  singlePosition,
+  mentionSelection,
+  notificationPreferenceChanges,
+  roomChanges,
+  validate,
+  MAX_MESSAGE_LENGTH,
+};
@@ -0,0 +1,165 @@
+// rest.js - Body and query schemas for the REST routes
+
+const {
+  z,
+  fields,
+  orderedDateRange,
+  singlePosition,
+  notificationPreferenceChanges,
+  roomChanges,
+} = require('./index');
+
+const webhookName = z.string().trim().min(1, 'Webhook name is required').max(32);
+const webhookUrl = z.string().trim().url().max(2048)
+  .refine((url) => /^https?:\/\//i.test(url), 'Must be an http or https URL');
+// Outgoing webhooks only receive messages starting with one of these words
+const triggerWords = z.array(
+  z.string().trim().min(1).max(32).regex(/^\S+$/, 'Trigger words are single words')
+).max(10);
+
+const credentials = z.object({
+  username: z.string(),
+  password: z.string(),
+});
+
+const restSchemas = {
+  register: credentials.extend({
+    username: fields.newUsername,
+    // bcrypt only looks at the first 72 bytes
+    password: z.string().min(8, 'Password must be at least 8 characters').max(72),
+  }),
+
+  login: credentials,
+
+  messageHistory: z.object({
+    room: fields.roomId.default('general'),
+    before: fields.cursor.optional(),
+    after: fields.cursor.optional(),
+    around: fields.objectId.optional(),
+    limit: fields.limit,
+  }).refine(...singlePosition),
+
+  thread: z.object({
+    before: fields.cursor.optional(),
+    after: fields.cursor.optional(),
+    limit: fields.limit,
+  }).refine(...singlePosition),
+
+  editMessage: z.object({
+    message: fields.messageText,
+    reason: fields.reason.optional(),
+  }),
+
+  deleteMessage: z.object({
+    reason: fields.reason.optional(),
+  }).default({}),
+
+  search: z.object({
+    q: z.string().trim().min(1, 'Query parameter "q" is required').max(100),
+    room: fields.roomId.optional(),
+    sender: fields.username.optional(),
+    after: z.coerce.date().optional(),
+    before: z.coerce.date().optional(),
+    attachments: z.enum(['true', 'false']).default('false').transform((value) => value === 'true'),
+    scope: z.enum(['all', 'rooms', 'dms']).default('all'),
+    cursor: fields.cursor.optional(),
+    limit: fields.limit.default(20),
+  }).refine(...orderedDateRange),
+
+  reaction: z.object({
+    emoji: fields.emoji,
+  }),
+
+  messageContext: z.object({
+    limit: z.coerce.number().int().min(1).max(50).default(25),
+  }),
+
+  mentions: z.object({
+    unread: z.enum(['true', 'false']).default('false').transform((value) => value === 'true'),
+    cursor: fields.cursor.optional(),
+    limit: fields.limit.default(20),
+  }),
+
+  markMentionsRead: z.object({
+    ids: z.array(fields.objectId).min(1).max(100).optional(),
+    room: fields.roomId.optional(),
+  }).refine(({ ids, room }) => !ids || !room, {
+    message: 'Use either "ids" or "room"',
+  }).default({}),
+
+  notificationPreferences: notificationPreferenceChanges,
+
+  // A PushSubscription as serialized by the browser (`subscription.toJSON()`)
+  pushSubscription: z.object({
+    subscription: z.object({
+      endpoint: z.string().url().max(2048),
+      expirationTime: z.number().nullable().optional(),
+      keys: z.object({
+        p256dh: z.string().min(1).max(256),
+        auth: z.string().min(1).max(256),
+      }),
+    }),
+  }),
+
+  pushUnsubscribe: z.object({
+    endpoint: z.string().url().max(2048),
+  }),
+
+  moderationLog: z.object({
+    room: fields.roomId.optional(),
+    target: fields.objectId.optional(),
+    action: z.enum(['kick', 'mute', 'unmute', 'ban', 'unban', 'edit_message', 'delete_message']).optional(),
+    before: z.coerce.date().optional(),
+    limit: fields.limit,
+  }),
+
+  webhooks: z.object({
+    room: fields.roomId,
+  }),
+
+  createWebhook: z.discriminatedUnion('type', [
+    z.object({
+      type: z.literal('incoming'),
+      room: fields.roomId,
+      name: webhookName,
+    }),
+    z.object({
+      type: z.literal('outgoing'),
+      room: fields.roomId,
+      name: webhookName,
+      url: webhookUrl,
+      triggerWords: triggerWords.default([]),
+    }),
+  ]),
+
+  updateWebhook: z.object({
+    name: webhookName.optional(),
+    active: z.boolean().optional(),
+    url: webhookUrl.optional(),
+    triggerWords: triggerWords.optional(),
+  }).refine((changes) => Object.keys(changes).length > 0, {
+    message: 'Nothing to change',
+  }),
+
+  webhookDeliveries: z.object({
+    status: z.enum(['pending', 'delivered', 'failed']).optional(),
+    before: z.coerce.date().optional(),
+    limit: fields.limit,
+  }),
+
+  updateRoom: roomChanges.refine((changes) => Object.keys(changes).length > 0, {
+    message: 'Nothing to change',
+  }),
+
+  deleteRoom: z.object({
+    keepMessages: z.enum(['true', 'false']).default('false').transform((value) => value === 'true'),
+  }),
+
+  // Slack-style `{ text }`, optionally signed with another name
+  incomingWebhook: z.object({
+    text: fields.messageText,
+    username: fields.username.optional(),
+  }),
+};
+
+module.exports = { restSchemas };
@@ -0,0 +1,226 @@
+// socketEvents.js - Payload schema for every Socket.io event the server handles
+
+const {
+  z,
+  fields,
+  orderedDateRange,
+  singlePosition,
+  mentionSelection,
+  notificationPreferenceChanges,
+  roomChanges,
+  MAX_MESSAGE_LENGTH,
+} = require('./index');
+
+const durationMinutes = z.number().positive().max(60 * 24 * 365).optional();
+
+const moderationTarget = z.object({
+  roomId: fields.roomId,
+  userId: fields.objectId,
+  reason: fields.reason,
+});
+
+const socketEventSchemas = {
+  // `lastSeen` maps room ids to the newest message this client has of each,
+  // so a reconnecting client can be sent what it missed
+  user_join: z.object({
+    lastSeen: z.record(fields.roomId, fields.objectId)
+      .refine((lastSeen) => Object.keys(lastSeen).length <= 100, 'Too many rooms')
+      .default({}),
+  }).default({}),
+
+  send_message: z.object({
+    message: fields.messageText,
+    room: fields.roomId.default('general'),
+    parentId: fields.objectId.optional(),
+    clientId: fields.clientId.optional(),
+  }),
+
+  // A bare name, or `{ name, isPrivate }`
+  create_room: z.preprocess(
+    (payload) => (typeof payload === 'string' ? { name: payload } : payload),
+    z.object({
+      name: fields.roomName,
+      isPrivate: z.boolean().default(false),
+    })
+  ),
+
+  join_room: fields.roomId,
+
+  invite_to_room: z.object({
+    roomId: fields.roomId,
+    userId: fields.objectId,
+  }),
+
+  respond_to_invite: z.object({
+    roomId: fields.roomId,
+    accept: z.boolean(),
+  }),
+
+  set_member_role: z.object({
+    roomId: fields.roomId,
+    userId: fields.objectId,
+    role: z.enum(['admin', 'member']),
+  }),
+
+  typing: z.boolean(),
+
+  private_message: z.object({
+    to: fields.objectId,
+    message: fields.messageText,
+    clientId: fields.clientId.optional(),
+  }),
+
+  load_private_history: z.object({
+    userId: fields.objectId,
+    before: fields.cursor.optional(),
+    after: fields.cursor.optional(),
+    limit: fields.limit,
+  }).refine(...singlePosition),
+
+  mark_conversation_read: z.object({
+    userId: fields.objectId,
+  }),
+
+  edit_message: z.object({
+    messageId: fields.objectId,
+    message: fields.messageText,
+    reason: fields.reason.optional(),
+  }),
+
+  // `input` is the whole "/command args" line; `room` is where it was typed
+  run_command: z.object({
+    input: z.string().trim().regex(/^\//, 'Commands start with "/"').max(MAX_MESSAGE_LENGTH),
+    room: fields.roomId.default('general'),
+  }),
+
+  list_commands: z.object({
+    room: fields.roomId.default('general'),
+  }).default({}),
+
+  // `room` renders mentions as they would be in that room; leave it out for a DM
+  preview_message: z.object({
+    message: fields.messageText,
+    room: fields.roomId.optional(),
+  }),
+
+  delete_message: z.object({
+    messageId: fields.objectId,
+    reason: fields.reason.optional(),
+  }),
+
+  add_reaction: z.object({
+    messageId: fields.objectId,
+    emoji: fields.emoji,
+  }),
+
+  remove_reaction: z.object({
+    messageId: fields.objectId,
+    emoji: fields.emoji,
+  }),
+
+  kick_user: moderationTarget,
+  mute_user: moderationTarget.extend({ durationMinutes }),
+  unmute_user: moderationTarget,
+  ban_user: moderationTarget.extend({ durationMinutes }),
+  unban_user: moderationTarget,
+
+  set_slow_mode: z.object({
+    roomId: fields.roomId,
+    seconds: z.number().int().min(0),
+  }),
+
+  update_room: roomChanges.extend({
+    roomId: fields.roomId,
+  }).refine(({ roomId, ...changes }) => Object.keys(changes).length > 0, {
+    message: 'Nothing to change',
+  }),
+
+  archive_room: z.object({
+    roomId: fields.roomId,
+    archived: z.boolean().default(true),
+  }),
+
+  delete_room: z.object({
+    roomId: fields.roomId,
+    keepMessages: z.boolean().default(false),
+  }),
+
+  update_notification_preferences: notificationPreferenceChanges,
+
+  message_read: fields.objectId,
+
+  mark_room_read: z.object({
+    roomId: fields.roomId,
+  }),
+
+  get_read_receipts: z.object({
+    messageId: fields.objectId,
+  }),
+
+  share_file: z.object({
+    fileId: fields.objectId,
+    room: fields.roomId.default('general'),
+  }),
+
+  upload_start: z.object({
+    name: z.string().trim().min(1).max(255),
+    type: z.string().min(1).max(255),
+    size: z.number().int().positive(),
+  }),
+
+  upload_chunk: z.object({
+    uploadId: z.string().uuid(),
+    index: z.number().int().min(0),
+    data: z.instanceof(Buffer, { message: 'Chunk data must be binary' }),
+  }),
+
+  upload_complete: z.object({
+    uploadId: z.string().uuid(),
+  }),
+
+  load_messages: z.object({
+    roomId: fields.roomId.default('general'),
+    before: fields.cursor.optional(),
+    after: fields.cursor.optional(),
+    around: fields.objectId.optional(),
+    limit: fields.limit,
+  }).refine(...singlePosition),
+
+  load_thread: z.object({
+    messageId: fields.objectId,
+    before: fields.cursor.optional(),
+    after: fields.cursor.optional(),
+    limit: fields.limit,
+  }).refine(...singlePosition),
+
+  search_messages: z.object({
+    query: fields.searchQuery,
+    roomId: fields.roomId.optional(),
+    sender: fields.username.optional(),
+    after: z.coerce.date().optional(),
+    before: z.coerce.date().optional(),
+    attachmentsOnly: z.boolean().default(false),
+    scope: z.enum(['all', 'rooms', 'dms']).default('all'),
+    cursor: fields.cursor.optional(),
+    limit: fields.limit.default(20),
+  }).refine(...orderedDateRange),
+
+  load_message_context: z.object({
+    messageId: fields.objectId,
+    limit: z.number().int().min(1).max(50).default(25),
+  }),
+
+  load_mentions: z.object({
+    unreadOnly: z.boolean().default(false),
+    cursor: fields.cursor.optional(),
+    limit: fields.limit.default(20),
+  }).default({}),
+
+  // Mentions by id, every mention in a room, or (with neither) all of them
+  mark_mentions_read: z.object({
+    ids: z.array(fields.objectId).min(1).max(100).optional(),
+    roomId: fields.roomId.optional(),
+  }).refine(...mentionSelection).default({}),
+};
+
+module.exports = { socketEventSchemas };